@@ -0,0 +1,14 @@
+namespace OmneSoft.Models;
+
+public class BulkActionEventArgs
+{
+    public string Action { get; set; } = string.Empty;
+    public string? Value { get; set; }
+    public string[] Ids { get; set; } = Array.Empty<string>();
+    public object[] Rows { get; set; } = Array.Empty<object>();
+
+    // Ids the handler rejected, with the reason shown to the user
+    public Dictionary<string, string> Failures { get; } = new();
+
+    public void Fail(string id, string error) => Failures[id] = error;
+}
@@ -0,0 +1,13 @@
+using System.Text.Json;
+
+namespace OmneSoft.Models;
+
+// Sent from the grid once per bulk action: the action, its value (status, license
+// or role) and the selected rows it applies to, already updated
+public class BulkActionRequest
+{
+    public string Action { get; set; } = string.Empty;
+    public string? Value { get; set; }
+    public string[] Ids { get; set; } = Array.Empty<string>();
+    public JsonElement[] Rows { get; set; } = Array.Empty<JsonElement>();
+}
@@ -0,0 +1,10 @@
+namespace OmneSoft.Models;
+
+// Outcome for one row of a bulk action
+public class BulkActionResult
+{
+    public string Id { get; set; } = string.Empty;
+    public string? Name { get; set; }
+    public bool Success { get; set; }
+    public string? Error { get; set; }
+}
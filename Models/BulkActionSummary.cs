@@ -0,0 +1,9 @@
+namespace OmneSoft.Models;
+
+// What a bulk action did, as reported back by the grid
+public class BulkActionSummary
+{
+    public string Action { get; set; } = string.Empty;
+    public int Succeeded { get; set; }
+    public BulkActionResult[] Failures { get; set; } = Array.Empty<BulkActionResult>();
+}
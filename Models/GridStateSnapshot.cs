@@ -0,0 +1,10 @@
+namespace OmneSoft.Models;
+
+// Parts of a restored grid state that the Blazor component owns
+public class GridStateSnapshot
+{
+    public string QuickFilterText { get; set; } = string.Empty;
+    public string Density { get; set; } = "standard";
+    public bool TreeView { get; set; }
+    public string[] GroupBy { get; set; } = Array.Empty<string>();
+}
@@ -0,0 +1,9 @@
+namespace OmneSoft.Models;
+
+public class GridViewSummary
+{
+    public string Id { get; set; } = string.Empty;
+    public string Name { get; set; } = string.Empty;
+    public string UpdatedAt { get; set; } = string.Empty;
+    public bool IsActive { get; set; }
+}
@@ -0,0 +1,13 @@
+namespace OmneSoft.Models;
+
+public class RowActionEventArgs
+{
+    public string Action { get; set; } = string.Empty;
+    public object? RowData { get; set; }
+
+    // The row as the action changes it (resend/revoke invitation), null for other actions
+    public object? UpdatedRow { get; set; }
+
+    // Set by the handler to reject UpdatedRow; shown in the browser console
+    public string? Error { get; set; }
+}
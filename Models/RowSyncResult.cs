@@ -0,0 +1,11 @@
+namespace OmneSoft.Models;
+
+// What a row transaction changed in the grid, as reported back by the interop
+public class RowSyncResult
+{
+    public int Added { get; set; }
+    public int Changed { get; set; }
+    public int Removed { get; set; }
+    // Only set by SyncRows: rows that were already up to date
+    public int Unchanged { get; set; }
+}
@@ -53,7 +53,13 @@ module.exports = [
     },
   },
   {
-    files: ['*.config.js', 'postcss.config.js', 'tailwind.config.js'],
+    files: [
+      '*.config.js',
+      'postcss.config.js',
+      'tailwind.config.js',
+      'scripts/**/*.js',
+      'tests/**/*.js',
+    ],
     languageOptions: {
       ecmaVersion: 2022,
       sourceType: 'script',
@@ -0,0 +1,278 @@
+/* eslint-disable no-console */
+/* global Buffer, URL, setInterval, clearInterval */
+
+// Stand-in for the live updates endpoint while there is no backend.
+// Starts from wwwroot/data/users.json and pushes a random change to every
+// client at a fixed interval, in the message format usersInterop.applyLiveUpdate reads:
+//   GET /events  Server-Sent Events
+//   GET /ws      WebSocket
+// Usage: npm run live-server -- [--port 5055] [--interval 2000] [--seed 42]
+// The same seed gives the same sequence of changes, for repeatable tests
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DATA_FILE = path.join(__dirname, '..', 'wwwroot', 'data', 'users.json');
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const KEEP_ALIVE_MS = 15000;
+const MIN_USERS = 10;
+const STATUSES = ['Active', 'Inactive', 'Suspended', 'Archived'];
+const LICENSES = ['Enterprise', 'Standard', 'Field Level'];
+const ROLES = ['analyst', 'field', 'manager', 'admin', 'tech', 'coordinator'];
+const FIRST_NAMES = ['Ada', 'Grace', 'Linus', 'Margaret', 'Alan', 'Katherine'];
+const LAST_NAMES = ['Lovelace', 'Hopper', 'Torvalds', 'Hamilton', 'Turing'];
+
+function readOptions(args) {
+  const options = { port: 5055, interval: 2000, seed: null };
+  for (let i = 0; i < args.length; i += 2) {
+    const name = args[i].replace(/^--/, '');
+    const value = Number(args[i + 1]);
+    if (!(name in options) || !Number.isFinite(value)) {
+      throw new Error(`Unknown option or value: ${args[i]} ${args[i + 1]}`);
+    }
+    options[name] = value;
+  }
+  return options;
+}
+
+// Small seeded generator (mulberry32), or Math.random without a seed
+function createRandom(seed) {
+  if (seed === null) return Math.random;
+
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Random changes to an in-memory copy of the users, so later changes refer to
+// rows the clients have
+class UserChangeGenerator {
+  constructor(users, random) {
+    this.users = users;
+    this.random = random;
+    this.nextId = 2001;
+  }
+
+  pick(values) {
+    return values[Math.floor(this.random() * values.length)];
+  }
+
+  next() {
+    const roll = this.random();
+    if (roll < 0.1) return this.addUser();
+    if (roll < 0.2 && this.users.length > MIN_USERS) return this.removeUser();
+
+    const user = this.pick(this.users);
+    const changes = { id: user.id };
+    if (roll < 0.5) {
+      changes.lastActive = new Date().toISOString();
+    } else if (roll < 0.75) {
+      changes.status = this.pick(STATUSES.filter(s => s !== user.status));
+    } else if (roll < 0.9) {
+      const role = this.pick(ROLES);
+      changes.roles = user.roles.includes(role)
+        ? user.roles.filter(r => r !== role)
+        : [...user.roles, role];
+      if (changes.roles.length === 0) changes.roles = [role];
+    } else {
+      changes.license = this.pick(LICENSES.filter(l => l !== user.license));
+    }
+    Object.assign(user, changes);
+    return { type: 'update', rows: [changes] };
+  }
+
+  addUser() {
+    const first = this.pick(FIRST_NAMES);
+    const last = this.pick(LAST_NAMES);
+    const number = this.nextId++;
+    const now = new Date();
+    const user = {
+      id: `u-${number}`,
+      fullName: `${first} ${last}`,
+      roles: [this.pick(ROLES)],
+      license: this.pick(LICENSES),
+      email: `${first[0]}${last}${number}@omnesoft.com`.toLowerCase(),
+      lastActive: null,
+      status: 'Inactive',
+      invitedBy: this.pick(this.users).fullName,
+      avatarUrl: null,
+      invitation: {
+        state: 'pending',
+        sentAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + 14 * 86400000).toISOString(),
+      },
+    };
+    this.users.push(user);
+    return { type: 'add', rows: [user] };
+  }
+
+  removeUser() {
+    const user = this.pick(this.users);
+    this.users.splice(this.users.indexOf(user), 1);
+    return { type: 'remove', rows: [{ id: user.id }] };
+  }
+}
+
+// Server-to-client text frame; payloads here stay well under 2^32 bytes
+function encodeWebSocketFrame(text, opcode = 0x1) {
+  const payload = Buffer.from(text);
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeUInt32BE(payload.length, 6);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+// Answer the client's pings and close frames; the server ignores data it is sent.
+// TCP may split or join frames, so this reads the complete frames in buffer
+// and returns the bytes of an incomplete one, to read again with the next chunk
+function handleWebSocketFrames(socket, buffer) {
+  let offset = 0;
+  while (offset + 2 <= buffer.length) {
+    const opcode = buffer[offset] & 0x0f;
+    let length = buffer[offset + 1] & 0x7f;
+    let headerLength = 2;
+    if (length === 126) {
+      headerLength = 4;
+      if (offset + headerLength > buffer.length) break;
+      length = buffer.readUInt16BE(offset + 2);
+    } else if (length === 127) {
+      headerLength = 10;
+      if (offset + headerLength > buffer.length) break;
+      length = buffer.readUInt32BE(offset + 6);
+    }
+    const masked = (buffer[offset + 1] & 0x80) !== 0;
+    const maskStart = offset + headerLength;
+    const dataStart = maskStart + (masked ? 4 : 0);
+    if (dataStart + length > buffer.length) break;
+
+    const data = Buffer.from(buffer.subarray(dataStart, dataStart + length));
+    if (masked) {
+      for (let i = 0; i < data.length; i++) {
+        data[i] ^= buffer[maskStart + (i % 4)];
+      }
+    }
+
+    if (opcode === 0x8) {
+      socket.end(encodeWebSocketFrame('', 0x8));
+      return Buffer.alloc(0);
+    }
+    if (opcode === 0x9) {
+      socket.write(encodeWebSocketFrame(data.toString(), 0xa));
+    }
+    offset = dataStart + length;
+  }
+  return buffer.subarray(offset);
+}
+
+function startServer(options) {
+  const users = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+  const generator = new UserChangeGenerator(users, createRandom(options.seed));
+  const clients = new Set();
+
+  const server = http.createServer((request, response) => {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    if (pathname !== '/events') {
+      response.writeHead(404, { 'Content-Type': 'text/plain' });
+      response.end('Live updates: GET /events (SSE) or /ws (WebSocket)\n');
+      return;
+    }
+
+    response.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'Access-Control-Allow-Origin': '*',
+    });
+    response.write(': connected\n\n');
+    const client = {
+      send: text => response.write(`data: ${text}\n\n`),
+      keepAlive: () => response.write(': keep-alive\n\n'),
+    };
+    clients.add(client);
+    request.on('close', () => clients.delete(client));
+  });
+
+  server.on('upgrade', (request, socket, head) => {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    const key = request.headers['sec-websocket-key'];
+    if (pathname !== '/ws' || !key) {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+
+    const accept = crypto
+      .createHash('sha1')
+      .update(key + WEBSOCKET_GUID)
+      .digest('base64');
+    socket.write(
+      'HTTP/1.1 101 Switching Protocols\r\n' +
+        'Upgrade: websocket\r\n' +
+        'Connection: Upgrade\r\n' +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+    );
+    const client = {
+      send: text => socket.write(encodeWebSocketFrame(text)),
+      keepAlive: () => socket.write(encodeWebSocketFrame('', 0x9)),
+    };
+    clients.add(client);
+    // head holds any bytes the client sent after its handshake
+    let pending = handleWebSocketFrames(socket, head);
+    socket.on('data', chunk => {
+      pending = handleWebSocketFrames(socket, Buffer.concat([pending, chunk]));
+    });
+    // The HTTP server allows half-open sockets; finish ours when the client does
+    socket.on('end', () => socket.end());
+    socket.on('close', () => clients.delete(client));
+    socket.on('error', () => clients.delete(client));
+  });
+
+  const changeTimer = setInterval(() => {
+    if (clients.size === 0) return;
+
+    const text = JSON.stringify(generator.next());
+    clients.forEach(client => client.send(text));
+    console.log(`${clients.size} client(s) <- ${text}`);
+  }, options.interval);
+  const keepAliveTimer = setInterval(
+    () => clients.forEach(client => client.keepAlive()),
+    KEEP_ALIVE_MS
+  );
+
+  server.on('close', () => {
+    clearInterval(changeTimer);
+    clearInterval(keepAliveTimer);
+  });
+  server.listen(options.port, () => {
+    console.log(
+      `Live updates on http://localhost:${options.port}/events and ws://localhost:${options.port}/ws`
+    );
+  });
+  return server;
+}
+
+if (require.main === module) {
+  const server = startServer(readOptions(process.argv.slice(2)));
+  process.on('SIGINT', () => {
+    server.close();
+    process.exit(0);
+  });
+}
+
+module.exports = { startServer, UserChangeGenerator, createRandom };
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadInterop } = require('./helpers/interop');
+
+const IDS = ['u-1001', 'u-1002', 'u-1004'];
+
+function selectRows(gridApi, ids) {
+  ids.forEach(id => gridApi.getRowNode(id).setSelected(true));
+}
+
+test('a failed HandleBulkAction reports every row it was sent', async () => {
+  const { interop, dotNetRef, createGrid, close } = loadInterop();
+  createGrid();
+  const gridApi = interop.grids.get('users-grid');
+  selectRows(gridApi, IDS);
+  const statuses = IDS.map(id => gridApi.getRowNode(id).data.status);
+
+  dotNetRef.results.HandleBulkAction = () => {
+    throw new Error('Status service unavailable');
+  };
+  const summary = await interop.runBulkAction(
+    'users-grid',
+    'setStatus',
+    'Suspended'
+  );
+
+  assert.equal(summary.succeeded, 0);
+  assert.deepEqual(
+    [...summary.failures].map(({ id, error }) => ({ id, error })),
+    IDS.map(id => ({ id, error: 'Status service unavailable' }))
+  );
+  assert.deepEqual(
+    IDS.map(id => gridApi.getRowNode(id).data.status),
+    statuses
+  );
+  close();
+});
+
+test('rows .NET accepts are updated and the rejected ones reported', async () => {
+  const { interop, dotNetRef, createGrid, close } = loadInterop();
+  createGrid();
+  const gridApi = interop.grids.get('users-grid');
+  selectRows(gridApi, IDS);
+
+  dotNetRef.results.HandleBulkAction = request =>
+    request.ids.map(id =>
+      id === 'u-1002'
+        ? { id, success: false, error: 'Locked' }
+        : { id, success: true }
+    );
+  const summary = await interop.runBulkAction(
+    'users-grid',
+    'setLicense',
+    'Enterprise'
+  );
+
+  assert.equal(summary.succeeded, 2);
+  assert.deepEqual(
+    [...summary.failures].map(({ id, error }) => ({ id, error })),
+    [{ id: 'u-1002', error: 'Locked' }]
+  );
+  assert.equal(gridApi.getRowNode('u-1001').data.license, 'Enterprise');
+  assert.notEqual(gridApi.getRowNode('u-1002').data.license, 'Enterprise');
+  close();
+});
+
+test('updated rows go through the row transaction and flash what changed', async () => {
+  const { interop, dotNetRef, createGrid, close } = loadInterop();
+  createGrid();
+  const gridApi = interop.grids.get('users-grid');
+  selectRows(gridApi, IDS);
+  const flashed = [];
+  const flashCells = gridApi.flashCells.bind(gridApi);
+  gridApi.flashCells = params => {
+    params.rowNodes.forEach(node =>
+      flashed.push(`${node.id}:${[...params.columns].join()}`)
+    );
+    return flashCells(params);
+  };
+
+  dotNetRef.results.HandleBulkAction = request =>
+    request.ids.map(id => ({ id, success: true }));
+  await interop.runBulkAction('users-grid', 'setLicense', 'Enterprise');
+  assert.deepEqual(
+    flashed,
+    IDS.map(id => `${id}:license`)
+  );
+  close();
+});
@@ -0,0 +1,110 @@
+/* global setTimeout */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadInterop } = require('./helpers/interop');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Runs fn with .NET failing method, e.g. because the component was disposed,
+// and returns the promise rejections nobody handled
+async function collectUnhandledRejections(dotNetRef, method, fn) {
+  const rejections = [];
+  const onRejection = reason => rejections.push(reason);
+  process.on('unhandledRejection', onRejection);
+  dotNetRef.results[method] = () => {
+    throw new Error(`${method} failed`);
+  };
+  try {
+    await fn();
+    await sleep(50);
+  } finally {
+    process.off('unhandledRejection', onRejection);
+  }
+  return rejections;
+}
+
+test('a failed pending changes notification is handled', async () => {
+  const { interop, dotNetRef, dotNetCalls, createGrid, close } = loadInterop();
+  createGrid();
+  const gridApi = interop.grids.get('users-grid');
+
+  const rejections = await collectUnhandledRejections(
+    dotNetRef,
+    'HandlePendingChangesChanged',
+    async () => {
+      interop.setEditMode('users-grid', true);
+      gridApi.getRowNode('u-1001').setDataValue('status', 'Suspended');
+      await sleep(20);
+    }
+  );
+  assert.ok(
+    dotNetCalls.some(call => call.method === 'HandlePendingChangesChanged')
+  );
+  assert.deepEqual(rejections, []);
+  close();
+});
+
+test('a failed search error notification is handled', async () => {
+  const { interop, dotNetRef, dotNetCalls, createGrid, close } = loadInterop();
+  createGrid();
+
+  const rejections = await collectUnhandledRejections(
+    dotNetRef,
+    'HandleSearchErrorChanged',
+    () => interop.applyQuickFilterText('users-grid', '"unclosed')
+  );
+  assert.ok(
+    dotNetCalls.some(call => call.method === 'HandleSearchErrorChanged')
+  );
+  assert.deepEqual(rejections, []);
+  close();
+});
+
+test('a failed query filter notification is handled', async () => {
+  const { interop, dotNetRef, dotNetCalls, createGrid, close } = loadInterop();
+  createGrid();
+
+  const rejections = await collectUnhandledRejections(
+    dotNetRef,
+    'HandleQueryFilterChanged',
+    () =>
+      interop.setQueryFilter('users-grid', {
+        type: 'group',
+        logic: 'and',
+        conditions: [
+          {
+            type: 'condition',
+            field: 'roles',
+            operator: 'contains',
+            value: 'admin',
+          },
+        ],
+      })
+  );
+  assert.ok(
+    dotNetCalls.some(call => call.method === 'HandleQueryFilterChanged')
+  );
+  assert.deepEqual(rejections, []);
+  close();
+});
+
+test('a failed live update status notification is handled', async () => {
+  const { window, interop, dotNetRef, dotNetCalls, createGrid, close } =
+    loadInterop();
+  window.WebSocket = class {
+    close() {}
+  };
+  createGrid();
+
+  const rejections = await collectUnhandledRejections(
+    dotNetRef,
+    'HandleLiveUpdateStatusChanged',
+    () =>
+      interop.startLiveUpdates('users-grid', { url: 'ws://localhost:5055/ws' })
+  );
+  assert.ok(
+    dotNetCalls.some(call => call.method === 'HandleLiveUpdateStatusChanged')
+  );
+  assert.deepEqual(rejections, []);
+  close();
+});
@@ -0,0 +1,47 @@
+/* global setTimeout */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadInterop } = require('./helpers/interop');
+
+const STORAGE_KEY = 'usersGrid.state.users-grid';
+// The layout is saved a moment after the last change; jsdom renders slowly
+const SAVE_WAIT_MS = 1000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('reset layout forgets the saved state', async () => {
+  const { window, interop, createGrid, close } = loadInterop();
+  createGrid();
+  const gridApi = interop.grids.get('users-grid');
+  await sleep(50);
+
+  gridApi.applyColumnState({ state: [{ colId: 'email', sort: 'desc' }] });
+  interop.setGrouping('users-grid', ['status']);
+  gridApi.paginationGoToPage(1);
+  await sleep(SAVE_WAIT_MS);
+  assert.ok(window.localStorage.getItem(STORAGE_KEY));
+
+  assert.equal(interop.resetGridState('users-grid'), true);
+  await sleep(SAVE_WAIT_MS);
+  assert.equal(window.localStorage.getItem(STORAGE_KEY), null);
+
+  // Changes after the reset are saved again
+  gridApi.applyColumnState({ state: [{ colId: 'email', sort: 'asc' }] });
+  await sleep(SAVE_WAIT_MS);
+  assert.ok(window.localStorage.getItem(STORAGE_KEY));
+  close();
+});
+
+test('an imported view does not take the name of a view in another case', () => {
+  const { interop, createGrid, close } = loadInterop();
+  createGrid();
+
+  assert.ok(interop.saveView('users-grid', 'Active users'));
+  const imported = interop.importView('users-grid', {
+    type: 'usersGrid.view',
+    name: 'ACTIVE USERS',
+    state: { filterModel: {} },
+  });
+  assert.equal(imported.name, 'ACTIVE USERS (2)');
+  close();
+});
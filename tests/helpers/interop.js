@@ -0,0 +1,139 @@
+// Loads AG Grid and wwwroot/js/users-interop.js into a jsdom window, the way
+// wwwroot/index.html does, so the tests can drive usersInterop like Blazor would
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+const AG_GRID_FILE = path.join(
+  ROOT,
+  'node_modules',
+  'ag-grid-community',
+  'dist',
+  'ag-grid-community.js'
+);
+const INTEROP_FILE = path.join(ROOT, 'wwwroot', 'js', 'users-interop.js');
+const USERS_FILE = path.join(ROOT, 'wwwroot', 'data', 'users.json');
+
+let agGridSource;
+let interopSource;
+
+function readUsers() {
+  return JSON.parse(fs.readFileSync(USERS_FILE, 'utf8'));
+}
+
+// Columns as UsersGrid.razor configures them
+function createColumnDefs() {
+  return [
+    {
+      field: 'fullName',
+      filter: 'agTextColumnFilter',
+      cellRenderer: 'fullNameCellRenderer',
+    },
+    {
+      field: 'roles',
+      filter: 'agTextColumnFilter',
+      cellRenderer: 'rolesCellRenderer',
+    },
+    {
+      field: 'license',
+      filter: 'agSetColumnFilter',
+      cellRenderer: 'badgeCellRenderer',
+    },
+    {
+      field: 'email',
+      filter: 'agTextColumnFilter',
+      cellRenderer: 'emailCellRenderer',
+    },
+    {
+      field: 'lastActive',
+      filter: 'dateRangeFilter',
+      cellRenderer: 'lastActiveCellRenderer',
+    },
+    {
+      field: 'status',
+      filter: 'agSetColumnFilter',
+      cellRenderer: 'badgeCellRenderer',
+    },
+    {
+      field: 'invitedBy',
+      filter: 'agTextColumnFilter',
+      cellRenderer: 'invitedByCellRenderer',
+    },
+    {
+      field: 'actions',
+      filter: false,
+      sortable: false,
+      cellRenderer: 'actionsCellRenderer',
+    },
+  ];
+}
+
+// options.expose: names of top-level functions and classes of the interop
+// script to make available as `internals` (they aren't properties of window)
+// options.url: the page URL, for deep link tests
+function loadInterop(options = {}) {
+  agGridSource = agGridSource || fs.readFileSync(AG_GRID_FILE, 'utf8');
+  interopSource = interopSource || fs.readFileSync(INTEROP_FILE, 'utf8');
+
+  const dom = new JSDOM(
+    '<!doctype html><html><body><div id="users-grid" style="height: 500px; width: 1200px"></div></body></html>',
+    {
+      runScripts: 'outside-only',
+      pretendToBeVisual: true,
+      url: options.url || 'http://localhost/',
+      virtualConsole: new VirtualConsole(),
+    }
+  );
+  const window = dom.window;
+  window.eval(agGridSource);
+  const expose = options.expose || [];
+  window.eval(
+    `${interopSource}\nwindow.__interopInternals = { ${expose.join(', ')} };`
+  );
+
+  // Stands in for the UsersGrid DotNetObjectReference
+  const dotNetCalls = [];
+  const dotNetRef = {
+    results: {},
+    invokeMethodAsync(method, ...args) {
+      dotNetCalls.push({ method, args });
+      const result = this.results[method];
+      return typeof result === 'function'
+        ? Promise.resolve().then(() => result(...args))
+        : Promise.resolve(result ?? null);
+    },
+  };
+
+  const createGrid = (gridOptions = {}) =>
+    window.usersInterop.createGrid(
+      'users-grid',
+      {
+        columnDefs: createColumnDefs(),
+        rowData: readUsers(),
+        pagination: true,
+        paginationPageSize: 25,
+        rowSelection: 'multiple',
+        suppressColumnVirtualisation: true,
+        ...gridOptions,
+      },
+      dotNetRef
+    );
+
+  return {
+    dom,
+    window,
+    document: window.document,
+    interop: window.usersInterop,
+    internals: window.__interopInternals,
+    dotNetRef,
+    dotNetCalls,
+    createGrid,
+    close: () => {
+      window.usersInterop.destroyGrid('users-grid');
+      window.close();
+    },
+  };
+}
+
+module.exports = { loadInterop, readUsers, createColumnDefs };
@@ -0,0 +1,102 @@
+/* global setTimeout */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadInterop } = require('./helpers/interop');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const MAPPING = {
+  fullName: 'Name',
+  email: 'Email',
+  license: 'License',
+  status: 'Status',
+  invitedBy: 'Invited By',
+};
+const RECORDS = [
+  {
+    Name: 'Ada Lovelace',
+    Email: 'ada@example.com',
+    License: 'Enterprise',
+    Status: 'Active',
+    'Invited By': 'Antisharn Ahmad',
+  },
+];
+
+function findByEmail(gridApi, email) {
+  let found = null;
+  gridApi.forEachNode(node => {
+    if (node.data && node.data.email === email) found = node.data;
+  });
+  return found;
+}
+
+test('a failed import leaves the grid as it was and can be retried', async () => {
+  const { interop, dotNetRef, dotNetCalls, createGrid, close } = loadInterop();
+  createGrid();
+  const gridApi = interop.grids.get('users-grid');
+  const rowCount = gridApi.getDisplayedRowCount();
+
+  dotNetRef.results.HandleRowsImported = () => {
+    throw new Error('Database unavailable');
+  };
+  assert.equal(await interop.importRows('users-grid', RECORDS, MAPPING), null);
+  assert.equal(gridApi.getDisplayedRowCount(), rowCount);
+  assert.equal(findByEmail(gridApi, 'ada@example.com'), null);
+
+  dotNetRef.results.HandleRowsImported = null;
+  const result = await interop.importRows('users-grid', RECORDS, MAPPING);
+  assert.deepEqual(
+    { ...result, errors: [...result.errors] },
+    { added: 1, updated: 0, rejected: 0, errors: [] }
+  );
+  assert.equal(gridApi.getDisplayedRowCount(), rowCount + 1);
+  assert.equal(
+    dotNetCalls.filter(call => call.method === 'HandleRowsImported').length,
+    2
+  );
+  close();
+});
+
+test('imported users are linked to their inviter straight away', async () => {
+  const { interop, createGrid, close } = loadInterop();
+  createGrid();
+  const gridApi = interop.grids.get('users-grid');
+  // Build the index from the rows before the import
+  interop.getInvitationIndex('users-grid');
+
+  await interop.importRows('users-grid', RECORDS, MAPPING);
+  const imported = findByEmail(gridApi, 'ada@example.com');
+  assert.equal(
+    interop.getInvitationIndex('users-grid').getParentId(imported.id),
+    'u-1001'
+  );
+  close();
+});
+
+test('importing over a user with unsaved edits keeps the edits', async () => {
+  const { interop, createGrid, close } = loadInterop();
+  createGrid();
+  const gridApi = interop.grids.get('users-grid');
+  interop.setEditMode('users-grid', true);
+  gridApi.getRowNode('u-1001').setDataValue('status', 'Suspended');
+  await sleep(20);
+
+  const result = await interop.importRows(
+    'users-grid',
+    [
+      {
+        ...RECORDS[0],
+        ID: 'u-1001',
+        Name: 'Antisharn Ahmad',
+        Email: 'new@omnesoft.com',
+      },
+    ],
+    { ...MAPPING, id: 'ID' }
+  );
+  assert.equal(result.updated, 1);
+  const row = gridApi.getRowNode('u-1001').data;
+  assert.equal(row.email, 'new@omnesoft.com');
+  assert.equal(row.status, 'Suspended');
+  assert.equal(interop.isCellDirty('users-grid', 'u-1001', 'status'), true);
+  close();
+});
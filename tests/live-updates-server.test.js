@@ -0,0 +1,113 @@
+/* eslint-disable no-console */
+/* global Buffer, setTimeout */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { startServer } = require('../scripts/live-updates-server');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// The server logs every change; keep the test output quiet
+async function listen(options) {
+  const log = console.log;
+  console.log = () => {};
+  const server = startServer({ port: 0, interval: 60000, seed: 1, ...options });
+  await new Promise(resolve => server.once('listening', resolve));
+  console.log = log;
+  return server;
+}
+
+function closeServer(server) {
+  return new Promise(resolve => server.close(resolve));
+}
+
+// Open a raw WebSocket and collect everything the server sends after the handshake
+async function connectWebSocket(port) {
+  const socket = net.connect(port, '127.0.0.1');
+  await new Promise(resolve => socket.once('connect', resolve));
+  socket.write(
+    'GET /ws HTTP/1.1\r\n' +
+      'Host: localhost\r\n' +
+      'Upgrade: websocket\r\n' +
+      'Connection: Upgrade\r\n' +
+      'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\n' +
+      'Sec-WebSocket-Version: 13\r\n\r\n'
+  );
+
+  const connection = { socket, received: Buffer.alloc(0), handshake: '' };
+  socket.on('data', chunk => {
+    if (!connection.handshake) {
+      const text = chunk.toString('latin1');
+      const end = text.indexOf('\r\n\r\n');
+      connection.handshake = text.slice(0, end);
+      chunk = chunk.subarray(end + 4);
+    }
+    connection.received = Buffer.concat([connection.received, chunk]);
+  });
+  return connection;
+}
+
+// Client-to-server frame, masked as RFC 6455 requires
+function encodeClientFrame(text, opcode) {
+  const payload = Buffer.from(text);
+  const mask = Buffer.from([1, 2, 3, 4]);
+  const masked = payload.map((byte, i) => byte ^ mask[i % 4]);
+  return Buffer.concat([
+    Buffer.from([0x80 | opcode, 0x80 | payload.length]),
+    mask,
+    masked,
+  ]);
+}
+
+async function waitForBytes(connection, length) {
+  for (let i = 0; i < 100 && connection.received.length < length; i++) {
+    await sleep(10);
+  }
+}
+
+test('answers a ping that arrives split over several packets', async () => {
+  const server = await listen();
+  const connection = await connectWebSocket(server.address().port);
+  try {
+    const frame = encodeClientFrame('hello', 0x9);
+    for (const byte of frame) {
+      connection.socket.write(Buffer.from([byte]));
+      await sleep(5);
+    }
+    await waitForBytes(connection, 7);
+
+    assert.match(connection.handshake, /^HTTP\/1\.1 101/);
+    assert.equal(connection.received[0], 0x8a);
+    assert.equal(connection.received.subarray(2, 7).toString(), 'hello');
+  } finally {
+    connection.socket.destroy();
+    await closeServer(server);
+  }
+});
+
+test('answers frames that arrive together in one packet', async () => {
+  const server = await listen();
+  const connection = await connectWebSocket(server.address().port);
+  try {
+    connection.socket.write(
+      Buffer.concat([
+        encodeClientFrame('one', 0x9),
+        encodeClientFrame('two', 0x9),
+        encodeClientFrame('', 0x8),
+      ])
+    );
+    await waitForBytes(connection, 12);
+
+    assert.deepEqual(
+      [...connection.received],
+      [
+        ...[0x8a, 3, ...Buffer.from('one')],
+        ...[0x8a, 3, ...Buffer.from('two')],
+        ...[0x88, 0],
+      ]
+    );
+  } finally {
+    connection.socket.destroy();
+    await closeServer(server);
+  }
+});
@@ -0,0 +1,224 @@
+/* eslint-disable no-console */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { loadInterop, readUsers } = require('./helpers/interop');
+const {
+  startServer,
+  UserChangeGenerator,
+  createRandom,
+} = require('../scripts/live-updates-server');
+
+// Stands in for the browser WebSocket; the tests open and close it by hand
+function installFakeWebSocket(window) {
+  const sockets = [];
+  window.WebSocket = class {
+    constructor(url) {
+      this.url = url;
+      this.closed = false;
+      sockets.push(this);
+    }
+
+    close() {
+      this.closed = true;
+    }
+  };
+  return sockets;
+}
+
+// Runs fn with the window's setTimeout recording the reconnect timers instead
+function captureTimers(window, fn) {
+  const timers = [];
+  const setTimeout = window.setTimeout;
+  window.setTimeout = (callback, delay) => {
+    timers.push({ callback, delay });
+    return 0;
+  };
+  try {
+    fn();
+  } finally {
+    window.setTimeout = setTimeout;
+  }
+  return timers;
+}
+
+test('reconnecting asks .NET to reload what was missed', () => {
+  const { window, interop, dotNetCalls, createGrid, close } = loadInterop();
+  const sockets = installFakeWebSocket(window);
+  createGrid();
+  const reloads = () =>
+    dotNetCalls.filter(call => call.method === 'HandleLiveUpdatesReconnected')
+      .length;
+
+  interop.startLiveUpdates('users-grid', { url: 'ws://localhost:5055/ws' });
+  sockets[0].onopen();
+  assert.equal(reloads(), 0);
+
+  const timers = captureTimers(window, () => sockets[0].onclose());
+  assert.equal(interop.getLiveUpdateStatus('users-grid'), 'reconnecting');
+  timers[0].callback();
+  sockets[1].onopen();
+  assert.equal(interop.getLiveUpdateStatus('users-grid'), 'live');
+  assert.equal(reloads(), 1);
+  close();
+});
+
+test('destroying the grid does not report the stopped channel to .NET', () => {
+  const loaded = loadInterop();
+  const { window, interop, dotNetCalls, createGrid } = loaded;
+  const sockets = installFakeWebSocket(window);
+  createGrid();
+
+  interop.startLiveUpdates('users-grid', { url: 'ws://localhost:5055/ws' });
+  sockets[0].onopen();
+  assert.equal(interop.getLiveUpdateStatus('users-grid'), 'live');
+
+  const callsBefore = dotNetCalls.length;
+  loaded.close();
+  assert.equal(sockets[0].closed, true);
+  assert.deepEqual(
+    dotNetCalls
+      .slice(callsBefore)
+      .filter(call => call.method === 'HandleLiveUpdateStatusChanged'),
+    []
+  );
+});
+
+test('reconnects with exponential backoff, starting over once connected', () => {
+  const { window, internals } = loadInterop({ expose: ['LiveUpdateChannel'] });
+  const sockets = installFakeWebSocket(window);
+  // No jitter: every delay is the full backoff
+  window.Math.random = () => 1;
+  const statuses = [];
+  const channel = new internals.LiveUpdateChannel(
+    { url: 'ws://localhost:5055/ws' },
+    {
+      onMessage: () => {},
+      onStatus: (status, retryInSeconds) =>
+        statuses.push(`${status} ${retryInSeconds}`),
+      onReconnect: () => statuses.push('reconnected'),
+    }
+  );
+
+  channel.start();
+  const delays = [];
+  for (let i = 0; i < 7; i++) {
+    const timers = captureTimers(window, () => sockets.at(-1).onclose());
+    delays.push(timers[0].delay);
+    timers[0].callback();
+  }
+  assert.deepEqual(delays, [1000, 2000, 4000, 8000, 16000, 30000, 30000]);
+  assert.deepEqual(statuses.slice(0, 5), [
+    'connecting 0',
+    'reconnecting 1',
+    'reconnecting 0',
+    'reconnecting 2',
+    'reconnecting 0',
+  ]);
+
+  sockets.at(-1).onopen();
+  assert.deepEqual(statuses.slice(-2), ['live 0', 'reconnected']);
+  const timers = captureTimers(window, () => sockets.at(-1).onclose());
+  assert.equal(timers[0].delay, 1000);
+
+  // Jitter takes up to half of the delay off: the next 2s wait becomes 1s
+  window.Math.random = () => 0;
+  timers[0].callback();
+  assert.equal(
+    captureTimers(window, () => sockets.at(-1).onclose())[0].delay,
+    1000
+  );
+
+  channel.stop();
+  assert.equal(channel.status, 'offline');
+  assert.ok(sockets.every(socket => socket.closed));
+  window.close();
+});
+
+// The grid's rows, reduced to the fields the change generator touches
+function snapshotRows(rows) {
+  return rows
+    .map(({ id, fullName, roles, license, email, status, lastActive }) => ({
+      id,
+      fullName,
+      roles: [...roles],
+      license,
+      email,
+      status,
+      lastActive,
+    }))
+    .sort((a, b) => a.id.localeCompare(b.id));
+}
+
+test('applies seeded adds, updates and removes to the grid', () => {
+  const { interop, createGrid, close } = loadInterop();
+  createGrid();
+  const gridApi = interop.grids.get('users-grid');
+  const generator = new UserChangeGenerator(readUsers(), createRandom(42));
+
+  const types = new Set();
+  for (let i = 0; i < 60; i++) {
+    const message = JSON.parse(JSON.stringify(generator.next()));
+    types.add(message.type);
+    assert.equal(interop.applyLiveUpdate('users-grid', message), true);
+    gridApi.flushAsyncTransactions();
+  }
+  assert.deepEqual([...types].sort(), ['add', 'remove', 'update']);
+
+  const rows = [];
+  gridApi.forEachNode(node => rows.push(node.data));
+  assert.deepEqual(snapshotRows(rows), snapshotRows(generator.users));
+  close();
+});
+
+// Read the first count Server-Sent Events messages of the stand-in server
+function readEvents(port, count) {
+  return new Promise((resolve, reject) => {
+    const messages = [];
+    const request = http.get(`http://127.0.0.1:${port}/events`, response => {
+      let text = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => {
+        text += chunk;
+        const events = text.split('\n\n');
+        text = events.pop();
+        events
+          .filter(event => event.startsWith('data: '))
+          .forEach(event => messages.push(JSON.parse(event.slice(6))));
+        if (messages.length >= count) {
+          request.destroy();
+          resolve(messages.slice(0, count));
+        }
+      });
+    });
+    request.on('error', reject);
+  });
+}
+
+test('the stand-in server sends the changes its seed generates', async () => {
+  const log = console.log;
+  console.log = () => {};
+  const server = startServer({ port: 0, interval: 10, seed: 7 });
+  try {
+    await new Promise(resolve => server.once('listening', resolve));
+    const messages = await readEvents(server.address().port, 20);
+
+    const generator = new UserChangeGenerator(readUsers(), createRandom(7));
+    // lastActive and invitation dates are the time of the change
+    const withoutDates = message =>
+      message.rows.map(row => {
+        const copy = { ...row };
+        delete copy.lastActive;
+        delete copy.invitation;
+        return copy;
+      });
+    messages.forEach(message => {
+      const expected = JSON.parse(JSON.stringify(generator.next()));
+      assert.equal(message.type, expected.type);
+      assert.deepEqual(withoutDates(message), withoutDates(expected));
+    });
+  } finally {
+    console.log = log;
+    await new Promise(resolve => server.close(resolve));
+  }
+});
@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadInterop } = require('./helpers/interop');
+
+const condition = (field, operator, value) => ({
+  type: 'condition',
+  field,
+  operator,
+  value,
+});
+const group = (logic, ...conditions) => ({ type: 'group', logic, conditions });
+
+test('normaliseQueryExpression returns a clean copy of a valid query', () => {
+  const { internals, window } = loadInterop({
+    expose: ['normaliseQueryExpression'],
+  });
+  const expression = group(
+    'or',
+    condition('status', 'equals', ' Active '),
+    group('and', condition('lastActive', 'olderThan', '30')),
+    group('and')
+  );
+
+  assert.deepEqual(
+    JSON.parse(
+      JSON.stringify(internals.normaliseQueryExpression(expression, null))
+    ),
+    group(
+      'or',
+      condition('status', 'equals', 'Active'),
+      group('and', condition('lastActive', 'olderThan', 30))
+    )
+  );
+  window.close();
+});
+
+test('normaliseQueryExpression refuses unknown and inherited names', () => {
+  const { internals, window } = loadInterop({
+    expose: ['normaliseQueryExpression'],
+  });
+  const normalise = expression => () =>
+    internals.normaliseQueryExpression(expression, null);
+
+  ['like', 'constructor', 'toString', '__proto__', 'hasOwnProperty'].forEach(
+    operator =>
+      assert.throws(
+        normalise(group('and', condition('status', operator, 'Active'))),
+        { name: 'Error', message: `Unknown operator "${operator}"` }
+      )
+  );
+  ['xor', 'constructor', 'toString', '__proto__'].forEach(logic =>
+    assert.throws(normalise(group(logic)), {
+      name: 'Error',
+      message: `Unknown group logic "${logic}"`,
+    })
+  );
+  assert.throws(
+    normalise(group('and', group('constructor', condition('status', 'blank')))),
+    { name: 'Error', message: 'Unknown group logic "constructor"' }
+  );
+  window.close();
+});
+
+test('matchesQueryExpression combines groups and negated operators', () => {
+  const { internals, window } = loadInterop({
+    expose: ['matchesQueryExpression'],
+  });
+  const row = { status: 'Active', roles: ['admin', 'tech'], lastActive: null };
+  const matches = expression =>
+    internals.matchesQueryExpression(row, expression);
+
+  assert.equal(matches(group('and')), true);
+  assert.equal(
+    matches(group('and', condition('roles', 'contains', 'adm'))),
+    true
+  );
+  assert.equal(
+    matches(group('and', condition('status', 'notEquals', 'active'))),
+    false
+  );
+  assert.equal(matches(group('and', condition('lastActive', 'blank'))), true);
+  assert.equal(
+    matches(
+      group(
+        'or',
+        condition('status', 'equals', 'Suspended'),
+        group(
+          'and',
+          condition('roles', 'contains', 'tech'),
+          condition('lastActive', 'notBlank')
+        )
+      )
+    ),
+    false
+  );
+  assert.equal(
+    matches(
+      group(
+        'or',
+        condition('status', 'equals', 'Suspended'),
+        condition('roles', 'notContains', 'field')
+      )
+    ),
+    true
+  );
+  window.close();
+});
+
+test('an inherited operator name is refused and leaves the filter as it was', () => {
+  const { interop, createGrid, close } = loadInterop();
+  createGrid();
+  const gridApi = interop.grids.get('users-grid');
+  const rowCount = gridApi.getDisplayedRowCount();
+
+  assert.equal(
+    interop.setQueryFilter(
+      'users-grid',
+      group('and', condition('status', 'constructor', 'Active'))
+    ),
+    false
+  );
+  assert.equal(interop.getQueryFilter('users-grid'), null);
+  assert.equal(interop.describeQueryFilter('users-grid'), null);
+  assert.equal(gridApi.getDisplayedRowCount(), rowCount);
+  close();
+});
+
+test('a saved layout or imported view with an invalid query still loads', () => {
+  const { interop, createGrid, close } = loadInterop();
+  createGrid();
+  const gridApi = interop.grids.get('users-grid');
+  const rowCount = gridApi.getDisplayedRowCount();
+  const invalid = group('toString', condition('status', 'equals', 'Active'));
+
+  assert.equal(
+    interop.applyGridState('users-grid', { queryFilter: invalid }),
+    true
+  );
+  assert.equal(interop.getQueryFilter('users-grid'), null);
+  assert.equal(gridApi.getDisplayedRowCount(), rowCount);
+
+  const imported = interop.importView('users-grid', {
+    type: 'usersGrid.view',
+    name: 'Shared',
+    state: { filterModel: {}, queryFilter: invalid },
+  });
+  const view = interop.loadViews('users-grid').find(v => v.id === imported.id);
+  assert.equal(view.state.queryFilter, null);
+  close();
+});
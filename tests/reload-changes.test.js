@@ -0,0 +1,89 @@
+/* global setTimeout */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadInterop, readUsers } = require('./helpers/interop');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Reload Data as UsersGrid.RefreshData runs it: the grid stays mounted while
+// .NET loads the users again, then syncRows applies the new dataset
+test('a reload marks new, changed and removed users in the grid on screen', async () => {
+  const { document, interop, createGrid, close } = loadInterop();
+  const users = readUsers();
+  createGrid({
+    rowData: users,
+    statusBar: {
+      statusPanels: [{ statusPanel: 'reloadChangesStatusPanel' }],
+    },
+  });
+  const gridApi = interop.grids.get('users-grid');
+  const container = document.getElementById('users-grid');
+  await sleep(50);
+  gridApi.getRowNode('u-1001').setSelected(true);
+
+  const reloaded = users
+    .filter(user => user.id !== 'u-1003')
+    .map(user =>
+      user.id === 'u-1002' ? { ...user, status: 'Suspended' } : user
+    );
+  reloaded.push({ ...users[0], id: 'u-2001', fullName: 'Ada Lovelace' });
+  const counts = interop.syncRows('users-grid', reloaded);
+  await sleep(50);
+
+  assert.deepEqual(
+    { ...counts },
+    {
+      added: 1,
+      changed: 1,
+      removed: 1,
+      unchanged: users.length - 2,
+    }
+  );
+  assert.equal(container.isConnected, true);
+  assert.deepEqual(
+    [...gridApi.getSelectedNodes()].map(node => node.id),
+    ['u-1001']
+  );
+
+  const row = id =>
+    container.querySelector(`.ag-center-cols-container [row-id="${id}"]`);
+  assert.ok(
+    row('u-1002')
+      .querySelector('[col-id="status"]')
+      .classList.contains('cell-changed')
+  );
+  assert.equal(
+    row('u-1001')
+      .querySelector('[col-id="status"]')
+      .classList.contains('cell-changed'),
+    false
+  );
+  const removed = container.querySelector('.ag-floating-top .ag-row');
+  assert.ok(removed.classList.contains('row-removed'));
+  assert.ok(removed.textContent.includes(users[2].fullName));
+
+  const panel = container.querySelector(
+    '[aria-label="Changes since the last load"]'
+  );
+  assert.ok(panel.textContent.includes('1 new, 1 changed, 1 removed'));
+  const button = text =>
+    [...panel.querySelectorAll('button')].find(b => b.textContent === text);
+
+  // Changes only leaves the new and the changed user
+  button('Changes only').click();
+  await sleep(50);
+  assert.equal(gridApi.getDisplayedRowCount(), 2);
+  assert.ok(row('u-2001').classList.contains('row-new'));
+  assert.equal(button('Changes only').getAttribute('aria-pressed'), 'true');
+
+  button('Dismiss').click();
+  await sleep(50);
+  assert.equal(gridApi.getDisplayedRowCount(), reloaded.length);
+  assert.equal(gridApi.getPinnedTopRowCount(), 0);
+  assert.equal(
+    container.querySelector('.row-new, .cell-changed, .row-removed'),
+    null
+  );
+  assert.equal(panel.style.display, 'none');
+  close();
+});
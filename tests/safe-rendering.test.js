@@ -0,0 +1,170 @@
+/* global setTimeout */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadInterop, readUsers } = require('./helpers/interop');
+
+const IMG_PAYLOAD = '<img src=x onerror="window.pwned = true">';
+const SCRIPT_PAYLOAD = '<script>window.pwned = true</script>';
+const JAVASCRIPT_URL = 'javascript:window.pwned=true';
+const DATA_URL = 'data:text/html,<script>window.pwned=true</script>';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// No element in the subtree has an event handler attribute or an unsafe URL
+function assertInert(root) {
+  root.querySelectorAll('*').forEach(element => {
+    [...element.attributes].forEach(attribute => {
+      assert.ok(
+        !attribute.name.startsWith('on'),
+        `<${element.tagName}> has ${attribute.name}`
+      );
+      if (['href', 'src'].includes(attribute.name)) {
+        assert.doesNotMatch(attribute.value, /^\s*(javascript|data):/i);
+      }
+    });
+  });
+  assert.equal(root.querySelectorAll('script').length, 0);
+}
+
+test('createElement puts strings in as text', () => {
+  const { internals, close } = loadInterop({ expose: ['createElement'] });
+
+  const element = internals.createElement('span', { text: IMG_PAYLOAD }, [
+    SCRIPT_PAYLOAD,
+  ]);
+  assert.equal(element.children.length, 0);
+  assert.equal(element.textContent, IMG_PAYLOAD + SCRIPT_PAYLOAD);
+  close();
+});
+
+test('createElement refuses event handlers and unsafe URLs', () => {
+  const { internals, close } = loadInterop({ expose: ['createElement'] });
+
+  const link = internals.createElement('a', {
+    attrs: {
+      onclick: 'window.pwned = true',
+      ONMOUSEOVER: 'window.pwned = true',
+      'xlink:href': JAVASCRIPT_URL,
+      href: JAVASCRIPT_URL,
+    },
+  });
+  assert.equal(link.attributes.length, 0);
+
+  assert.equal(
+    internals
+      .createElement('img', { attrs: { src: DATA_URL } })
+      .hasAttribute('src'),
+    false
+  );
+  assert.equal(
+    internals
+      .createElement('a', { attrs: { href: 'https://example.com/a' } })
+      .getAttribute('href'),
+    'https://example.com/a'
+  );
+  close();
+});
+
+test('sanitizeUrl only keeps http, https, mailto and relative URLs', () => {
+  const { internals, close } = loadInterop({ expose: ['sanitizeUrl'] });
+
+  [
+    JAVASCRIPT_URL,
+    ' JaVaScRiPt:window.pwned=true',
+    'java\tscript:window.pwned=true',
+    'java\u0000script:window.pwned=true',
+    DATA_URL,
+    'vbscript:msgbox(1)',
+    'file:///etc/passwd',
+  ].forEach(url => assert.equal(internals.sanitizeUrl(url), '', url));
+
+  assert.equal(
+    internals.sanitizeUrl('https://example.com/a.png'),
+    'https://example.com/a.png'
+  );
+  assert.equal(internals.sanitizeUrl('/img/a.png'), '/img/a.png');
+  assert.equal(internals.sanitizeUrl('mailto:a@b.com'), 'mailto:a@b.com');
+  assert.equal(internals.sanitizeUrl(null), '');
+  close();
+});
+
+test('buildMailtoUrl only links a single plain address', () => {
+  const { internals, close } = loadInterop({ expose: ['buildMailtoUrl'] });
+
+  assert.equal(
+    internals.buildMailtoUrl('jane.doe@omnesoft.com'),
+    'mailto:jane.doe@omnesoft.com'
+  );
+  [
+    JAVASCRIPT_URL,
+    'jane@omnesoft.com?subject=hi&body=click',
+    'jane@omnesoft.com,boss@omnesoft.com',
+    `jane@omnesoft.com${IMG_PAYLOAD}`,
+    '"><img src=x>@omnesoft.com',
+    '',
+    null,
+  ].forEach(email => assert.equal(internals.buildMailtoUrl(email), '', email));
+  close();
+});
+
+test('renderers show hostile values from the data file as inert text', async () => {
+  const { window, document, createGrid, close } = loadInterop();
+  const [inviter, ...users] = readUsers();
+  const hostile = {
+    ...users[0],
+    id: 'u-hostile',
+    fullName: IMG_PAYLOAD,
+    email: JAVASCRIPT_URL,
+    roles: [SCRIPT_PAYLOAD, IMG_PAYLOAD],
+    invitedBy: IMG_PAYLOAD,
+    avatarUrl: JAVASCRIPT_URL,
+  };
+  const hostileInviter = {
+    ...inviter,
+    fullName: `${inviter.fullName}${SCRIPT_PAYLOAD}`,
+  };
+  const injected = {
+    ...users[1],
+    id: 'u-injected',
+    email: `${users[1].email}?bcc=evil@example.com`,
+    invitedBy: hostileInviter.fullName,
+    avatarUrl: DATA_URL,
+  };
+
+  assert.equal(
+    createGrid({ rowData: [hostile, injected, hostileInviter] }),
+    true
+  );
+  await sleep(50);
+
+  const grid = document.getElementById('users-grid');
+  const cell = (rowId, colId) =>
+    grid.querySelector(
+      `.ag-center-cols-container [row-id="${rowId}"] [col-id="${colId}"]`
+    );
+
+  assert.ok(cell('u-hostile', 'fullName').textContent.includes(IMG_PAYLOAD));
+  assert.ok(cell('u-hostile', 'roles').textContent.includes(SCRIPT_PAYLOAD));
+  assert.equal(cell('u-hostile', 'email').textContent, JAVASCRIPT_URL);
+  assert.equal(cell('u-hostile', 'email').querySelector('a'), null);
+  assert.equal(cell('u-hostile', 'invitedBy').textContent, IMG_PAYLOAD);
+  assert.equal(cell('u-hostile', 'fullName').querySelector('img'), null);
+
+  // An address with extra parameters is shown, but not linked
+  assert.equal(cell('u-injected', 'email').querySelector('a'), null);
+  assert.equal(cell('u-injected', 'fullName').querySelector('img'), null);
+  assert.equal(
+    cell('u-injected', 'invitedBy').textContent,
+    hostileInviter.fullName
+  );
+
+  // Hovering the roles cell opens the popover with every role
+  cell('u-hostile', 'roles').dispatchEvent(new window.Event('mouseenter'));
+  const popover = document.querySelector('[role="tooltip"]');
+  assert.ok(popover.textContent.includes(IMG_PAYLOAD));
+  assertInert(popover);
+
+  assertInert(grid);
+  assert.equal(window.pwned, undefined);
+  close();
+});
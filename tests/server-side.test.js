@@ -0,0 +1,96 @@
+/* global setTimeout, Response, URLSearchParams */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  loadInterop,
+  readUsers,
+  createColumnDefs,
+} = require('./helpers/interop');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitFor(check, timeout = 5000) {
+  const start = Date.now();
+  while (!check()) {
+    if (Date.now() - start > timeout) throw new Error('Timed out waiting');
+    await sleep(20);
+  }
+}
+
+// A server-side grid on the in-page mock API, serving users.json from a stub fetch
+function createServerGrid(users, columnDefs) {
+  const loaded = loadInterop();
+  loaded.window.Response = Response;
+  loaded.window.fetch = async () => new Response(JSON.stringify(users));
+  loaded.createGrid({
+    columnDefs,
+    serverSide: { url: 'api/users', mockSource: 'data/users.json', latency: 0 },
+  });
+  return loaded;
+}
+
+test('row actions in a server-side grid reload the changed row', async () => {
+  const users = readUsers();
+  users[0].invitation = {
+    state: 'pending',
+    sentAt: '2020-01-01T00:00:00Z',
+    expiresAt: '2020-01-15T00:00:00Z',
+  };
+  const columnDefs = createColumnDefs().map(colDef =>
+    colDef.field === 'actions'
+      ? {
+          ...colDef,
+          cellRendererParams: {
+            actions: [
+              {
+                id: 'resendInvitation',
+                label: 'Resend invite',
+                update: 'resendInvitation',
+              },
+            ],
+          },
+        }
+      : colDef
+  );
+  const { document, interop, dotNetCalls, close } = createServerGrid(
+    users,
+    columnDefs
+  );
+  const gridApi = interop.grids.get('users-grid');
+  const id = users[0].id;
+  const sentAt = () => gridApi.getRowNode(id)?.data?.invitation.sentAt;
+  await waitFor(() => sentAt());
+  assert.equal(sentAt(), '2020-01-01T00:00:00Z');
+
+  const selector = `[row-id="${id}"] [data-action="resendInvitation"]`;
+  await waitFor(() => document.querySelector(selector));
+  document.querySelector(selector).click();
+  await waitFor(() => sentAt() && sentAt() !== '2020-01-01T00:00:00Z');
+
+  assert.equal(dotNetCalls[0].method, 'HandleRowAction');
+  assert.equal(gridApi.getRowNode(id).data.invitation.state, 'pending');
+  // The mock server has the change, so it survives dropping the cached pages
+  interop.refreshServerData('users-grid');
+  await sleep(50);
+  await waitFor(() => sentAt());
+  assert.notEqual(sentAt(), '2020-01-01T00:00:00Z');
+  close();
+});
+
+test('the mock server searches the grid columns like a client-side search', async () => {
+  const users = readUsers();
+  const { interop, close } = createServerGrid(users, createColumnDefs());
+  const { mockServer } = interop.serverSources.get('users-grid');
+  const search = q =>
+    mockServer.query(users, new URLSearchParams({ q })).lastRow;
+
+  assert.ok(search(users[0].fullName) > 0);
+  // id is not a column
+  assert.equal(search(users[0].id), 0);
+  // Status is a set filter column, matched from the start: active skips Inactive
+  assert.equal(
+    search('status:active'),
+    users.filter(user => user.status === 'Active').length
+  );
+  close();
+});
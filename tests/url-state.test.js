@@ -0,0 +1,84 @@
+/* global setTimeout */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadInterop, readUsers } = require('./helpers/interop');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const withFilter = value =>
+  `http://localhost/?f.lastActive=${encodeURIComponent(value)}`;
+
+test('a deep link with an unknown date range preset is ignored', async () => {
+  const { interop, createGrid, close } = loadInterop({
+    url: withFilter('json:{"filterType":"dateRange","preset":"bogus"}'),
+  });
+  createGrid({ syncUrl: true });
+  const gridApi = interop.grids.get('users-grid');
+  await sleep(50);
+
+  assert.equal(gridApi.getFilterModel().lastActive, undefined);
+  assert.equal(
+    interop.getFilteredUsers('users-grid').length,
+    readUsers().length
+  );
+  close();
+});
+
+test('deep links with valid date range models are applied', async () => {
+  [
+    ['json:{"filterType":"dateRange","inactiveDays":30}', { inactiveDays: 30 }],
+    [
+      'json:{"filterType":"dateRange","from":"2020-01-01"}',
+      { from: '2020-01-01' },
+    ],
+    ['preset:inactive90', { preset: 'inactive90' }],
+  ].forEach(([value, expected]) => {
+    const { interop, createGrid, close } = loadInterop({
+      url: withFilter(value),
+    });
+    createGrid({ syncUrl: true });
+    // The model comes from the jsdom window, so compare it as JSON
+    assert.deepEqual(
+      JSON.parse(
+        JSON.stringify(interop.grids.get('users-grid').getFilterModel())
+      ).lastActive,
+      { filterType: 'dateRange', ...expected }
+    );
+    close();
+  });
+});
+
+test('date range links without a valid range are refused', () => {
+  const { internals, close } = loadInterop({ expose: ['decodeFilterParam'] });
+
+  [
+    'json:{"filterType":"dateRange","preset":"constructor"}',
+    'json:{"filterType":"dateRange","inactiveDays":-3}',
+    'json:{"filterType":"dateRange","from":"yesterday"}',
+    'json:{"filterType":"dateRange"}',
+    'preset:bogus',
+    'range:..',
+  ].forEach(value =>
+    assert.throws(
+      () => internals.decodeFilterParam(value),
+      { name: 'Error' },
+      value
+    )
+  );
+  close();
+});
+
+test('an unknown preset matches no rows instead of throwing', () => {
+  const { internals, close } = loadInterop({
+    expose: ['matchesDateRangeFilter'],
+  });
+
+  assert.equal(
+    internals.matchesDateRangeFilter('2025-01-01T00:00:00Z', {
+      filterType: 'dateRange',
+      preset: 'bogus',
+    }),
+    false
+  );
+  close();
+});
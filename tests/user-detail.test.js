@@ -0,0 +1,83 @@
+/* global setTimeout */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadInterop } = require('./helpers/interop');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('a failed commit that is retried records the status change once', async () => {
+  const { interop, dotNetRef, dotNetCalls, createGrid, close } = loadInterop();
+  createGrid();
+  const gridApi = interop.grids.get('users-grid');
+  const node = gridApi.getRowNode('u-1001');
+  const historyLength = (node.data.statusHistory || []).length;
+
+  interop.setEditMode('users-grid', true);
+  node.setDataValue('status', 'Suspended');
+  await sleep(20);
+  assert.equal(interop.getPendingChanges('users-grid').length, 1);
+
+  dotNetRef.results.HandleRowsEdited = () => {
+    throw new Error('Save failed');
+  };
+  assert.equal(await interop.commitChanges('users-grid'), false);
+  assert.equal((node.data.statusHistory || []).length, historyLength);
+  assert.equal(interop.getPendingChanges('users-grid').length, 1);
+
+  dotNetRef.results.HandleRowsEdited = null;
+  assert.equal(await interop.commitChanges('users-grid'), true);
+  assert.equal(node.data.statusHistory.length, historyLength + 1);
+  assert.equal(node.data.statusHistory.at(-1).status, 'Suspended');
+  assert.equal(interop.getPendingChanges('users-grid').length, 0);
+
+  // .NET got the history entry with the row both times
+  const sent = dotNetCalls.filter(call => call.method === 'HandleRowsEdited');
+  assert.equal(sent.length, 2);
+  sent.forEach(call =>
+    assert.equal(call.args[0][0].row.statusHistory.length, historyLength + 1)
+  );
+  close();
+});
+
+test('previous/next in the drawer keeps a multi-row selection', async () => {
+  const { document, interop, createGrid, close } = loadInterop();
+  createGrid();
+  const gridApi = interop.grids.get('users-grid');
+  await sleep(50);
+
+  ['u-1001', 'u-1003', 'u-1005'].forEach(id =>
+    gridApi.getRowNode(id).setSelected(true)
+  );
+  interop.openUserDetail('users-grid', 'u-1001');
+  const next = [...document.querySelectorAll('button')].find(
+    button => button.textContent === 'Next →'
+  );
+  next.click();
+  next.click();
+
+  assert.deepEqual(
+    [...gridApi.getSelectedNodes()].map(node => node.id).sort(),
+    ['u-1001', 'u-1003', 'u-1005']
+  );
+  close();
+});
+
+test('previous/next in the drawer moves a single selection', async () => {
+  const { document, interop, createGrid, close } = loadInterop();
+  createGrid();
+  const gridApi = interop.grids.get('users-grid');
+  await sleep(50);
+
+  const first = gridApi.getDisplayedRowAtIndex(0);
+  first.setSelected(true);
+  interop.openUserDetail('users-grid', first.id);
+  [...document.querySelectorAll('button')]
+    .find(button => button.textContent === 'Next →')
+    .click();
+
+  assert.deepEqual(
+    [...gridApi.getSelectedNodes().map(node => node.id)],
+    [gridApi.getDisplayedRowAtIndex(1).id]
+  );
+  close();
+});
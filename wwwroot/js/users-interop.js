@@ -1,5 +1,5 @@
 /* eslint-disable no-console */
-/* global agGrid, setTimeout */
+/* global agGrid, setTimeout, clearTimeout, Blob, URL, URLSearchParams, Response, AbortController, DOMException */
 
 // Suppress known AG Grid console warnings
 const originalConsoleWarn = console.warn;
@@ -24,8 +24,6 @@ console.warn = function (...args) {
     // Enterprise feature warnings (these features are not available in Community Edition)
     message.includes('agTotalRowCountComponent') ||
     message.includes('agFilteredRowCountComponent') ||
-    message.includes('agSetColumnFilter') ||
-    message.includes('agDateColumnFilter') ||
     message.includes('Enterprise feature')
   ) {
     return; // Suppress these specific v33 Community Edition warnings
@@ -35,99 +33,425 @@ console.warn = function (...args) {
   originalConsoleWarn.apply(console, args);
 };
 
+// Safe rendering helpers
+// Renderers build DOM nodes and put row values in as text or through
+// setSafeAttribute, never as markup, so a value like <img onerror=...> in the
+// data file shows up as that literal text instead of running
+const SAFE_URL_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// The URL if it is relative or uses an allowed protocol, '' otherwise (javascript:, data:, ...)
+function sanitizeUrl(url) {
+  // Browsers ignore control characters and whitespace inside the scheme
+  const text = [...String(url ?? '')]
+    .filter(char => char.charCodeAt(0) > 32 && char.charCodeAt(0) !== 127)
+    .join('');
+  if (!text) return '';
+
+  const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(text);
+  if (scheme && !SAFE_URL_PROTOCOLS.includes(scheme[1].toLowerCase() + ':')) {
+    return '';
+  }
+  return String(url).trim();
+}
+
+// mailto: link for a single plain address, or '' when the value isn't one
+// (extra recipients, ?subject=/&body= injection and markup are all rejected)
+function buildMailtoUrl(email) {
+  const address = String(email ?? '').trim();
+  if (!EMAIL_PATTERN.test(address) || /[<>"'`?&#%,;:\\()[\]]/.test(address)) {
+    return '';
+  }
+  return `mailto:${encodeURIComponent(address).replace(/%40/g, '@')}`;
+}
+
+// Set an attribute from untrusted data: event handler attributes are refused
+// and URL attributes go through sanitizeUrl
+function setSafeAttribute(element, name, value) {
+  const attribute = String(name).toLowerCase();
+  if (!/^[a-z][a-z0-9-]*$/.test(attribute) || attribute.startsWith('on')) {
+    console.warn(`Refusing to set attribute "${name}"`);
+    return;
+  }
+
+  let text = value == null ? '' : String(value);
+  if (['href', 'src', 'action', 'formaction'].includes(attribute)) {
+    text = sanitizeUrl(text);
+    if (!text) {
+      element.removeAttribute(attribute);
+      return;
+    }
+  }
+  element.setAttribute(attribute, text);
+}
+
+// document.createElement with the common options in one call
+// options: { className, style (cssText), text, attrs: { name: value } }
+// children: nodes or strings (strings become text nodes)
+function createElement(tag, options = {}, children = []) {
+  const element = document.createElement(tag);
+  if (options.className) element.className = options.className;
+  if (options.style) element.style.cssText = options.style;
+  if (options.text != null) element.textContent = String(options.text);
+  Object.keys(options.attrs || {}).forEach(name =>
+    setSafeAttribute(element, name, options.attrs[name])
+  );
+  children.forEach(child =>
+    element.appendChild(
+      typeof child === 'string' ? document.createTextNode(child) : child
+    )
+  );
+  return element;
+}
+
+// Put text in an element with the parts the search box matched in <mark>
+// (params are the cell renderer params, for the grid and column)
+function setHighlightedText(element, text, params) {
+  const value = text === null || text === undefined ? '' : String(text);
+  const containerId = params && params.context && params.context.containerId;
+  const field = params && params.colDef && params.colDef.field;
+  const ranges = containerId
+    ? window.usersInterop.getSearchHighlights(containerId, field, value)
+    : [];
+
+  let index = 0;
+  const children = [];
+  ranges.forEach(([start, end]) => {
+    if (start > index) children.push(value.slice(index, start));
+    children.push(
+      createElement('mark', {
+        className: 'search-highlight bg-yellow-200 text-inherit rounded-sm',
+        text: value.slice(start, end),
+      })
+    );
+    index = end;
+  });
+  if (index < value.length) children.push(value.slice(index));
+  element.replaceChildren(...children);
+  return element;
+}
+
 // Custom Cell Renderers for AG Grid v33 Community Edition
-// Full Name Cell Renderer with Avatar Circle and Bold Name
+// Full Name Cell Renderer with avatar (image, or initials on a per-user colour),
+// presence dot and bold name
+const AVATAR_COLORS = [
+  '#3b82f6',
+  '#16a34a',
+  '#7c3aed',
+  '#db2777',
+  '#0d9488',
+  '#ea580c',
+  '#4f46e5',
+  '#ca8a04',
+];
+
+// Presence from lastActive: online within 15 minutes, away within a day
+const PRESENCE_ONLINE_MS = 15 * 60 * 1000;
+const PRESENCE_AWAY_MS = 24 * 60 * 60 * 1000;
+
+function getPresence(lastActive, now = Date.now()) {
+  const time = lastActive ? new Date(lastActive).getTime() : NaN;
+  if (Number.isNaN(time)) {
+    return { label: 'Never active', color: '#d1d5db' };
+  }
+  if (now - time <= PRESENCE_ONLINE_MS) {
+    return { label: 'Online', color: '#22c55e' };
+  }
+  if (now - time <= PRESENCE_AWAY_MS) {
+    return { label: 'Away', color: '#f59e0b' };
+  }
+  return { label: 'Offline', color: '#9ca3af' };
+}
+
 class FullNameCellRenderer {
   init(params) {
     this.eGui = document.createElement('div');
     this.eGui.style.cssText =
       'display: flex; align-items: center; gap: 12px; padding: 4px 0;';
 
+    const row = params.data || {};
     const fullName = params.value || '';
-    const initials = this.getInitials(fullName);
+    // Colour keyed on the id so it survives renames; rows without one fall back to the name
+    const colorKey = String(row.id ?? fullName);
+    const background =
+      AVATAR_COLORS[hashString(colorKey) % AVATAR_COLORS.length];
 
-    this.eGui.innerHTML = `
-      <div style="width: 24px; height: 24px; border-radius: 50%; background-color: #3b82f6; display: flex; align-items: center; justify-content: center; color: white; font-size: 11px; font-weight: 500; flex-shrink: 0;">
-        ${initials}
-      </div>
-      <span style="font-weight: 600; color: #111827;">${fullName}</span>
-    `;
+    this.eAvatar = createElement('div', {
+      style: 'position: relative; width: 24px; height: 24px; flex-shrink: 0;',
+    });
+    this.eInitials = createElement('div', {
+      style:
+        'width: 24px; height: 24px; border-radius: 50%; display: flex; align-items: center; justify-content: center; color: white; font-size: 11px; font-weight: 500;',
+      text: this.getInitials(fullName),
+      attrs: { 'aria-hidden': 'true' },
+    });
+    this.eInitials.style.backgroundColor = background;
+
+    const src = sanitizeUrl(row.avatarUrl);
+    if (src) {
+      this.eImage = createElement('img', {
+        style:
+          'width: 24px; height: 24px; border-radius: 50%; object-fit: cover; display: block;',
+        attrs: { src, alt: '', loading: 'lazy', decoding: 'async' },
+      });
+      // Broken or blocked image: show the initials instead
+      this.imageErrorHandler = () => this.eImage.replaceWith(this.eInitials);
+      this.eImage.addEventListener('error', this.imageErrorHandler, {
+        once: true,
+      });
+      this.eAvatar.appendChild(this.eImage);
+    } else {
+      this.eAvatar.appendChild(this.eInitials);
+    }
+
+    if (params.showPresence !== false) {
+      const presence = getPresence(row.lastActive);
+      const dot = createElement('span', {
+        style:
+          'position: absolute; right: -1px; bottom: -1px; width: 9px; height: 9px; border-radius: 50%; border: 2px solid white;',
+        attrs: {
+          role: 'img',
+          title: presence.label,
+          'aria-label': presence.label,
+        },
+      });
+      dot.style.backgroundColor = presence.color;
+      this.eAvatar.appendChild(dot);
+    }
+
+    const containerId = params.context && params.context.containerId;
+    const treeInfo =
+      containerId && params.node
+        ? window.usersInterop.getTreeRowInfo(containerId, params.node.id)
+        : null;
+    if (treeInfo) {
+      this.eGui.appendChild(this.renderTreeToggle(containerId, row, treeInfo));
+    }
+
+    this.eGui.append(
+      this.eAvatar,
+      setHighlightedText(
+        createElement('span', { style: 'font-weight: 600; color: #111827;' }),
+        fullName,
+        params
+      )
+    );
+
+    if (treeInfo && treeInfo.descendantCount > 0) {
+      this.eGui.appendChild(
+        createElement('span', {
+          style:
+            'padding: 0 6px; border-radius: 8px; background-color: #f3f4f6; color: #4b5563; font-size: 11px;',
+          text: String(treeInfo.descendantCount),
+          attrs: {
+            title: `Invited ${treeInfo.childCount} directly, ${treeInfo.descendantCount} in total`,
+          },
+        })
+      );
+    }
+  }
+
+  // Tree view: indent by depth, with an expand/collapse button for inviters
+  renderTreeToggle(containerId, row, treeInfo) {
+    const wrapper = createElement('div', {
+      style: 'display: flex; flex-shrink: 0; justify-content: flex-end;',
+    });
+    wrapper.style.width = `${treeInfo.depth * 16 + 16}px`;
+    if (treeInfo.childCount === 0) return wrapper;
+
+    this.eToggle = createElement('button', {
+      className:
+        'text-gray-500 hover:text-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-500 rounded',
+      style: 'width: 16px; line-height: 1;',
+      text: treeInfo.expanded ? '▾' : '▸',
+      attrs: {
+        type: 'button',
+        'aria-expanded': String(treeInfo.expanded),
+        'aria-label': `${treeInfo.expanded ? 'Collapse' : 'Expand'} users invited by ${row.fullName}`,
+      },
+    });
+    this.toggleHandler = event => {
+      // Toggling a branch shouldn't select the row
+      event.stopPropagation();
+      window.usersInterop.toggleInvitationBranch(containerId, row.id);
+    };
+    this.eToggle.addEventListener('click', this.toggleHandler);
+    wrapper.appendChild(this.eToggle);
+    return wrapper;
   }
 
+  // First letter of the first and last word, or the first two letters of a
+  // single word (one for scripts without case such as Chinese, where a single
+  // character already reads as an initial). Works on code points and skips
+  // punctuation, so "Ólafur Arnalds", "李小龙" or "(Bob) Smith" all work
   getInitials(name) {
-    if (!name) return '';
-    const parts = name.split(' ');
-    if (parts.length >= 2) {
-      return (parts[0][0] + parts[parts.length - 1][0]).toUpperCase();
+    const words = String(name || '')
+      .trim()
+      .split(/\s+/)
+      .map(word => Array.from(word.replace(/[^\p{L}\p{N}]/gu, '')))
+      .filter(letters => letters.length > 0);
+    if (words.length === 0) return '';
+
+    if (words.length >= 2) {
+      return (words[0][0] + words[words.length - 1][0]).toLocaleUpperCase();
     }
-    return name.substring(0, 2).toUpperCase();
+    const first = words[0][0];
+    const caseless = first.toLowerCase() === first.toUpperCase();
+    const initials = caseless ? first : words[0].slice(0, 2).join('');
+    return initials.toLocaleUpperCase();
   }
 
   getGui() {
     return this.eGui;
   }
+
+  destroy() {
+    if (this.eImage) {
+      this.eImage.removeEventListener('error', this.imageErrorHandler);
+    }
+    if (this.eToggle) {
+      this.eToggle.removeEventListener('click', this.toggleHandler);
+    }
+  }
+}
+
+// Roles Cell Renderer
+// Default: first role + "+N more", with a popover listing every role while the
+// cell is hovered or has keyboard focus (Escape closes it). Printing shows the
+// full list. cellRendererParams.display = 'chips' renders all roles as wrapping
+// chips instead - used by the detailed density together with autoHeight
+let rolesPopoverCount = 0;
+
+function createRoleChip(role, params) {
+  const chip = createElement('span', {
+    style:
+      'display: inline-flex; align-items: center; padding: 1px 8px; border-radius: 10px; background-color: #f3f4f6; color: #374151; font-size: 12px; line-height: 1.5; white-space: nowrap;',
+  });
+  return setHighlightedText(chip, role, params);
 }
 
-// Roles Cell Renderer showing first role + count
 class RolesCellRenderer {
   init(params) {
+    this.params = params;
     this.eGui = document.createElement('div');
+
+    const value = params.value || [];
+    const roles = (Array.isArray(value) ? value : [value])
+      .filter(role => role !== null && role !== undefined && role !== '')
+      .map(String);
+
+    if (params.display === 'chips') {
+      this.eGui.style.cssText =
+        'display: flex; flex-wrap: wrap; align-items: center; gap: 4px; padding: 8px 0; line-height: normal;';
+      this.eGui.append(...roles.map(role => createRoleChip(role, params)));
+      return;
+    }
+
     this.eGui.style.cssText =
       'display: flex; align-items: center; padding: 4px 0;';
+    let displayText = roles[0] || '';
+    if (roles.length > 1) {
+      displayText += ` +${roles.length - 1} more`;
+    }
 
-    const roles = params.value || [];
-    let displayText = '';
+    this.eGui.append(
+      setHighlightedText(
+        createElement('span', {
+          className: 'print:hidden',
+          style: 'color: #374151;',
+        }),
+        displayText,
+        params
+      ),
+      createElement('span', {
+        className: 'hidden print:inline',
+        style: 'color: #374151; white-space: normal;',
+        text: roles.join(', '),
+      })
+    );
 
-    if (Array.isArray(roles) && roles.length > 0) {
-      displayText = roles[0];
-      if (roles.length > 1) {
-        displayText += ` +${roles.length - 1} more`;
-      }
-    } else if (typeof roles === 'string') {
-      displayText = roles;
+    if (roles.length > 1 && params.eGridCell) {
+      this.roles = roles;
+      this.setupPopover(params.eGridCell);
     }
-
-    this.eGui.innerHTML = `<span style="color: #374151;">${displayText}</span>`;
   }
 
-  getGui() {
-    return this.eGui;
+  setupPopover(cell) {
+    this.cell = cell;
+    this.showHandler = () => this.showPopover();
+    this.hideHandler = () => this.hidePopover();
+    this.keyHandler = e => {
+      if (e.key === 'Escape' && this.ePopover) {
+        e.stopPropagation();
+        this.hidePopover();
+      }
+    };
+
+    cell.addEventListener('mouseenter', this.showHandler);
+    cell.addEventListener('mouseleave', this.hideHandler);
+    cell.addEventListener('focus', this.showHandler);
+    cell.addEventListener('blur', this.hideHandler);
+    cell.addEventListener('keydown', this.keyHandler);
   }
-}
 
-// License Cell Renderer with badge styling
-class LicenseCellRenderer {
-  init(params) {
-    this.eGui = document.createElement('div');
-    this.eGui.style.cssText =
-      'display: flex; align-items: center; padding: 8px 0;';
+  // Rendered on the body with fixed positioning so the cell doesn't clip it
+  showPopover() {
+    if (this.ePopover) return;
 
-    const license = params.value || '';
-    const badgeStyle = this.getBadgeStyle(license);
+    this.ePopover = createElement(
+      'div',
+      {
+        style:
+          'position: fixed; z-index: 1000; max-width: 280px; padding: 8px; display: flex; flex-wrap: wrap; gap: 4px; background: white; border: 1px solid #e5e7eb; border-radius: 6px; box-shadow: 0 4px 12px rgba(0, 0, 0, 0.12);',
+        attrs: {
+          id: `roles-popover-${++rolesPopoverCount}`,
+          role: 'tooltip',
+        },
+      },
+      this.roles.map(role => createRoleChip(role, this.params))
+    );
+    document.body.appendChild(this.ePopover);
 
-    this.eGui.innerHTML = `
-      <span style="display: inline-flex; align-items: center; padding: 3px 10px; border-radius: 12px; font-size: 13px; font-weight: 500; line-height: 1.3; ${badgeStyle}">
-        ${license}
-      </span>
-    `;
+    const rect = this.cell.getBoundingClientRect();
+    const popoverHeight = this.ePopover.offsetHeight;
+    const below = rect.bottom + 4;
+    const fitsBelow = below + popoverHeight <= window.innerHeight;
+    this.ePopover.style.left = `${Math.max(4, rect.left)}px`;
+    this.ePopover.style.top = `${fitsBelow ? below : Math.max(4, rect.top - popoverHeight - 4)}px`;
+
+    this.cell.setAttribute('aria-describedby', this.ePopover.id);
   }
 
-  getBadgeStyle(license) {
-    switch (license.toLowerCase()) {
-      case 'enterprise':
-        return 'background-color: #f3e8ff; color: #7c3aed;';
-      case 'standard':
-        return 'background-color: #dbeafe; color: #1d4ed8;';
-      case 'field level':
-        return 'background-color: #dcfce7; color: #16a34a;';
-      default:
-        return 'background-color: #f3f4f6; color: #374151;';
-    }
+  hidePopover() {
+    if (!this.ePopover) return;
+
+    this.ePopover.remove();
+    this.ePopover = null;
+    this.cell.removeAttribute('aria-describedby');
   }
 
   getGui() {
     return this.eGui;
   }
+
+  destroy() {
+    if (!this.cell) return;
+
+    this.hidePopover();
+    this.cell.removeEventListener('mouseenter', this.showHandler);
+    this.cell.removeEventListener('mouseleave', this.hideHandler);
+    this.cell.removeEventListener('focus', this.showHandler);
+    this.cell.removeEventListener('blur', this.hideHandler);
+    this.cell.removeEventListener('keydown', this.keyHandler);
+  }
 }
 
 // Email Cell Renderer with mailto link
@@ -138,12 +462,21 @@ class EmailCellRenderer {
       'display: flex; align-items: center; padding: 4px 0;';
 
     const email = params.value || '';
+    const href = buildMailtoUrl(email);
 
-    this.eGui.innerHTML = `
-      <a href="mailto:${email}" class="text-blue-600 hover:text-blue-800 hover:underline">
-        ${email}
-      </a>
-    `;
+    // Anything that isn't a plain address is shown as text without a link
+    this.eGui.appendChild(
+      setHighlightedText(
+        href
+          ? createElement('a', {
+              className: 'text-blue-600 hover:text-blue-800 hover:underline',
+              attrs: { href },
+            })
+          : createElement('span', { style: 'color: #374151;' }),
+        email,
+        params
+      )
+    );
   }
 
   getGui() {
@@ -151,6 +484,26 @@ class EmailCellRenderer {
   }
 }
 
+// Format a timestamp as "Nov 5, 2025 - 15:12"; unparseable values are returned as they are
+function formatDateTime(value) {
+  if (!value) return '';
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return String(value);
+
+  const dateStr = date.toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+  });
+  const timeStr = date.toLocaleTimeString('en-US', {
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  });
+  return `${dateStr} - ${timeStr}`;
+}
+
 // Last Active Cell Renderer with formatted date/time
 class LastActiveCellRenderer {
   init(params) {
@@ -158,69 +511,135 @@ class LastActiveCellRenderer {
     this.eGui.style.cssText =
       'display: flex; align-items: center; padding: 4px 0;';
 
-    const lastActive = params.value;
-    let displayText = '';
+    this.eGui.appendChild(
+      createElement('span', {
+        style: 'color: #374151; font-size: 14px;',
+        text: formatDateTime(params.value),
+      })
+    );
+  }
 
-    if (lastActive) {
-      try {
-        const date = new Date(lastActive);
+  getGui() {
+    return this.eGui;
+  }
+}
 
-        // Format: "Nov 5, 2025 - 15:12"
-        const dateStr = date.toLocaleDateString('en-US', {
-          month: 'short',
-          day: 'numeric',
-          year: 'numeric',
-        });
-        const timeStr = date.toLocaleTimeString('en-US', {
-          hour: '2-digit',
-          minute: '2-digit',
-          hour12: false,
-        });
+// Badge Cell Renderer - coloured pill for enum-like columns (License, Status, ...)
+// cellRendererParams.badges maps values to styles, either as an array
+// [{ value, background, color, label?, icon? }] or an object keyed by value.
+// Values are matched case-insensitively; anything not listed gets a colour from
+// cellRendererParams.palette (or the default palette) picked by hashing the value,
+// so the same value always gets the same colour.
+const BADGE_PALETTE = [
+  { background: '#dbeafe', color: '#1d4ed8' },
+  { background: '#dcfce7', color: '#16a34a' },
+  { background: '#f3e8ff', color: '#7c3aed' },
+  { background: '#fef3c7', color: '#b45309' },
+  { background: '#fce7f3', color: '#be185d' },
+  { background: '#ccfbf1', color: '#0f766e' },
+  { background: '#e0e7ff', color: '#4338ca' },
+  { background: '#fed7aa', color: '#ea580c' },
+];
 
-        displayText = `${dateStr} - ${timeStr}`;
-      } catch {
-        displayText = lastActive;
-      }
+const BADGE_EMPTY_STYLE = { background: '#f3f4f6', color: '#374151' };
+
+// 20x20 icon paths that badges can refer to by name
+const BADGE_ICONS = {
+  check:
+    'M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z',
+  x: 'M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z',
+  dot: 'M10 6a4 4 0 100 8 4 4 0 000-8z',
+  pause:
+    'M18 10a8 8 0 11-16 0 8 8 0 0116 0zM7 8a1 1 0 012 0v4a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v4a1 1 0 102 0V8a1 1 0 00-1-1z',
+  star: 'M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z',
+  archive:
+    'M4 3a2 2 0 100 4h12a2 2 0 100-4H4zM3 8h14v7a2 2 0 01-2 2H5a2 2 0 01-2-2V8zm5 3a1 1 0 011-1h2a1 1 0 110 2H9a1 1 0 01-1-1z',
+};
+
+// Normalised badge lookups, cached per badges config so each cell doesn't rebuild them
+const badgeLookups = new WeakMap();
+
+function getBadgeLookup(badges) {
+  if (!badges || typeof badges !== 'object') return new Map();
+  if (badgeLookups.has(badges)) return badgeLookups.get(badges);
+
+  const entries = Array.isArray(badges)
+    ? badges
+    : Object.keys(badges).map(value => ({ ...badges[value], value }));
+  const lookup = new Map();
+  entries.forEach(entry => {
+    if (entry && entry.value != null) {
+      lookup.set(String(entry.value).toLowerCase(), entry);
     }
+  });
+  badgeLookups.set(badges, lookup);
+  return lookup;
+}
 
-    this.eGui.innerHTML = `<span style="color: #374151; font-size: 14px;">${displayText}</span>`;
+function hashString(text) {
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = (hash * 31 + text.charCodeAt(i)) | 0;
   }
+  return Math.abs(hash);
+}
 
-  getGui() {
-    return this.eGui;
-  }
+// Style, label and icon for a value: configured badge first, palette colour otherwise
+function resolveBadge(value, params) {
+  const text = value == null ? '' : String(value);
+  const badge = getBadgeLookup(params.badges).get(text.toLowerCase()) || {};
+  const palette =
+    Array.isArray(params.palette) && params.palette.length > 0
+      ? params.palette
+      : BADGE_PALETTE;
+  const fallback = text
+    ? palette[hashString(text.toLowerCase()) % palette.length]
+    : BADGE_EMPTY_STYLE;
+
+  return {
+    label: badge.label != null ? String(badge.label) : text,
+    background: badge.background || fallback.background,
+    color: badge.color || fallback.color,
+    icon: badge.icon,
+  };
 }
 
-// Status Cell Renderer with colored pills
-class StatusCellRenderer {
+class BadgeCellRenderer {
   init(params) {
     this.eGui = document.createElement('div');
     this.eGui.style.cssText =
       'display: flex; align-items: center; padding: 8px 0;';
 
-    const status = params.value || '';
-    const pillStyle = this.getPillStyle(status);
+    if (params.value == null || params.value === '') return;
 
-    this.eGui.innerHTML = `
-      <span style="display: inline-flex; align-items: center; padding: 3px 10px; border-radius: 12px; font-size: 13px; font-weight: 500; line-height: 1.3; ${pillStyle}">
-        ${status}
-      </span>
-    `;
-  }
+    const badge = resolveBadge(params.value, params);
+    const pill = document.createElement('span');
+    pill.style.cssText =
+      'display: inline-flex; align-items: center; gap: 4px; padding: 3px 10px; border-radius: 12px; font-size: 13px; font-weight: 500; line-height: 1.3;';
+    pill.style.backgroundColor = badge.background;
+    pill.style.color = badge.color;
 
-  getPillStyle(status) {
-    switch (status.toLowerCase()) {
-      case 'active':
-        return 'background-color: #dcfce7; color: #16a34a;';
-      case 'inactive':
-        return 'background-color: #f3f4f6; color: #374151;';
-      case 'suspended':
-        return 'background-color: #fed7aa; color: #ea580c;';
-      case 'archived':
-        return 'background-color: #fecaca; color: #dc2626;';
-      default:
-        return 'background-color: #f3f4f6; color: #374151;';
+    if (badge.icon && BADGE_ICONS[badge.icon]) {
+      const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+      svg.setAttribute('viewBox', '0 0 20 20');
+      svg.setAttribute('fill', 'currentColor');
+      svg.setAttribute('aria-hidden', 'true');
+      svg.style.cssText = 'width: 12px; height: 12px; flex-shrink: 0;';
+      const path = document.createElementNS(
+        'http://www.w3.org/2000/svg',
+        'path'
+      );
+      path.setAttribute('fill-rule', 'evenodd');
+      path.setAttribute('clip-rule', 'evenodd');
+      path.setAttribute('d', BADGE_ICONS[badge.icon]);
+      svg.appendChild(path);
+      pill.appendChild(svg);
     }
+
+    pill.appendChild(
+      setHighlightedText(document.createElement('span'), badge.label, params)
+    );
+    this.eGui.appendChild(pill);
   }
 
   getGui() {
@@ -228,151 +647,324 @@ class StatusCellRenderer {
   }
 }
 
-// Invite Cell Renderer showing Yes/No or checkmark
-class InviteCellRenderer {
-  init(params) {
-    this.eGui = document.createElement('div');
-    this.eGui.style.cssText =
-      'padding: 4px 0; display: flex; align-items: center; justify-content: center;';
+// Invitation model - row.invitation = { state, sentAt, expiresAt, acceptedAt?, revokedAt? }
+// state is 'pending', 'accepted', 'expired' or 'revoked'; a pending invitation
+// past its expiresAt counts as expired. The inviter is the row's invitedBy
+const INVITATION_STATES = {
+  pending: { label: 'Pending', background: '#dbeafe', color: '#1d4ed8' },
+  accepted: { label: 'Accepted', background: '#dcfce7', color: '#16a34a' },
+  expired: { label: 'Expired', background: '#fef3c7', color: '#b45309' },
+  revoked: { label: 'Revoked', background: '#fecaca', color: '#dc2626' },
+};
 
-    // For now, show a checkmark for all active users
-    const status = params.data?.status || '';
-    const isInvited = status.toLowerCase() === 'active';
+const INVITATION_VALIDITY_DAYS = 14;
 
-    if (isInvited) {
-      this.eGui.innerHTML = `
-        <svg class="w-5 h-5 text-green-500" fill="currentColor" viewBox="0 0 20 20">
-          <path fill-rule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clip-rule="evenodd"></path>
-        </svg>
-      `;
-    } else {
-      this.eGui.innerHTML = `
-        <svg class="w-5 h-5 text-gray-400" fill="currentColor" viewBox="0 0 20 20">
-          <path fill-rule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clip-rule="evenodd"></path>
-        </svg>
-      `;
-    }
+// Effective state key, or null for rows without an invitation
+function getInvitationState(row, now = Date.now()) {
+  const invitation = row && row.invitation;
+  if (!invitation || !INVITATION_STATES[invitation.state]) return null;
+
+  const expiresAt = parseDateValue(invitation.expiresAt);
+  if (invitation.state === 'pending' && expiresAt !== null && expiresAt < now) {
+    return 'expired';
   }
+  return invitation.state;
+}
 
-  getGui() {
-    return this.eGui;
+// Label used as the column value, so sorting, the set filter and exports see the state
+function getInvitationLabel(row) {
+  const state = getInvitationState(row);
+  return state ? INVITATION_STATES[state].label : '';
+}
+
+// Second line under the state: countdown for pending, when it happened otherwise
+function describeInvitation(row) {
+  const invitation = row.invitation;
+  switch (getInvitationState(row)) {
+    case 'pending':
+      return `Expires ${formatRelativeTime(invitation.expiresAt)}`;
+    case 'expired':
+      return `Expired ${formatRelativeTime(invitation.expiresAt)}`;
+    case 'accepted':
+      return invitation.acceptedAt
+        ? `Accepted ${formatRelativeTime(invitation.acceptedAt)}`
+        : '';
+    case 'revoked':
+      return invitation.revokedAt
+        ? `Revoked ${formatRelativeTime(invitation.revokedAt)}`
+        : '';
+    default:
+      return '';
   }
 }
 
-// Actions Cell Renderer with dropdown menu
-class ActionsCellRenderer {
+// Row updates for the invitation row actions (see cellRendererParams.actions update)
+const ROW_ACTION_UPDATES = {
+  resendInvitation: row => {
+    const sentAt = new Date();
+    return {
+      ...row,
+      invitation: {
+        state: 'pending',
+        sentAt: sentAt.toISOString(),
+        expiresAt: new Date(
+          sentAt.getTime() + INVITATION_VALIDITY_DAYS * DAY_MS
+        ).toISOString(),
+      },
+    };
+  },
+  revokeInvitation: row => ({
+    ...row,
+    invitation: {
+      ...row.invitation,
+      state: 'revoked',
+      revokedAt: new Date().toISOString(),
+    },
+  }),
+};
+
+// Invitation Cell Renderer - state pill with the expiry countdown or date underneath
+class InviteCellRenderer {
   init(params) {
-    this.params = params;
     this.eGui = document.createElement('div');
     this.eGui.style.cssText =
-      'padding: 4px 0; display: flex; align-items: center; justify-content: center;';
+      'display: flex; flex-direction: column; justify-content: center; height: 100%; line-height: 1.3;';
 
-    this.eGui.innerHTML = `
-      <div class="relative">
-        <button class="actions-btn p-1 rounded hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500"
-                type="button" aria-label="Actions">
-          <svg class="w-4 h-4 text-gray-500" fill="currentColor" viewBox="0 0 20 20">
-            <path d="M10 6a2 2 0 110-4 2 2 0 010 4zM10 12a2 2 0 110-4 2 2 0 010 4zM10 18a2 2 0 110-4 2 2 0 010 4z"></path>
-          </svg>
-        </button>
-        <div class="actions-dropdown absolute right-0 mt-1 w-32 bg-white rounded-md shadow-lg ring-1 ring-black ring-opacity-5 z-50 hidden">
-          <div class="py-1">
-            <button class="action-view block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100">View</button>
-            <button class="action-edit block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100">Edit</button>
-            <button class="action-archive block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100">Archive</button>
-          </div>
-        </div>
-      </div>
-    `;
+    const row = params.data || {};
+    const state = getInvitationState(row);
+    if (!state) {
+      this.eGui.appendChild(
+        createElement('span', { style: 'color: #9ca3af;', text: '—' })
+      );
+      return;
+    }
 
-    // Add event listeners
-    this.setupEventListeners();
+    const badge = INVITATION_STATES[state];
+    const pill = createElement('span', {
+      style:
+        'align-self: flex-start; padding: 1px 8px; border-radius: 10px; font-size: 12px; font-weight: 500;',
+      text: badge.label,
+    });
+    pill.style.backgroundColor = badge.background;
+    pill.style.color = badge.color;
+
+    const detail = describeInvitation(row);
+    const invitation = row.invitation;
+    this.eGui.append(
+      pill,
+      createElement('span', {
+        style: 'color: #6b7280; font-size: 11px;',
+        text: detail,
+        attrs: {
+          title: [
+            invitation.sentAt && `Sent ${formatDateTime(invitation.sentAt)}`,
+            invitation.expiresAt &&
+              `Expires ${formatDateTime(invitation.expiresAt)}`,
+          ]
+            .filter(Boolean)
+            .join('\n'),
+        },
+      })
+    );
   }
 
-  setupEventListeners() {
-    const button = this.eGui.querySelector('.actions-btn');
-    const dropdown = this.eGui.querySelector('.actions-dropdown');
+  getGui() {
+    return this.eGui;
+  }
+}
 
-    button.addEventListener('click', e => {
-      e.stopPropagation();
-      dropdown.classList.toggle('hidden');
-    });
+// Invited-by relationships
+// invitedBy holds the inviter's name (or id) and is resolved against the rows
+// loaded in the grid. A name shared by several users is ambiguous and stays
+// plain text, as do inviters that aren't in the grid
 
-    // Close dropdown when clicking outside
-    document.addEventListener('click', e => {
-      if (!this.eGui.contains(e.target)) {
-        dropdown.classList.add('hidden');
+function normaliseInviterKey(value) {
+  return String(value ?? '')
+    .trim()
+    .toLocaleLowerCase();
+}
+
+// Who invited whom among a set of rows, with the size of each subtree
+class InvitationIndex {
+  constructor(rows) {
+    this.rowsById = new Map();
+    this.parentIds = new Map();
+    this.childIds = new Map();
+    this.descendantCounts = new Map();
+
+    // A name maps to null when several users share it
+    const idsByName = new Map();
+    rows.forEach(row => {
+      if (!row || row.id === null || row.id === undefined) return;
+      const id = String(row.id);
+      this.rowsById.set(id, row);
+      const name = normaliseInviterKey(row.fullName);
+      if (name) {
+        idsByName.set(name, idsByName.has(name) ? null : id);
       }
     });
 
-    // Handle action clicks
-    this.eGui.querySelector('.action-view').addEventListener('click', () => {
-      console.log('View action for:', this.params.data);
-      dropdown.classList.add('hidden');
-    });
+    this.rowsById.forEach((row, id) => {
+      const inviter = String(row.invitedBy ?? '').trim();
+      if (!inviter) return;
+
+      const inviterId = this.rowsById.has(inviter)
+        ? inviter
+        : idsByName.get(normaliseInviterKey(inviter));
+      // Self-invites and links that would close a loop are left unresolved
+      if (!inviterId || this.isAncestorOf(id, inviterId)) return;
 
-    this.eGui.querySelector('.action-edit').addEventListener('click', () => {
-      console.log('Edit action for:', this.params.data);
-      dropdown.classList.add('hidden');
+      this.parentIds.set(id, inviterId);
+      if (!this.childIds.has(inviterId)) this.childIds.set(inviterId, []);
+      this.childIds.get(inviterId).push(id);
     });
 
-    this.eGui.querySelector('.action-archive').addEventListener('click', () => {
-      console.log('Archive action for:', this.params.data);
-      dropdown.classList.add('hidden');
+    this.parentIds.forEach(parentId => {
+      for (let ancestorId = parentId; ancestorId; ) {
+        this.descendantCounts.set(
+          ancestorId,
+          (this.descendantCounts.get(ancestorId) || 0) + 1
+        );
+        ancestorId = this.parentIds.get(ancestorId);
+      }
     });
   }
 
-  getGui() {
-    return this.eGui;
+  // True when ancestorId is rowId itself or one of its inviters
+  isAncestorOf(ancestorId, rowId) {
+    for (let id = rowId; id; id = this.parentIds.get(id)) {
+      if (id === ancestorId) return true;
+    }
+    return false;
   }
 
-  destroy() {
-    // Cleanup event listeners
-    const button = this.eGui.querySelector('.actions-btn');
-    if (button) {
-      button.removeEventListener('click', this.buttonClickHandler);
+  getInviter(row) {
+    const parentId =
+      row && row.id !== null && row.id !== undefined
+        ? this.parentIds.get(String(row.id))
+        : null;
+    return parentId ? this.rowsById.get(parentId) : null;
+  }
+
+  getParentId(rowId) {
+    return this.parentIds.get(String(rowId)) || null;
+  }
+
+  getDepth(rowId) {
+    let depth = 0;
+    for (let id = this.getParentId(rowId); id; id = this.getParentId(id)) {
+      depth++;
     }
+    return depth;
   }
-}
 
-// Custom Status Panel Component for AG Grid v33 Community Edition
-// This replaces Enterprise-only status panels like agTotalRowCountComponent and agFilteredRowCountComponent
-class CustomRecordCountStatusPanel {
-  init(params) {
-    this.params = params;
-    this.eGui = document.createElement('div');
-    this.eGui.className = 'ag-status-panel ag-status-panel-custom-record-count';
-    this.eGui.style.cssText =
-      'padding: 4px 8px; font-size: 12px; color: #6b7280; display: flex; align-items: center; gap: 16px;';
-    this.updateCount();
+  getChildCount(rowId) {
+    return (this.childIds.get(String(rowId)) || []).length;
+  }
 
-    // Listen for data changes
-    params.api.addEventListener('modelUpdated', () => this.updateCount());
-    params.api.addEventListener('filterChanged', () => this.updateCount());
-    params.api.addEventListener('sortChanged', () => this.updateCount());
+  getDescendantCount(rowId) {
+    return this.descendantCounts.get(String(rowId)) || 0;
   }
 
-  updateCount() {
-    if (!this.params || !this.params.api) return;
+  getIdsWithChildren() {
+    return Array.from(this.childIds.keys());
+  }
+}
 
-    const displayedRows = this.params.api.getDisplayedRowCount();
-    const totalRows = this.params.api.getModel().getRowCount();
-    const selectedRows = this.params.api.getSelectedRows().length;
+// filterChanged source of the tree view's own filter runs
+const TREE_REFRESH_SOURCE = 'treeRefresh';
+// Events after which the users in collapsed branches are counted again
+const TREE_MEASURE_EVENTS = [
+  'filterChanged',
+  'rowDataUpdated',
+  'cellValueChanged',
+];
 
-    // Build status text with multiple metrics (Community Edition compatible)
-    let statusText = '';
+// Reorder sorted row nodes depth-first so invitees follow their inviter, keeping
+// the sort order among siblings. A row whose inviter is filtered out hangs off
+// its nearest shown ancestor, or starts a branch of its own. Returns the depth
+// each row is shown at
+function sortNodesAsTree(nodes, index) {
+  const shownIds = new Set(nodes.map(node => node.id));
+  const childrenById = new Map();
+  const roots = [];
 
-    if (displayedRows === totalRows) {
-      statusText = `${totalRows} records`;
+  nodes.forEach(node => {
+    let parentId = index.getParentId(node.id);
+    while (parentId && !shownIds.has(parentId)) {
+      parentId = index.getParentId(parentId);
+    }
+    if (parentId) {
+      if (!childrenById.has(parentId)) childrenById.set(parentId, []);
+      childrenById.get(parentId).push(node);
     } else {
-      statusText = `${displayedRows} of ${totalRows} records`;
+      roots.push(node);
     }
+  });
 
-    if (selectedRows > 0) {
-      statusText += ` • ${selectedRows} selected`;
+  const ordered = [];
+  const depths = new Map();
+  const stack = roots.map(node => [node, 0]).reverse();
+  while (stack.length > 0) {
+    const [node, depth] = stack.pop();
+    ordered.push(node);
+    depths.set(node.id, depth);
+    const children = childrenById.get(node.id) || [];
+    for (let i = children.length - 1; i >= 0; i--) {
+      stack.push([children[i], depth + 1]);
+    }
+  }
+
+  nodes.splice(0, nodes.length, ...ordered);
+  return depths;
+}
+
+// Invited By Cell Renderer - links to the inviter's row when they are in the grid
+class InvitedByCellRenderer {
+  init(params) {
+    this.eGui = document.createElement('div');
+    this.eGui.style.cssText =
+      'display: flex; align-items: center; height: 100%;';
+
+    const name =
+      params.value === null || params.value === undefined
+        ? ''
+        : String(params.value);
+    const containerId = params.context && params.context.containerId;
+    const inviter =
+      name && containerId
+        ? window.usersInterop.findInviter(containerId, params.data)
+        : null;
+
+    if (!inviter) {
+      this.eGui.appendChild(
+        setHighlightedText(
+          createElement('span', { style: 'color: #374151;' }),
+          name,
+          params
+        )
+      );
+      return;
     }
 
-    this.eGui.innerHTML = statusText;
+    this.eLink = setHighlightedText(
+      createElement('button', {
+        className:
+          'text-blue-600 hover:text-blue-800 hover:underline focus:outline-none focus:underline',
+        attrs: { type: 'button', title: `Go to ${inviter.fullName}` },
+      }),
+      name,
+      params
+    );
+    this.clickHandler = event => {
+      // Don't let the click select this row or open it in the details panel
+      event.stopPropagation();
+      if (!window.usersInterop.revealUser(containerId, inviter.id)) {
+        this.eLink.title = `${inviter.fullName} is hidden by the current filters`;
+      }
+    };
+    this.eLink.addEventListener('click', this.clickHandler);
+    this.eGui.appendChild(this.eLink);
   }
 
   getGui() {
@@ -380,583 +972,8108 @@ class CustomRecordCountStatusPanel {
   }
 
   destroy() {
-    // Cleanup event listeners if needed
-    if (this.params && this.params.api) {
-      // Event listeners are automatically cleaned up when grid is destroyed
+    if (this.eLink) {
+      this.eLink.removeEventListener('click', this.clickHandler);
     }
   }
 }
 
-// Users App JavaScript Interop for Blazor
-window.usersInterop = {
-  grids: new Map(),
+// Row grouping
+// AG Grid's row grouping is Enterprise-only, so grouping adds a header row per
+// group to the grid's own rows. postSortRows moves each group's users under its
+// header, keeping the grid's sort within the group, and the filters hide
+// collapsed groups and groups without matching users
+const GROUP_ROW_KEY = '__group';
+const GROUP_ROW_ID_PREFIX = 'group:';
+const MAX_GROUP_LEVELS = 2;
+// filterChanged source of the grouping's own filter runs
+const GROUP_REFRESH_SOURCE = 'groupRefresh';
 
-  // Check if AG Grid is available
-  isAgGridAvailable: function () {
-    return typeof agGrid !== 'undefined' && agGrid.createGrid;
-  },
+function isGroupRow(data) {
+  return !!(data && data[GROUP_ROW_KEY]);
+}
 
-  // Initialize AG Grid
-  createGrid: function (containerId, gridOptions, dotNetRef) {
-    try {
-      // Check if AG Grid is loaded
-      if (!this.isAgGridAvailable()) {
-        console.error(
-          'AG Grid is not loaded. Make sure ag-grid-community.min.js is included.'
-        );
-        return false;
-      }
+// Array fields such as roles group by their first (primary) value
+function getGroupKey(row, field) {
+  const value = getRowFieldValue(row, field);
+  const key = Array.isArray(value) ? value[0] : value;
+  return key === null || key === undefined ? SET_FILTER_BLANK : String(key);
+}
 
-      const container = document.getElementById(containerId);
-      if (!container) {
-        console.error(`Container with id '${containerId}' not found`);
-        return false;
-      }
+// Ids are built from the group's keys, so expanded/collapsed state survives reloads
+function getGroupId(row, fields, level) {
+  return (
+    GROUP_ROW_ID_PREFIX +
+    fields
+      .slice(0, level + 1)
+      .map(field => `${field}=${encodeURIComponent(getGroupKey(row, field))}`)
+      .join('&')
+  );
+}
 
-      // Add .NET reference for callbacks with error handling
-      if (dotNetRef) {
-        gridOptions.onRowClicked = event => {
-          try {
-            if (event && event.data) {
-              dotNetRef.invokeMethodAsync('HandleRowClicked', event.data);
-            }
-          } catch (err) {
-            console.error('Error in row click handler:', err);
-          }
+// The group header rows needed for a set of users, by id
+function createGroupRows(rows, fields) {
+  const groups = new Map();
+  rows.forEach(row => {
+    fields.forEach((field, level) => {
+      const id = getGroupId(row, fields, level);
+      if (groups.has(id)) return;
+      groups.set(id, {
+        id,
+        [GROUP_ROW_KEY]: {
+          field,
+          key: getGroupKey(row, field),
+          level,
+          parentId: level > 0 ? getGroupId(row, fields, level - 1) : null,
+        },
+      });
+    });
+  });
+  return groups;
+}
+
+function getGroupParentId(data, fields) {
+  return isGroupRow(data)
+    ? data[GROUP_ROW_KEY].parentId
+    : getGroupId(data, fields, fields.length - 1);
+}
+
+// Groups in key order, each followed by its subgroups or users
+function sortNodesIntoGroups(nodes, fields) {
+  const parentIds = new Map(
+    nodes.map(node => [node.id, getGroupParentId(node.data, fields)])
+  );
+  const groups = nodes
+    .filter(node => isGroupRow(node.data))
+    .sort((a, b) =>
+      compareValues(a.data[GROUP_ROW_KEY].key, b.data[GROUP_ROW_KEY].key)
+    );
+  const users = nodes.filter(node => !isGroupRow(node.data));
+  nodes.splice(0, nodes.length, ...groups, ...users);
+  sortNodesAsTree(nodes, { getParentId: id => parentIds.get(id) || null });
+}
+
+// Group Row Renderer - full-width header with the group's value and user count
+class GroupRowRenderer {
+  init(params) {
+    const group = params.data[GROUP_ROW_KEY];
+    const containerId = params.context && params.context.containerId;
+    const info = window.usersInterop.getGroupRowInfo(
+      containerId,
+      params.data.id
+    ) || { expanded: true, shown: 0, total: 0 };
+
+    const column = params.api.getColumn(group.field);
+    const headerName = (column && column.getColDef().headerName) || group.field;
+
+    this.eGui = createElement('div', {
+      className: 'flex items-center gap-2 h-full bg-gray-50 cursor-pointer',
+    });
+    this.eGui.style.paddingLeft = `${12 + group.level * 24}px`;
+
+    this.eToggle = createElement('button', {
+      className:
+        'text-gray-500 hover:text-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-500 rounded',
+      style: 'width: 16px; line-height: 1;',
+      text: info.expanded ? '▾' : '▸',
+      attrs: {
+        type: 'button',
+        'aria-expanded': String(info.expanded),
+        'aria-label': `${info.expanded ? 'Collapse' : 'Expand'} ${headerName} ${formatSetFilterValue(group.key)}`,
+      },
+    });
+
+    this.eGui.append(
+      this.eToggle,
+      createElement('span', {
+        className: 'text-sm text-gray-500',
+        text: `${headerName}:`,
+      }),
+      createElement('span', {
+        className: 'text-sm font-semibold text-gray-900',
+        text: formatSetFilterValue(group.key),
+      }),
+      createElement('span', {
+        className: 'px-2 rounded-full bg-gray-200 text-xs text-gray-700',
+        text:
+          info.shown === info.total
+            ? String(info.total)
+            : `${info.shown} of ${info.total}`,
+        attrs: { title: `${info.total} users in this group` },
+      })
+    );
+
+    this.clickHandler = event => {
+      // Toggling a group shouldn't select rows or open the details panel
+      event.stopPropagation();
+      window.usersInterop.toggleGroup(containerId, params.data.id);
+    };
+    this.eGui.addEventListener('click', this.clickHandler);
+  }
+
+  getGui() {
+    return this.eGui;
+  }
+
+  refresh() {
+    // Re-create the header so the toggle and counts follow the group state
+    return false;
+  }
+
+  destroy() {
+    this.eGui.removeEventListener('click', this.clickHandler);
+  }
+}
+
+// Skeleton Cell Renderer shown while a server-side page is loading
+class SkeletonCellRenderer {
+  init() {
+    this.eGui = document.createElement('div');
+    this.eGui.style.cssText =
+      'display: flex; align-items: center; height: 100%; padding: 4px 0;';
+    this.eGui.innerHTML =
+      '<span class="animate-pulse" style="display: block; width: 70%; height: 10px; border-radius: 4px; background-color: #e5e7eb;"></span>';
+  }
+
+  getGui() {
+    return this.eGui;
+  }
+}
+
+// Default row actions used when the column definition doesn't supply its own list
+const DEFAULT_ROW_ACTIONS = [
+  { id: 'view', label: 'View', openDetail: true },
+  { id: 'edit', label: 'Edit' },
+  {
+    id: 'archive',
+    label: 'Archive',
+    destructive: true,
+    confirmTitle: 'Archive user',
+    confirmMessage: 'Are you sure you want to archive {fullName}?',
+    confirmLabel: 'Archive',
+    disabledWhen: { field: 'status', values: ['Archived'] },
+  },
+];
+
+// Values derived from a row that rules and the mock server can refer to like fields
+const COMPUTED_ROW_FIELDS = {
+  invitation: getInvitationLabel,
+};
+
+function getRowFieldValue(row, field) {
+  return COMPUTED_ROW_FIELDS[field]
+    ? COMPUTED_ROW_FIELDS[field](row)
+    : row[field];
+}
+
+// Evaluate a declarative row rule such as { field: 'status', values: ['Archived'] }
+// Rules come from C# column definitions, so they can't be functions there -
+// JS callers may still pass a predicate function instead
+function matchesRowRule(rule, row) {
+  if (!rule || !row) return false;
+  if (typeof rule === 'function') return !!rule(row);
+  if (Array.isArray(rule)) return rule.some(r => matchesRowRule(r, row));
+
+  const value = getRowFieldValue(row, rule.field);
+  const values = (rule.values || [rule.value]).map(v =>
+    String(v).toLowerCase()
+  );
+  const rowValues = Array.isArray(value) ? value : [value];
+
+  return rowValues.some(
+    v =>
+      v !== null && v !== undefined && values.includes(String(v).toLowerCase())
+  );
+}
+
+function isRowActionEnabled(action, row) {
+  if (action.disabledWhen && matchesRowRule(action.disabledWhen, row)) {
+    return false;
+  }
+  if (action.enabledWhen && !matchesRowRule(action.enabledWhen, row)) {
+    return false;
+  }
+  return true;
+}
+
+// Replace {field} placeholders with values from the row
+function formatRowTemplate(template, row) {
+  return String(template || '').replace(/\{(\w+)\}/g, (match, field) =>
+    row && row[field] !== undefined && row[field] !== null
+      ? String(row[field])
+      : ''
+  );
+}
+
+// Built-in confirmation dialog for destructive actions (resolves to true/false)
+function showConfirmDialog(options) {
+  return new Promise(resolve => {
+    const previousFocus = document.activeElement;
+
+    const overlay = document.createElement('div');
+    overlay.className =
+      'grid-confirm-overlay fixed inset-0 z-[1100] flex items-center justify-center bg-black bg-opacity-30';
+
+    const dialog = document.createElement('div');
+    dialog.className = 'bg-white rounded-lg shadow-xl w-full max-w-sm p-6';
+    dialog.setAttribute('role', 'alertdialog');
+    dialog.setAttribute('aria-modal', 'true');
+
+    const title = document.createElement('h3');
+    title.id = `grid-confirm-title-${Date.now()}`;
+    title.className = 'text-lg font-semibold text-gray-900 mb-2';
+    title.textContent = options.title || 'Please confirm';
+    dialog.setAttribute('aria-labelledby', title.id);
+
+    const message = document.createElement('p');
+    message.className = 'text-sm text-gray-600 mb-6';
+    message.textContent = options.message || 'Are you sure?';
+
+    const buttons = document.createElement('div');
+    buttons.className = 'flex justify-end gap-3';
+
+    const cancelButton = document.createElement('button');
+    cancelButton.type = 'button';
+    cancelButton.className =
+      'px-3 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-blue-500';
+    cancelButton.textContent = options.cancelLabel || 'Cancel';
+
+    const confirmButton = document.createElement('button');
+    confirmButton.type = 'button';
+    confirmButton.className = options.destructive
+      ? 'px-3 py-2 text-sm font-medium text-white bg-red-600 rounded-md hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-500'
+      : 'px-3 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500';
+    confirmButton.textContent = options.confirmLabel || 'Confirm';
+
+    buttons.append(cancelButton, confirmButton);
+    dialog.append(title, message, buttons);
+    overlay.appendChild(dialog);
+
+    const close = result => {
+      document.removeEventListener('keydown', keyHandler, true);
+      overlay.remove();
+      if (previousFocus && previousFocus.focus) {
+        previousFocus.focus();
+      }
+      resolve(result);
+    };
+
+    const keyHandler = e => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        close(false);
+      } else if (e.key === 'Tab') {
+        // Keep focus inside the dialog
+        e.preventDefault();
+        (document.activeElement === confirmButton
+          ? cancelButton
+          : confirmButton
+        ).focus();
+      }
+    };
+
+    cancelButton.addEventListener('click', () => close(false));
+    confirmButton.addEventListener('click', () => close(true));
+    overlay.addEventListener('click', e => {
+      if (e.target === overlay) close(false);
+    });
+    document.addEventListener('keydown', keyHandler, true);
+
+    document.body.appendChild(overlay);
+    cancelButton.focus();
+  });
+}
+
+// Actions Cell Renderer with dropdown menu
+// The action list comes from cellRendererParams.actions and every click is
+// routed to .NET through HandleRowAction(action, row)
+class ActionsCellRenderer {
+  init(params) {
+    this.params = params;
+    this.actions = params.actions || DEFAULT_ROW_ACTIONS;
+    this.eGui = document.createElement('div');
+    this.eGui.style.cssText =
+      'padding: 4px 0; display: flex; align-items: center; justify-content: center;';
+
+    this.eGui.innerHTML = `
+      <div class="relative">
+        <button class="actions-btn p-1 rounded hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                type="button" aria-label="Actions" aria-haspopup="menu" aria-expanded="false">
+          <svg class="w-4 h-4 text-gray-500" fill="currentColor" viewBox="0 0 20 20">
+            <path d="M10 6a2 2 0 110-4 2 2 0 010 4zM10 12a2 2 0 110-4 2 2 0 010 4zM10 18a2 2 0 110-4 2 2 0 010 4z"></path>
+          </svg>
+        </button>
+        <div class="actions-dropdown absolute right-0 mt-1 w-32 bg-white rounded-md shadow-lg ring-1 ring-black ring-opacity-5 z-50 hidden">
+          <div class="actions-list py-1" role="menu"></div>
+        </div>
+      </div>
+    `;
+
+    this.renderActions();
+
+    // Add event listeners
+    this.setupEventListeners();
+  }
+
+  renderActions() {
+    const list = this.eGui.querySelector('.actions-list');
+    const row = this.params.data;
+
+    this.actions.forEach(action => {
+      const enabled = isRowActionEnabled(action, row);
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.setAttribute('role', 'menuitem');
+      item.dataset.action = action.id;
+      item.textContent = action.label || action.id;
+      item.disabled = !enabled;
+      item.className = enabled
+        ? `action-item block w-full text-left px-4 py-2 text-sm hover:bg-gray-100 ${action.destructive ? 'text-red-600' : 'text-gray-700'}`
+        : 'action-item block w-full text-left px-4 py-2 text-sm text-gray-300 cursor-not-allowed';
+      list.appendChild(item);
+    });
+  }
+
+  setupEventListeners() {
+    const button = this.eGui.querySelector('.actions-btn');
+    const dropdown = this.eGui.querySelector('.actions-dropdown');
+
+    this.buttonClickHandler = e => {
+      e.stopPropagation();
+      const isHidden = dropdown.classList.toggle('hidden');
+      button.setAttribute('aria-expanded', String(!isHidden));
+    };
+    button.addEventListener('click', this.buttonClickHandler);
+
+    // Close dropdown when clicking outside
+    this.documentClickHandler = e => {
+      if (!this.eGui.contains(e.target)) {
+        dropdown.classList.add('hidden');
+        button.setAttribute('aria-expanded', 'false');
+      }
+    };
+    document.addEventListener('click', this.documentClickHandler);
+
+    // Handle action clicks
+    this.eGui.querySelectorAll('.action-item').forEach(item => {
+      item.addEventListener('click', e => {
+        e.stopPropagation();
+        dropdown.classList.add('hidden');
+        button.setAttribute('aria-expanded', 'false');
+
+        const action = this.actions.find(a => a.id === item.dataset.action);
+        if (action) {
+          this.runAction(action);
+        }
+      });
+    });
+  }
+
+  async runAction(action) {
+    const row = this.params.data;
+    if (!row || !isRowActionEnabled(action, row)) return;
+
+    try {
+      if (action.destructive || action.confirm) {
+        const confirmed = await showConfirmDialog({
+          title: action.confirmTitle || action.label,
+          message: formatRowTemplate(
+            action.confirmMessage || `${action.label} {fullName}?`,
+            row
+          ),
+          confirmLabel: action.confirmLabel || action.label,
+          destructive: action.destructive,
+        });
+        if (!confirmed) return;
+      }
+
+      const context = this.params.context || {};
+      const update = action.update && ROW_ACTION_UPDATES[action.update];
+      const updatedRow = update ? update(row) : null;
+      if (action.openDetail) {
+        window.usersInterop.openUserDetail(
+          context.containerId,
+          this.params.node.id
+        );
+      }
+
+      const dotNetRef = context.dotNetRef;
+      if (dotNetRef) {
+        // .NET answers with an error message when it rejects the update
+        const error = await dotNetRef.invokeMethodAsync(
+          'HandleRowAction',
+          action.id,
+          row,
+          updatedRow
+        );
+        if (updatedRow && !error) {
+          // The infinite row model has no transactions; reload from the server instead
+          if (window.usersInterop.isServerSide(context.containerId)) {
+            window.usersInterop.updateServerRows(context.containerId, [
+              updatedRow,
+            ]);
+          } else {
+            this.params.api.applyTransaction({ update: [updatedRow] });
+          }
+        } else if (error) {
+          console.warn(`Row action '${action.id}' was rejected: ${error}`);
+        }
+      } else {
+        console.warn(`No .NET reference for row action '${action.id}'`);
+      }
+    } catch (err) {
+      console.error(`Error running row action '${action.id}':`, err);
+    }
+  }
+
+  getGui() {
+    return this.eGui;
+  }
+
+  refresh() {
+    // Returning false re-creates the renderer so enable/disable rules follow row updates
+    return false;
+  }
+
+  destroy() {
+    // Cleanup event listeners
+    const button = this.eGui.querySelector('.actions-btn');
+    if (button) {
+      button.removeEventListener('click', this.buttonClickHandler);
+    }
+    if (this.documentClickHandler) {
+      document.removeEventListener('click', this.documentClickHandler);
+    }
+  }
+}
+
+const RECORD_COUNT_EVENTS = [
+  'modelUpdated',
+  'filterChanged',
+  'sortChanged',
+  'selectionChanged',
+];
+
+// Custom Status Panel Component for AG Grid v33 Community Edition
+// This replaces Enterprise-only status panels like agTotalRowCountComponent and agFilteredRowCountComponent
+class CustomRecordCountStatusPanel {
+  init(params) {
+    this.params = params;
+    this.eGui = document.createElement('div');
+    this.eGui.className = 'ag-status-panel ag-status-panel-custom-record-count';
+    this.eGui.style.cssText =
+      'padding: 4px 8px; font-size: 12px; color: #6b7280; display: flex; align-items: center; gap: 16px;';
+    this.updateCount();
+
+    // Listen for data changes
+    this.updateHandler = () => this.updateCount();
+    RECORD_COUNT_EVENTS.forEach(eventType =>
+      params.api.addEventListener(eventType, this.updateHandler)
+    );
+  }
+
+  updateCount() {
+    // Events queued before the grid was destroyed can still arrive
+    if (!this.params || !this.params.api || this.params.api.isDestroyed()) {
+      return;
+    }
+
+    const api = this.params.api;
+    const context = this.params.context || {};
+    let displayedRows = api.getDisplayedRowCount();
+    let totalRows = displayedRows;
+
+    // The server only sends the rows that pass the filters; client-side, group
+    // header rows aren't records and users in collapsed groups or branches still count
+    if (!window.usersInterop.isServerSide(context.containerId)) {
+      displayedRows = window.usersInterop.getFilteredUsers(
+        context.containerId
+      ).length;
+      totalRows = 0;
+      api.forEachNode(node => {
+        if (node.data && !isGroupRow(node.data)) totalRows++;
+      });
+    }
+    const selectedRows = this.params.api.getSelectedRows().length;
+
+    // Build status text with multiple metrics (Community Edition compatible)
+    let statusText = '';
+
+    if (displayedRows === totalRows) {
+      statusText = `${totalRows} records`;
+    } else {
+      statusText = `${displayedRows} of ${totalRows} records`;
+    }
+
+    if (selectedRows > 0) {
+      statusText += ` • ${selectedRows} selected`;
+    }
+
+    this.eGui.textContent = statusText;
+  }
+
+  getGui() {
+    return this.eGui;
+  }
+
+  destroy() {
+    // The status bar is destroyed before the grid, so the listeners are still there
+    if (this.params && this.params.api && !this.params.api.isDestroyed()) {
+      RECORD_COUNT_EVENTS.forEach(eventType =>
+        this.params.api.removeEventListener(eventType, this.updateHandler)
+      );
+    }
+  }
+}
+
+// Summary status panels - counts over the users that pass the current filters
+// (including those in collapsed groups or tree branches). A count is a button
+// that applies the matching column filter, or removes it when already applied
+const SUMMARY_PANEL_EVENTS = ['modelUpdated', 'filterChanged'];
+const SUMMARY_PANEL_BUTTON_CLASS =
+  'px-1 rounded hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500';
+const SUMMARY_PANEL_ACTIVE_CLASS = 'bg-blue-50 text-blue-700 font-medium';
+
+class SummaryStatusPanel {
+  init(params) {
+    this.params = params;
+    this.containerId = params.context && params.context.containerId;
+    this.eGui = createElement('div', {
+      className: 'flex items-center gap-1 text-xs text-gray-500',
+      attrs: { role: 'group', 'aria-label': this.getLabel() },
+    });
+
+    // Server-side grids only hold the loaded pages, so there is nothing to count
+    if (window.usersInterop.isServerSide(this.containerId)) {
+      this.eGui.style.display = 'none';
+      return;
+    }
+
+    this.updateHandler = () => this.update();
+    SUMMARY_PANEL_EVENTS.forEach(eventType =>
+      params.api.addEventListener(eventType, this.updateHandler)
+    );
+    this.clickHandler = event => {
+      const button = event.target.closest('button[data-index]');
+      if (!button) return;
+      const item = this.items[Number(button.dataset.index)];
+      window.usersInterop.toggleColumnFilter(
+        this.containerId,
+        this.getField(),
+        item.filter
+      );
+    };
+    this.eGui.addEventListener('click', this.clickHandler);
+    this.update();
+  }
+
+  // [{ text, title, filter }] for the current filtered users
+  getItems() {
+    return [];
+  }
+
+  // The column the counts come from and the filter goes to
+  getField() {
+    return this.params.field;
+  }
+
+  getLabel() {
+    return this.params.label || '';
+  }
+
+  update() {
+    const users = window.usersInterop.getFilteredUsers(this.containerId);
+    this.items = this.getItems(users);
+
+    const children = [];
+    if (this.params.label) {
+      children.push(createElement('span', { text: `${this.params.label}:` }));
+    }
+    this.items.forEach((item, index) => {
+      if (!item.filter) {
+        children.push(
+          createElement('span', {
+            text: item.text,
+            attrs: { title: item.title },
+          })
+        );
+        return;
+      }
+      const applied = window.usersInterop.isColumnFilterApplied(
+        this.containerId,
+        this.getField(),
+        item.filter
+      );
+      children.push(
+        createElement('button', {
+          className: `${SUMMARY_PANEL_BUTTON_CLASS}${applied ? ` ${SUMMARY_PANEL_ACTIVE_CLASS}` : ''}`,
+          text: item.text,
+          attrs: {
+            type: 'button',
+            title: item.title,
+            'aria-pressed': String(applied),
+            'data-index': index,
+          },
+        })
+      );
+    });
+    this.eGui.replaceChildren(...children);
+  }
+
+  getGui() {
+    return this.eGui;
+  }
+
+  destroy() {
+    if (!this.updateHandler) return;
+    SUMMARY_PANEL_EVENTS.forEach(eventType =>
+      this.params.api.removeEventListener(eventType, this.updateHandler)
+    );
+    this.eGui.removeEventListener('click', this.clickHandler);
+  }
+}
+
+// Users per value of a column, most common first, e.g.
+// { statusPanel: 'aggregateStatusPanel', statusPanelParams: { field: 'status', label: 'Status' } }
+// Values of array columns (roles) are counted separately
+class AggregateStatusPanel extends SummaryStatusPanel {
+  getItems(users) {
+    const maxValues = this.params.maxValues || 6;
+    return countColumnValues(users, this.getField())
+      .slice(0, maxValues)
+      .map(([key, count]) => ({
+        text: `${formatSetFilterValue(key)} ${count}`,
+        title: `Show only ${formatSetFilterValue(key)}`,
+        filter: window.usersInterop.createValueFilterModel(
+          this.containerId,
+          this.getField(),
+          key
+        ),
+      }));
+  }
+}
+
+// Users not active for more than params.days (default 30) days, never active included
+class InactiveUsersStatusPanel extends SummaryStatusPanel {
+  getItems(users) {
+    const days = this.params.days || 30;
+    const filter = createInactiveFilterModel(days);
+    const count = users.filter(row =>
+      matchesDateRangeFilter(getRowFieldValue(row, this.getField()), filter)
+    ).length;
+    return [
+      {
+        text: `${count} (${days}+ days)`,
+        title: `Show users ${describeInactiveDays(days).toLowerCase()}`,
+        filter,
+      },
+    ];
+  }
+
+  getField() {
+    return this.params.field || 'lastActive';
+  }
+
+  getLabel() {
+    return this.params.label || 'Inactive users';
+  }
+}
+
+// [key, count] pairs for a column's values, most common first
+function countColumnValues(users, field) {
+  const counts = new Map();
+  users.forEach(row => {
+    getSetFilterKeys(getRowFieldValue(row, field)).forEach(key =>
+      counts.set(key, (counts.get(key) || 0) + 1)
+    );
+  });
+  return [...counts].sort((a, b) => b[1] - a[1] || compareValues(a[0], b[0]));
+}
+
+// Status bar - gridOptions.statusBar is only rendered by AG Grid Enterprise, so
+// the Community grid lays out the configured panels under the grid itself.
+// Panels get the same params as AG Grid status panels: api, context and statusPanelParams
+class GridStatusBar {
+  constructor(statusPanels, components, params) {
+    this.panels = [];
+    this.eGui = createElement('div', {
+      className:
+        'users-grid-status-bar flex items-center justify-between gap-4 px-2 py-1 border-t border-gray-200 bg-white',
+    });
+
+    const slots = {};
+    ['left', 'center', 'right'].forEach(align => {
+      slots[align] = createElement('div', {
+        className: 'flex flex-wrap items-center gap-4',
+      });
+      this.eGui.appendChild(slots[align]);
+    });
+
+    statusPanels.forEach(panelDef => {
+      const PanelClass = components[panelDef.statusPanel];
+      if (typeof PanelClass !== 'function') {
+        console.warn(`Unknown status panel "${panelDef.statusPanel}"`);
+        return;
+      }
+      const panel = new PanelClass();
+      panel.init({ ...params, ...panelDef.statusPanelParams });
+      (slots[panelDef.align] || slots.left).appendChild(panel.getGui());
+      this.panels.push(panel);
+    });
+  }
+
+  getGui() {
+    return this.eGui;
+  }
+
+  destroy() {
+    this.panels.forEach(panel => {
+      if (panel.destroy) panel.destroy();
+    });
+    this.eGui.remove();
+  }
+}
+
+// Summary row - a row pinned under the grid with one summary per column
+// (summaryRow grid option: { field: kind }). Kinds:
+//   'count'    users that pass the filters
+//   'distinct' number of different values
+//   'top'      most common value, click to filter on it
+//   'blank'    users without a value, click to filter on them
+//   { type: 'inactive', days } users not active for more than days (default 30), click to filter
+const SUMMARY_ROW_ID = '__summary';
+const SUMMARY_ROW_KEY = '__summary';
+
+const COLUMN_SUMMARIES = {
+  count: users => ({
+    text: `${users.length} users`,
+    title: `${users.length} users match the filters`,
+  }),
+  distinct: (users, field) => {
+    const values = countColumnValues(users, field).filter(
+      ([key]) => key !== SET_FILTER_BLANK
+    );
+    return {
+      text: `${values.length} distinct`,
+      title: values
+        .slice(0, 10)
+        .map(([key, count]) => `${key} (${count})`)
+        .join(', '),
+    };
+  },
+  top: (users, field, createFilter) => {
+    const [top] = countColumnValues(users, field);
+    if (!top) return { text: '', title: '' };
+    const label = formatSetFilterValue(top[0]);
+    return {
+      text: `${label} (${top[1]})`,
+      title: `Most common: ${label} - click to show only these users`,
+      filter: createFilter(top[0]),
+    };
+  },
+  blank: (users, field, createFilter) => {
+    const count = countColumnValues(users, field).find(
+      ([key]) => key === SET_FILTER_BLANK
+    );
+    return {
+      text: `${count ? count[1] : 0} blank`,
+      title: 'Click to show only users without a value',
+      filter: createFilter(SET_FILTER_BLANK),
+    };
+  },
+  inactive: (users, field, createFilter, options) => {
+    const days = options.days || 30;
+    const filter = createInactiveFilterModel(days);
+    const count = users.filter(row =>
+      matchesDateRangeFilter(getRowFieldValue(row, field), filter)
+    ).length;
+    return {
+      text: `${count} inactive ${days}+ days`,
+      title: `${describeInactiveDays(days)} - click to show only these users`,
+      filter,
+    };
+  },
+};
+
+function isSummaryRow(node) {
+  return Boolean(
+    node && node.rowPinned && node.data && node.data[SUMMARY_ROW_KEY]
+  );
+}
+
+class SummaryCellRenderer {
+  init(params) {
+    const field = params.colDef && params.colDef.field;
+    const summary = (params.data[SUMMARY_ROW_KEY] || {})[field];
+    const containerId = params.context && params.context.containerId;
+
+    if (!summary || !summary.text) {
+      this.eGui = createElement('span');
+      return;
+    }
+    if (!summary.filter) {
+      this.eGui = createElement('span', {
+        className: 'text-xs font-medium text-gray-600',
+        text: summary.text,
+        attrs: { title: summary.title },
+      });
+      return;
+    }
+
+    const applied = summary.applied;
+    this.eGui = createElement('button', {
+      className: `${SUMMARY_PANEL_BUTTON_CLASS} text-xs font-medium text-gray-600${applied ? ` ${SUMMARY_PANEL_ACTIVE_CLASS}` : ''}`,
+      text: summary.text,
+      attrs: {
+        type: 'button',
+        title: summary.title,
+        'aria-pressed': String(applied),
+      },
+    });
+    this.clickHandler = () =>
+      window.usersInterop.toggleColumnFilter(
+        containerId,
+        field,
+        summary.filter
+      );
+    this.eGui.addEventListener('click', this.clickHandler);
+  }
+
+  getGui() {
+    return this.eGui;
+  }
+
+  refresh() {
+    return false;
+  }
+
+  destroy() {
+    if (this.clickHandler) {
+      this.eGui.removeEventListener('click', this.clickHandler);
+    }
+  }
+}
+
+// Set filter - Community replacement for the Enterprise agSetColumnFilter
+// Model: { filterType: 'set', values: [...], matchMode?: 'all' }
+// Array values (roles) pass when they contain any - or with matchMode 'all', every - selected value
+const SET_FILTER_BLANK = '';
+
+function getSetFilterKeys(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0 ? value.map(String) : [SET_FILTER_BLANK];
+  }
+  return [value == null ? SET_FILTER_BLANK : String(value)];
+}
+
+function matchesSetFilter(value, model) {
+  const selected = (model.values || []).map(String);
+  if (selected.length === 0) return false;
+
+  const keys = getSetFilterKeys(value);
+  if (model.matchMode === 'all' && Array.isArray(value)) {
+    return selected.every(v => keys.includes(v));
+  }
+  return keys.some(key => selected.includes(key));
+}
+
+function formatSetFilterValue(value) {
+  return value === SET_FILTER_BLANK ? '(Blanks)' : value;
+}
+
+function describeSetFilterModel(model) {
+  if (!model) return 'All';
+
+  const labels = (model.values || []).map(formatSetFilterValue);
+  if (labels.length === 0) return '(None)';
+
+  const summary =
+    labels.length <= 2 ? labels.join(', ') : `${labels.length} selected`;
+  return model.matchMode === 'all' ? `All of: ${summary}` : summary;
+}
+
+// Searchable checkbox list of distinct values with counts
+// filterParams: { values: [...] (listed first, needed in server-side mode), multiValue: true }
+class SetColumnFilter {
+  init(params) {
+    this.params = params;
+    this.selected = null; // null = every value selected, i.e. the filter is inactive
+    this.matchMode = 'any';
+    this.multiValue = params.multiValue === true;
+    this.values = [];
+    this.hasCounts = false;
+
+    this.eGui = document.createElement('div');
+    this.eGui.className = 'set-column-filter';
+    this.eGui.style.cssText = 'padding: 8px; width: 220px; font-size: 13px;';
+    this.eGui.innerHTML = `
+      <input type="search" placeholder="Search..." aria-label="Search values" style="width: 100%; padding: 4px 8px; border: 1px solid #d1d5db; border-radius: 4px; font-size: 13px;">
+      <div style="display: flex; align-items: center; gap: 12px; margin: 6px 0;">
+        <button type="button" data-action="all" style="color: #2563eb; font-size: 12px; background: none; border: none; padding: 0; cursor: pointer;">Select all</button>
+        <button type="button" data-action="none" style="color: #2563eb; font-size: 12px; background: none; border: none; padding: 0; cursor: pointer;">None</button>
+      </div>
+      <label data-role="match-mode" style="display: none; align-items: center; gap: 6px; margin-bottom: 6px; color: #374151; font-size: 12px;">
+        Match
+        <select style="border: 1px solid #d1d5db; border-radius: 4px; font-size: 12px; padding: 1px 4px;">
+          <option value="any">any</option>
+          <option value="all">all</option>
+        </select>
+        selected
+      </label>
+      <div data-role="list" style="max-height: 220px; overflow-y: auto;"></div>
+    `;
+
+    this.eSearch = this.eGui.querySelector('input[type="search"]');
+    this.eMatchMode = this.eGui.querySelector('[data-role="match-mode"]');
+    this.eMatchModeSelect = this.eMatchMode.querySelector('select');
+    this.eList = this.eGui.querySelector('[data-role="list"]');
+
+    this.eSearch.addEventListener('input', () => this.renderList());
+    this.eGui
+      .querySelector('[data-action="all"]')
+      .addEventListener('click', () => this.setSelection(null));
+    this.eGui
+      .querySelector('[data-action="none"]')
+      .addEventListener('click', () => this.setSelection(new Set()));
+    this.eMatchModeSelect.addEventListener('change', () => {
+      this.matchMode = this.eMatchModeSelect.value;
+      if (this.isFilterActive()) this.params.filterChangedCallback();
+    });
+    this.eList.addEventListener('change', e => {
+      if (e.target.type === 'checkbox') {
+        this.toggleValue(e.target.value, e.target.checked);
+      }
+    });
+
+    // Edits and imports change the distinct values and their counts
+    this.rowsChangedHandler = () => this.onNewRowsLoaded();
+    params.api.addEventListener('cellValueChanged', this.rowsChangedHandler);
+    params.api.addEventListener('rowDataUpdated', this.rowsChangedHandler);
+
+    this.refreshValues();
+    this.renderList();
+  }
+
+  // Distinct values from filterParams.values and the loaded rows (client-side only)
+  refreshValues() {
+    const counts = new Map();
+    (this.params.values || []).forEach(value => counts.set(String(value), 0));
+
+    const listed = counts.size;
+    this.hasCounts =
+      this.params.api.getGridOption('rowModelType') !== 'infinite';
+    if (this.hasCounts) {
+      this.params.api.forEachNode(node => {
+        if (!node.data || isGroupRow(node.data)) return;
+        const value = this.getRowValue(node);
+        if (Array.isArray(value)) this.multiValue = true;
+        getSetFilterKeys(value).forEach(key =>
+          counts.set(key, (counts.get(key) || 0) + 1)
+        );
+      });
+    }
+    // Keep selected values visible even when no row has them any more
+    (this.selected || []).forEach(value => {
+      if (!counts.has(value)) counts.set(value, 0);
+    });
+
+    const entries = [...counts.entries()].map(([value, count]) => ({
+      value,
+      count,
+    }));
+    const extra = entries.slice(listed).sort((a, b) => {
+      if (a.value === SET_FILTER_BLANK) return 1;
+      if (b.value === SET_FILTER_BLANK) return -1;
+      return a.value.localeCompare(b.value);
+    });
+    this.values = [...entries.slice(0, listed), ...extra];
+    this.eMatchMode.style.display = this.multiValue ? 'flex' : 'none';
+  }
+
+  renderList() {
+    const term = this.eSearch.value.trim().toLowerCase();
+    const visible = this.values.filter(item =>
+      formatSetFilterValue(item.value).toLowerCase().includes(term)
+    );
+
+    this.eList.innerHTML = '';
+    if (visible.length === 0) {
+      const empty = document.createElement('div');
+      empty.style.cssText = 'padding: 4px 0; color: #6b7280;';
+      empty.textContent = 'No matching values';
+      this.eList.appendChild(empty);
+      return;
+    }
+
+    visible.forEach(item => {
+      const label = document.createElement('label');
+      label.style.cssText =
+        'display: flex; align-items: center; gap: 8px; padding: 3px 0; cursor: pointer; color: #111827;';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = item.value;
+      checkbox.checked =
+        this.selected === null || this.selected.has(item.value);
+
+      const text = document.createElement('span');
+      text.style.cssText =
+        'flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+      text.textContent = formatSetFilterValue(item.value);
+
+      label.append(checkbox, text);
+      if (this.hasCounts) {
+        const count = document.createElement('span');
+        count.style.cssText = 'color: #6b7280; font-size: 12px;';
+        count.textContent = String(item.count);
+        label.appendChild(count);
+      }
+      this.eList.appendChild(label);
+    });
+  }
+
+  toggleValue(value, checked) {
+    const selected = new Set(
+      this.selected === null
+        ? this.values.map(item => item.value)
+        : this.selected
+    );
+    if (checked) {
+      selected.add(value);
+    } else {
+      selected.delete(value);
+    }
+
+    const allSelected = this.values.every(item => selected.has(item.value));
+    this.setSelection(allSelected ? null : selected);
+  }
+
+  setSelection(selected) {
+    this.selected = selected;
+    this.renderList();
+    this.params.filterChangedCallback();
+  }
+
+  getGui() {
+    return this.eGui;
+  }
+
+  isFilterActive() {
+    return this.selected !== null;
+  }
+
+  // The raw cell value - the filter value of array columns is a formatted string
+  getRowValue(node) {
+    return this.params.api.getCellValue({
+      rowNode: node,
+      colKey: this.params.column,
+    });
+  }
+
+  doesFilterPass(params) {
+    return matchesSetFilter(this.getRowValue(params.node), this.getModel());
+  }
+
+  getModel() {
+    if (!this.isFilterActive()) return null;
+
+    const model = { filterType: 'set', values: [...this.selected] };
+    if (this.multiValue && this.matchMode === 'all') {
+      model.matchMode = 'all';
+    }
+    return model;
+  }
+
+  setModel(model) {
+    this.selected =
+      model && Array.isArray(model.values)
+        ? new Set(model.values.map(String))
+        : null;
+    this.matchMode = model && model.matchMode === 'all' ? 'all' : 'any';
+    this.eMatchModeSelect.value = this.matchMode;
+    this.refreshValues();
+    this.renderList();
+  }
+
+  onNewRowsLoaded() {
+    this.refreshValues();
+    this.renderList();
+  }
+
+  afterGuiAttached() {
+    this.eSearch.focus();
+  }
+
+  destroy() {
+    if (this.params && this.params.api && !this.params.api.isDestroyed()) {
+      this.params.api.removeEventListener(
+        'cellValueChanged',
+        this.rowsChangedHandler
+      );
+      this.params.api.removeEventListener(
+        'rowDataUpdated',
+        this.rowsChangedHandler
+      );
+    }
+  }
+}
+
+// Date range filter - relative presets or an absolute from/to range (inclusive days)
+// Model: { filterType: 'dateRange', preset: 'activeLast7' },
+//        { filterType: 'dateRange', from: 'YYYY-MM-DD', to: 'YYYY-MM-DD' } (either end optional) or
+//        { filterType: 'dateRange', inactiveDays: 45 } (set by the summary panels)
+// Presets are stored by name, so a saved "last 7 days" stays relative to today
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Never active counts as inactive
+function isInactiveFor(time, days, now) {
+  return time === null || time < now - days * DAY_MS;
+}
+
+const DATE_RANGE_PRESETS = {
+  activeLast7: {
+    label: 'Active in last 7 days',
+    matches: (time, now) => time !== null && time >= now - 7 * DAY_MS,
+  },
+  inactive30: {
+    label: 'Not active in 30 days',
+    matches: (time, now) => isInactiveFor(time, 30, now),
+  },
+  inactive90: {
+    label: 'Not active in 90 days',
+    matches: (time, now) => isInactiveFor(time, 90, now),
+  },
+  never: {
+    label: 'Never active',
+    matches: time => time === null,
+  },
+};
+
+function parseDateValue(value) {
+  if (value == null || value === '') return null;
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
+// A date input value (YYYY-MM-DD) as local midnight, or the midnight after it for the end of a range
+function parseDateInput(text, endOfDay) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text || '');
+  if (!match) return null;
+
+  const date = new Date(
+    Number(match[1]),
+    Number(match[2]) - 1,
+    Number(match[3]) + (endOfDay ? 1 : 0)
+  );
+  return date.getTime();
+}
+
+// The inactive30/inactive90 presets where they fit, so the filter shows them as selected
+function createInactiveFilterModel(days) {
+  const preset = `inactive${days}`;
+  return DATE_RANGE_PRESETS[preset]
+    ? { filterType: 'dateRange', preset }
+    : { filterType: 'dateRange', inactiveDays: days };
+}
+
+function describeInactiveDays(days) {
+  return `Not active in ${days} days`;
+}
+
+function matchesDateRangeFilter(value, model, now = Date.now()) {
+  const time = parseDateValue(value);
+  if (model.inactiveDays > 0) {
+    return isInactiveFor(time, model.inactiveDays, now);
+  }
+  if (model.preset) {
+    // A model from a saved layout or view can name a preset that doesn't exist
+    if (
+      !Object.prototype.hasOwnProperty.call(DATE_RANGE_PRESETS, model.preset)
+    ) {
+      return false;
+    }
+    return DATE_RANGE_PRESETS[model.preset].matches(time, now);
+  }
+
+  if (time === null) return false;
+  const from = parseDateInput(model.from, false);
+  const to = parseDateInput(model.to, true);
+  return (from === null || time >= from) && (to === null || time < to);
+}
+
+function describeDateRangeModel(model) {
+  if (!model) return 'Any time';
+  if (model.inactiveDays > 0) return describeInactiveDays(model.inactiveDays);
+  if (model.preset) {
+    return DATE_RANGE_PRESETS[model.preset]
+      ? DATE_RANGE_PRESETS[model.preset].label
+      : model.preset;
+  }
+  if (model.from && model.to) return `${model.from} to ${model.to}`;
+  return model.from ? `From ${model.from}` : `Until ${model.to}`;
+}
+
+let dateRangeFilterCount = 0;
+
+class DateRangeFilter {
+  init(params) {
+    this.params = params;
+    this.model = null;
+    const groupName = `date-range-filter-${++dateRangeFilterCount}`;
+
+    this.eGui = document.createElement('div');
+    this.eGui.className = 'date-range-filter';
+    this.eGui.style.cssText =
+      'padding: 8px; width: 240px; font-size: 13px; color: #111827;';
+
+    const options = [
+      { value: '', label: 'Any time' },
+      ...Object.keys(DATE_RANGE_PRESETS).map(key => ({
+        value: key,
+        label: DATE_RANGE_PRESETS[key].label,
+      })),
+      // Only shown while a summary panel's "not active in N days" filter is applied
+      { value: 'inactiveDays', label: '' },
+      { value: 'custom', label: 'Custom range' },
+    ];
+    options.forEach(option => {
+      const label = document.createElement('label');
+      label.style.cssText =
+        'display: flex; align-items: center; gap: 8px; padding: 3px 0; cursor: pointer;';
+      const radio = document.createElement('input');
+      radio.type = 'radio';
+      radio.name = groupName;
+      radio.value = option.value;
+      const text = document.createElement('span');
+      text.textContent = option.label;
+      label.append(radio, text);
+      this.eGui.appendChild(label);
+    });
+
+    const range = document.createElement('div');
+    range.style.cssText =
+      'display: grid; grid-template-columns: auto 1fr; gap: 6px 8px; align-items: center; margin: 6px 0 0 24px;';
+    range.innerHTML = `
+      <span>From</span>
+      <input type="date" data-role="from" aria-label="From date" style="padding: 2px 4px; border: 1px solid #d1d5db; border-radius: 4px; font-size: 13px;">
+      <span>To</span>
+      <input type="date" data-role="to" aria-label="To date" style="padding: 2px 4px; border: 1px solid #d1d5db; border-radius: 4px; font-size: 13px;">
+    `;
+    this.eGui.appendChild(range);
+
+    this.eError = document.createElement('div');
+    this.eError.setAttribute('role', 'alert');
+    this.eError.style.cssText =
+      'display: none; margin-top: 6px; color: #dc2626; font-size: 12px;';
+    this.eGui.appendChild(this.eError);
+
+    this.eFrom = range.querySelector('[data-role="from"]');
+    this.eTo = range.querySelector('[data-role="to"]');
+
+    this.changeHandler = e => {
+      // Entering a date picks the custom range
+      if (e.target === this.eFrom || e.target === this.eTo) {
+        this.getRadio('custom').checked = true;
+      }
+      this.applyFromGui();
+    };
+    this.eGui.addEventListener('change', this.changeHandler);
+
+    this.updateGui();
+  }
+
+  getRadio(value) {
+    return [...this.eGui.querySelectorAll('input[type="radio"]')].find(
+      radio => radio.value === value
+    );
+  }
+
+  // Build the model from the inputs; an invalid range leaves the current model in place
+  applyFromGui() {
+    const selected = this.eGui.querySelector('input[type="radio"]:checked');
+    const choice = selected ? selected.value : '';
+    let model = null;
+
+    if (choice === 'custom') {
+      const from = this.eFrom.value;
+      const to = this.eTo.value;
+      if (from && to && from > to) {
+        this.showError('The start date is after the end date');
+        return;
+      }
+      if (from || to) {
+        model = { filterType: 'dateRange' };
+        if (from) model.from = from;
+        if (to) model.to = to;
+      }
+    } else if (choice === 'inactiveDays') {
+      model = this.model;
+    } else if (choice) {
+      model = { filterType: 'dateRange', preset: choice };
+    }
+
+    this.showError('');
+    if (JSON.stringify(model) !== JSON.stringify(this.model)) {
+      this.model = model;
+      this.params.filterChangedCallback();
+    }
+  }
+
+  showError(message) {
+    this.eError.textContent = message;
+    this.eError.style.display = message ? 'block' : 'none';
+  }
+
+  updateGui() {
+    const model = this.model;
+    const inactiveDays = model && model.inactiveDays > 0 && model.inactiveDays;
+    const inactiveRadio = this.getRadio('inactiveDays');
+    inactiveRadio.parentElement.style.display = inactiveDays ? 'flex' : 'none';
+    inactiveRadio.nextElementSibling.textContent = inactiveDays
+      ? describeInactiveDays(inactiveDays)
+      : '';
+
+    const choice = !model
+      ? ''
+      : model.preset || (inactiveDays ? 'inactiveDays' : 'custom');
+    (this.getRadio(choice) || this.getRadio('')).checked = true;
+    this.eFrom.value = (model && model.from) || '';
+    this.eTo.value = (model && model.to) || '';
+    this.showError('');
+  }
+
+  getGui() {
+    return this.eGui;
+  }
+
+  isFilterActive() {
+    return this.model !== null;
+  }
+
+  doesFilterPass(params) {
+    return matchesDateRangeFilter(
+      this.params.getValue(params.node),
+      this.model
+    );
+  }
+
+  getModel() {
+    return this.model ? { ...this.model } : null;
+  }
+
+  setModel(model) {
+    this.model =
+      model && (model.preset || model.from || model.to || model.inactiveDays)
+        ? { ...model }
+        : null;
+    this.updateGui();
+  }
+
+  afterGuiAttached() {
+    const checked = this.eGui.querySelector('input[type="radio"]:checked');
+    if (checked) checked.focus();
+  }
+
+  destroy() {
+    this.eGui.removeEventListener('change', this.changeHandler);
+  }
+}
+
+// Summary text for the custom filters' models, keyed by filter component name
+const FILTER_SUMMARIES = {
+  setColumnFilter: describeSetFilterModel,
+  dateRangeFilter: describeDateRangeModel,
+};
+
+// Floating filter showing a summary of a custom filter's model; click to open the filter
+class SummaryFloatingFilter {
+  init(params) {
+    this.params = params;
+    this.describe =
+      FILTER_SUMMARIES[params.column.getColDef().filter] ||
+      describeSetFilterModel;
+    this.eGui = document.createElement('button');
+    this.eGui.type = 'button';
+    this.eGui.style.cssText =
+      'width: 100%; height: 28px; padding: 0 8px; border: 1px solid #d1d5db; border-radius: 4px; background: white; color: #374151; font-size: 13px; text-align: left; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; cursor: pointer;';
+    this.clickHandler = () => params.showParentFilter();
+    this.eGui.addEventListener('click', this.clickHandler);
+    this.onParentModelChanged(null);
+    params.parentFilterInstance(filter =>
+      this.onParentModelChanged(filter.getModel())
+    );
+  }
+
+  onParentModelChanged(parentModel) {
+    const summary = this.describe(parentModel);
+    this.eGui.textContent = summary;
+    this.eGui.title = summary;
+  }
+
+  getGui() {
+    return this.eGui;
+  }
+
+  destroy() {
+    this.eGui.removeEventListener('click', this.clickHandler);
+  }
+}
+
+// Custom Cell Editors for inline editing (AG Grid v33 Community Edition)
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Validators return an error message, or null when the value is valid
+const CELL_VALIDATORS = {
+  required: value =>
+    String(value ?? '').trim() ? null : 'This field is required',
+  email: value =>
+    EMAIL_PATTERN.test(String(value ?? '').trim())
+      ? null
+      : 'Enter a valid email address',
+};
+
+function validateCellValue(value, validatorNames) {
+  for (const name of [].concat(validatorNames || [])) {
+    const validator = CELL_VALIDATORS[name];
+    const error = validator ? validator(value) : null;
+    if (error) return error;
+  }
+  return null;
+}
+
+// Compare cell values, including array values such as roles
+function cellValuesEqual(a, b) {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return JSON.stringify(a || []) === JSON.stringify(b || []);
+  }
+  return (a ?? '') === (b ?? '');
+}
+
+// Inline validation message shown underneath popup editors
+function createEditorMessage() {
+  const message = document.createElement('div');
+  message.className =
+    'editor-message hidden mt-1 px-2 py-1 text-xs text-red-700 bg-red-50 border border-red-200 rounded';
+  message.setAttribute('role', 'alert');
+  return message;
+}
+
+// Text Cell Editor with validation (cellEditorParams.validate: 'required' | 'email' | [...])
+class TextCellEditor {
+  init(params) {
+    this.params = params;
+    this.eGui = document.createElement('div');
+    this.eGui.className =
+      'bg-white p-1 rounded shadow-lg ring-1 ring-black ring-opacity-5';
+    this.eGui.style.minWidth = `${params.column.getActualWidth()}px`;
+
+    this.eInput = document.createElement('input');
+    this.eInput.type = params.inputType || 'text';
+    this.eInput.className =
+      'block w-full px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-blue-500';
+    this.eInput.value =
+      params.eventKey && params.eventKey.length === 1
+        ? params.eventKey
+        : (params.value ?? '');
+
+    this.eMessage = createEditorMessage();
+    this.eGui.append(this.eInput, this.eMessage);
+
+    this.eInput.addEventListener('keydown', e => {
+      // Block Enter/Tab from ending the edit while the value is invalid
+      if ((e.key === 'Enter' || e.key === 'Tab') && !this.showValidation()) {
+        e.preventDefault();
+        e.stopPropagation();
+      }
+    });
+    this.eInput.addEventListener('input', () => {
+      if (!this.eMessage.classList.contains('hidden')) {
+        this.showValidation();
+      }
+    });
+  }
+
+  // Returns true when valid, otherwise shows the inline message
+  showValidation() {
+    const error = validateCellValue(this.getValue(), this.params.validate);
+    this.eMessage.textContent = error || '';
+    this.eMessage.classList.toggle('hidden', !error);
+    this.eInput.setAttribute('aria-invalid', String(!!error));
+    this.eInput.classList.toggle('border-red-500', !!error);
+    return !error;
+  }
+
+  getGui() {
+    return this.eGui;
+  }
+
+  afterGuiAttached() {
+    this.eInput.focus();
+    if (!this.params.eventKey) {
+      this.eInput.select();
+    }
+  }
+
+  getValue() {
+    return this.eInput.value.trim();
+  }
+
+  isPopup() {
+    return true;
+  }
+
+  getPopupPosition() {
+    return 'over';
+  }
+
+  isCancelAfterEnd() {
+    // Invalid values never reach the row data
+    return !this.showValidation();
+  }
+}
+
+// Select Cell Editor for enum columns (cellEditorParams.values)
+class SelectCellEditor {
+  init(params) {
+    this.params = params;
+    this.eGui = document.createElement('select');
+    this.eGui.className =
+      'w-full h-full px-2 text-sm bg-white border-0 focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+    const values = [...(params.values || [])];
+    // Keep an unknown current value selectable instead of silently changing it
+    if (params.value && !values.includes(params.value)) {
+      values.unshift(params.value);
+    }
+
+    values.forEach(value => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = value;
+      option.selected = value === params.value;
+      this.eGui.appendChild(option);
+    });
+  }
+
+  getGui() {
+    return this.eGui;
+  }
+
+  afterGuiAttached() {
+    this.eGui.focus();
+  }
+
+  getValue() {
+    return this.eGui.value;
+  }
+}
+
+// Tag Cell Editor for array columns such as roles
+class TagsCellEditor {
+  init(params) {
+    this.params = params;
+    this.tags = Array.isArray(params.value) ? [...params.value] : [];
+    this.minTags = params.minTags ?? 1;
+
+    this.eGui = document.createElement('div');
+    this.eGui.className =
+      'bg-white p-2 rounded shadow-lg ring-1 ring-black ring-opacity-5';
+    this.eGui.style.width = `${Math.max(params.column.getActualWidth(), 260)}px`;
+
+    this.eTags = document.createElement('div');
+    this.eTags.className = 'flex flex-wrap gap-1 mb-2';
+
+    this.eInput = document.createElement('input');
+    this.eInput.type = 'text';
+    this.eInput.placeholder = 'Add role and press Enter';
+    this.eInput.className =
+      'block w-full px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-blue-500';
+
+    // Suggest values already used elsewhere in the grid
+    const suggestions = new Set(params.values || []);
+    params.api.forEachNode(node => {
+      const value = node.data && node.data[params.colDef.field];
+      if (Array.isArray(value)) value.forEach(v => suggestions.add(v));
+    });
+    this.eList = document.createElement('datalist');
+    this.eList.id = `tags-editor-${params.colDef.field}-${Date.now()}`;
+    [...suggestions].sort().forEach(value => {
+      const option = document.createElement('option');
+      option.value = value;
+      this.eList.appendChild(option);
+    });
+    this.eInput.setAttribute('list', this.eList.id);
+
+    this.eMessage = createEditorMessage();
+    this.eGui.append(this.eTags, this.eInput, this.eList, this.eMessage);
+    this.renderTags();
+
+    this.eInput.addEventListener('keydown', e => {
+      const text = this.eInput.value.trim();
+      if ((e.key === 'Enter' || e.key === ',') && text) {
+        // Enter with text adds a tag instead of ending the edit
+        e.preventDefault();
+        e.stopPropagation();
+        this.addTag(text);
+      } else if (e.key === 'Backspace' && !this.eInput.value) {
+        this.tags.pop();
+        this.renderTags();
+      } else if (
+        (e.key === 'Enter' || e.key === 'Tab') &&
+        !this.showValidation()
+      ) {
+        e.preventDefault();
+        e.stopPropagation();
+      }
+    });
+  }
+
+  addTag(text) {
+    if (!this.tags.some(t => t.toLowerCase() === text.toLowerCase())) {
+      this.tags.push(text);
+    }
+    this.eInput.value = '';
+    this.renderTags();
+    this.showValidation();
+  }
+
+  renderTags() {
+    this.eTags.innerHTML = '';
+    this.tags.forEach((tag, index) => {
+      const chip = document.createElement('span');
+      chip.className =
+        'inline-flex items-center gap-1 px-2 py-0.5 text-xs text-blue-800 bg-blue-100 rounded-full';
+      chip.textContent = tag;
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'text-blue-600 hover:text-blue-900';
+      remove.setAttribute('aria-label', `Remove ${tag}`);
+      remove.textContent = '×';
+      remove.addEventListener('click', e => {
+        e.stopPropagation();
+        this.tags.splice(index, 1);
+        this.renderTags();
+        this.eInput.focus();
+      });
+
+      chip.appendChild(remove);
+      this.eTags.appendChild(chip);
+    });
+  }
+
+  showValidation() {
+    const error =
+      this.getValue().length < this.minTags
+        ? `At least ${this.minTags} value${this.minTags === 1 ? ' is' : 's are'} required`
+        : null;
+    this.eMessage.textContent = error || '';
+    this.eMessage.classList.toggle('hidden', !error);
+    return !error;
+  }
+
+  getGui() {
+    return this.eGui;
+  }
+
+  afterGuiAttached() {
+    this.eInput.focus();
+  }
+
+  getValue() {
+    // Pick up text typed but not yet confirmed with Enter
+    const pending = this.eInput.value.trim();
+    return pending && !this.tags.includes(pending)
+      ? [...this.tags, pending]
+      : [...this.tags];
+  }
+
+  isPopup() {
+    return true;
+  }
+
+  getPopupPosition() {
+    return 'under';
+  }
+
+  isCancelAfterEnd() {
+    return !this.showValidation();
+  }
+}
+
+// Export helpers - serialise raw row values rather than rendered cell HTML
+const EXPORT_FORMATS = {
+  csv: { extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+  json: { extension: 'json', mimeType: 'application/json;charset=utf-8' },
+  xml: { extension: 'xml', mimeType: 'application/vnd.ms-excel;charset=utf-8' },
+};
+
+// Renderers whose columns have no data to export
+const NON_EXPORTABLE_RENDERERS = ['actionsCellRenderer'];
+
+function formatExportValue(value, arraySeparator) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.join(arraySeparator);
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function escapeCsvValue(value) {
+  // Prefix formula-like values so spreadsheet apps don't evaluate them
+  const text = /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function toCsv(columns, rows, arraySeparator) {
+  const lines = [columns.map(c => escapeCsvValue(c.headerName)).join(',')];
+  rows.forEach(row => {
+    lines.push(
+      columns
+        .map(c =>
+          escapeCsvValue(formatExportValue(row[c.field], arraySeparator))
+        )
+        .join(',')
+    );
+  });
+  // BOM so Excel opens UTF-8 names correctly
+  return '\uFEFF' + lines.join('\r\n');
+}
+
+function toJson(columns, rows) {
+  return JSON.stringify(
+    rows.map(row => {
+      const item = {};
+      columns.forEach(c => {
+        item[c.field] = row[c.field] ?? null;
+      });
+      return item;
+    }),
+    null,
+    2
+  );
+}
+
+// Excel-compatible XML Spreadsheet 2003 (opens in Excel without a library)
+function toSpreadsheetXml(columns, rows, arraySeparator, sheetName) {
+  const cell = (value, styleId) => {
+    const type = typeof value === 'number' ? 'Number' : 'String';
+    const style = styleId ? ` ss:StyleID="${styleId}"` : '';
+    return `<Cell${style}><Data ss:Type="${type}">${escapeXml(
+      type === 'Number' ? value : formatExportValue(value, arraySeparator)
+    )}</Data></Cell>`;
+  };
+
+  const headerRow = `<Row>${columns.map(c => cell(c.headerName, 'header')).join('')}</Row>`;
+  const dataRows = rows.map(
+    row => `<Row>${columns.map(c => cell(row[c.field])).join('')}</Row>`
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<?mso-application progid="Excel.Sheet"?>',
+    '<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet" xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">',
+    '<Styles><Style ss:ID="header"><Font ss:Bold="1"/></Style></Styles>',
+    `<Worksheet ss:Name="${escapeXml(sheetName)}"><Table>`,
+    headerRow,
+    ...dataRows,
+    '</Table></Worksheet>',
+    '</Workbook>',
+  ].join('\n');
+}
+
+// Trigger a browser download for generated content
+function downloadFile(content, fileName, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.style.display = 'none';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// e.g. "users-2025-11-08-1530.csv"
+function buildExportFileName(baseName, extension) {
+  const now = new Date();
+  const pad = n => String(n).padStart(2, '0');
+  const stamp = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}-${pad(now.getHours())}${pad(now.getMinutes())}`;
+  return `${baseName || 'users'}-${stamp}.${extension}`;
+}
+
+// Import helpers - CSV/JSON parsing, column mapping and row validation
+const IMPORT_FIELDS = [
+  { field: 'id', label: 'ID', aliases: ['id', 'userid'] },
+  {
+    field: 'fullName',
+    label: 'Full Name',
+    required: true,
+    aliases: ['fullname', 'name', 'username'],
+  },
+  {
+    field: 'email',
+    label: 'Email',
+    required: true,
+    aliases: ['email', 'emailaddress', 'mail'],
+  },
+  {
+    field: 'roles',
+    label: 'Roles',
+    isList: true,
+    aliases: ['roles', 'role', 'assignedroles'],
+  },
+  {
+    field: 'license',
+    label: 'License',
+    required: true,
+    aliases: ['license', 'licence', 'licensetype'],
+  },
+  {
+    field: 'status',
+    label: 'Status',
+    required: true,
+    aliases: ['status', 'state'],
+  },
+  {
+    field: 'invitedBy',
+    label: 'Invited By',
+    aliases: ['invitedby', 'inviter', 'invite'],
+  },
+];
+
+const IMPORT_PREVIEW_ROWS = 10;
+
+// RFC 4180 style CSV parsing (quoted fields, escaped quotes, embedded newlines)
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let value = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+
+  if (value !== '' || row.length > 0) {
+    row.push(value);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+// Parse file contents into { columns, records } where records are keyed by source column
+function parseImportText(text, fileName) {
+  const content = String(text || '').replace(/^\uFEFF/, '');
+  const isJson =
+    /\.json$/i.test(fileName || '') || /^\s*[[{]/.test(content.trimStart());
+
+  if (isJson) {
+    const parsed = JSON.parse(content);
+    const records = Array.isArray(parsed)
+      ? parsed
+      : parsed.users || parsed.rows || parsed.data || [];
+    if (!Array.isArray(records)) {
+      throw new Error('JSON file must contain an array of users');
+    }
+
+    const columns = [];
+    records.forEach(record => {
+      Object.keys(record || {}).forEach(key => {
+        if (!columns.includes(key)) columns.push(key);
+      });
+    });
+    return { columns, records };
+  }
+
+  const [header = [], ...lines] = parseCsv(content);
+  const columns = header.map(h => h.trim());
+  const records = lines.map(cells => {
+    const record = {};
+    columns.forEach((column, index) => {
+      record[column] = cells[index] ?? '';
+    });
+    return record;
+  });
+  return { columns, records };
+}
+
+function normaliseHeader(header) {
+  return String(header || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+}
+
+// Guess the source column for each grid field from header names
+function autoMapColumns(columns) {
+  const mapping = {};
+  IMPORT_FIELDS.forEach(def => {
+    const match = columns.find(column => {
+      const normalised = normaliseHeader(column);
+      return (
+        normalised === normaliseHeader(def.field) ||
+        normalised === normaliseHeader(def.label) ||
+        def.aliases.includes(normalised)
+      );
+    });
+    mapping[def.field] = match || '';
+  });
+  return mapping;
+}
+
+// Roles may arrive as an array (JSON) or a "a; b | c" list (CSV)
+function splitListValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(v => String(v).trim()).filter(Boolean);
+  }
+  return String(value ?? '')
+    .split(/[;|,]/)
+    .map(v => v.trim())
+    .filter(Boolean);
+}
+
+// Build the next free "u-1234" style id
+function createIdGenerator(existingIds) {
+  let next =
+    existingIds.reduce((max, id) => {
+      const match = /^u-(\d+)$/.exec(String(id));
+      return match ? Math.max(max, Number(match[1])) : max;
+    }, 1000) + 1;
+  return () => `u-${next++}`;
+}
+
+// Import dialog: pick file -> map columns -> preview/validate -> merge
+class ImportDialog {
+  constructor(interop, containerId) {
+    this.interop = interop;
+    this.containerId = containerId;
+    this.parsed = null;
+    this.mapping = {};
+    this.validation = null;
+  }
+
+  open() {
+    this.previousFocus = document.activeElement;
+
+    this.overlay = document.createElement('div');
+    this.overlay.className =
+      'grid-import-overlay fixed inset-0 z-[1100] flex items-center justify-center bg-black bg-opacity-30';
+
+    this.dialog = document.createElement('div');
+    this.dialog.className =
+      'bg-white rounded-lg shadow-xl w-full max-w-3xl max-h-[90vh] flex flex-col';
+    this.dialog.setAttribute('role', 'dialog');
+    this.dialog.setAttribute('aria-modal', 'true');
+    this.dialog.setAttribute('aria-label', 'Import users');
+
+    this.dialog.innerHTML = `
+      <div class="flex items-center justify-between px-6 py-4 border-b border-gray-200">
+        <h3 class="text-lg font-semibold text-gray-900">Import users</h3>
+        <button type="button" class="import-close text-gray-400 hover:text-gray-600" aria-label="Close">
+          <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"></path>
+          </svg>
+        </button>
+      </div>
+      <div class="import-body flex-1 overflow-auto px-6 py-4 space-y-4">
+        <div>
+          <label class="block text-sm font-medium text-gray-700 mb-1" for="import-file-${escapeHtml(this.containerId)}">CSV or JSON file</label>
+          <input id="import-file-${escapeHtml(this.containerId)}" type="file" accept=".csv,.json,text/csv,application/json"
+                 class="import-file block w-full text-sm text-gray-700" />
+        </div>
+        <div class="import-message text-sm" role="status"></div>
+        <div class="import-mapping"></div>
+        <div class="import-preview"></div>
+      </div>
+      <div class="flex items-center justify-end gap-3 px-6 py-4 border-t border-gray-200">
+        <button type="button" class="import-report hidden px-3 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50">Download error report</button>
+        <button type="button" class="import-cancel px-3 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50">Cancel</button>
+        <button type="button" class="import-submit px-3 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed" disabled>Import</button>
+      </div>
+    `;
+
+    this.overlay.appendChild(this.dialog);
+    document.body.appendChild(this.overlay);
+
+    this.keyHandler = e => {
+      if (e.key === 'Escape') this.close();
+    };
+    document.addEventListener('keydown', this.keyHandler, true);
+
+    this.dialog
+      .querySelector('.import-file')
+      .addEventListener('change', e => this.handleFile(e.target.files[0]));
+    this.dialog
+      .querySelector('.import-close')
+      .addEventListener('click', () => this.close());
+    this.dialog
+      .querySelector('.import-cancel')
+      .addEventListener('click', () => this.close());
+    this.dialog
+      .querySelector('.import-report')
+      .addEventListener('click', () =>
+        this.interop.downloadImportErrorReport(this.validation.errors)
+      );
+    this.dialog
+      .querySelector('.import-submit')
+      .addEventListener('click', () => this.submit());
+
+    this.dialog.querySelector('.import-file').focus();
+  }
+
+  close() {
+    document.removeEventListener('keydown', this.keyHandler, true);
+    this.overlay.remove();
+    if (this.previousFocus && this.previousFocus.focus) {
+      this.previousFocus.focus();
+    }
+  }
+
+  setMessage(text, isError) {
+    const message = this.dialog.querySelector('.import-message');
+    message.textContent = text;
+    message.className = `import-message text-sm ${isError ? 'text-red-600' : 'text-gray-600'}`;
+  }
+
+  async handleFile(file) {
+    if (!file) return;
+
+    try {
+      const text = await file.text();
+      this.parsed = parseImportText(text, file.name);
+      this.mapping = autoMapColumns(this.parsed.columns);
+      this.setMessage(
+        `${this.parsed.records.length} rows found in ${file.name}. Check the column mapping below.`
+      );
+      this.renderMapping();
+      this.refreshPreview();
+    } catch (err) {
+      console.error('Error reading import file:', err);
+      this.parsed = null;
+      this.setMessage(`Could not read ${file.name}: ${err.message}`, true);
+      this.dialog.querySelector('.import-mapping').innerHTML = '';
+      this.dialog.querySelector('.import-preview').innerHTML = '';
+      this.dialog.querySelector('.import-submit').disabled = true;
+    }
+  }
+
+  renderMapping() {
+    const container = this.dialog.querySelector('.import-mapping');
+    container.innerHTML = '';
+
+    const heading = document.createElement('h4');
+    heading.className = 'text-sm font-medium text-gray-900 mb-2';
+    heading.textContent = 'Column mapping';
+
+    const grid = document.createElement('div');
+    grid.className = 'grid grid-cols-2 md:grid-cols-3 gap-3';
+
+    IMPORT_FIELDS.forEach(def => {
+      const label = document.createElement('label');
+      label.className = 'block text-xs font-medium text-gray-600';
+      label.textContent = def.required ? `${def.label} *` : def.label;
+
+      const select = document.createElement('select');
+      select.className =
+        'mt-1 block w-full px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-blue-500';
+
+      ['', ...this.parsed.columns].forEach(column => {
+        const option = document.createElement('option');
+        option.value = column;
+        option.textContent = column || '— not imported —';
+        option.selected = column === this.mapping[def.field];
+        select.appendChild(option);
+      });
+
+      select.addEventListener('change', () => {
+        this.mapping[def.field] = select.value;
+        this.refreshPreview();
+      });
+
+      label.appendChild(select);
+      grid.appendChild(label);
+    });
+
+    container.append(heading, grid);
+  }
+
+  refreshPreview() {
+    this.validation = this.interop.validateImportRows(
+      this.containerId,
+      this.parsed.records,
+      this.mapping
+    );
+
+    const { validRows, errors } = this.validation;
+    const errorLines = new Map();
+    errors.forEach(error => {
+      const messages = errorLines.get(error.line) || [];
+      messages.push(error.message);
+      errorLines.set(error.line, messages);
+    });
+
+    const container = this.dialog.querySelector('.import-preview');
+    container.innerHTML = '';
+
+    const summary = document.createElement('p');
+    summary.className = 'text-sm text-gray-700 mb-2';
+    summary.textContent = `${validRows.length} valid, ${errorLines.size} rejected. Showing the first ${Math.min(IMPORT_PREVIEW_ROWS, this.parsed.records.length)} rows.`;
+
+    const table = document.createElement('table');
+    table.className = 'min-w-full text-xs border border-gray-200';
+
+    const headRow = document.createElement('tr');
+    ['Line', ...IMPORT_FIELDS.map(def => def.label), 'Result'].forEach(text => {
+      const th = document.createElement('th');
+      th.className =
+        'px-2 py-1 text-left font-medium text-gray-600 bg-gray-50 border-b border-gray-200';
+      th.textContent = text;
+      headRow.appendChild(th);
+    });
+    const thead = document.createElement('thead');
+    thead.appendChild(headRow);
+
+    const tbody = document.createElement('tbody');
+    this.parsed.records.slice(0, IMPORT_PREVIEW_ROWS).forEach((record, i) => {
+      const line = i + 1;
+      const mapped = this.interop.mapImportRecord(record, this.mapping);
+      const messages = errorLines.get(line);
+
+      const tr = document.createElement('tr');
+      tr.className = messages ? 'bg-red-50' : '';
+
+      [
+        line,
+        ...IMPORT_FIELDS.map(def => formatExportValue(mapped[def.field], ', ')),
+        messages ? messages.join('; ') : 'OK',
+      ].forEach((text, index, cells) => {
+        const td = document.createElement('td');
+        td.className = `px-2 py-1 border-b border-gray-100 ${
+          index === cells.length - 1
+            ? messages
+              ? 'text-red-700'
+              : 'text-green-700'
+            : 'text-gray-700'
+        }`;
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+      tbody.appendChild(tr);
+    });
+
+    table.append(thead, tbody);
+    container.append(summary, table);
+
+    const submit = this.dialog.querySelector('.import-submit');
+    submit.disabled = validRows.length === 0;
+    submit.textContent = `Import ${validRows.length} row${validRows.length === 1 ? '' : 's'}`;
+    this.dialog
+      .querySelector('.import-report')
+      .classList.toggle('hidden', errors.length === 0);
+  }
+
+  async submit() {
+    const submit = this.dialog.querySelector('.import-submit');
+    submit.disabled = true;
+
+    const result = await this.interop.importRows(
+      this.containerId,
+      this.parsed.records,
+      this.mapping
+    );
+
+    if (!result) {
+      this.setMessage('Import failed. See the console for details.', true);
+      submit.disabled = false;
+      return;
+    }
+
+    this.setMessage(
+      `Imported ${result.added} new and ${result.updated} updated users. ${result.rejected} rows rejected.`
+    );
+    this.dialog.querySelector('.import-mapping').innerHTML = '';
+    this.dialog.querySelector('.import-preview').innerHTML = '';
+    this.dialog.querySelector('.import-cancel').textContent = 'Close';
+    submit.classList.add('hidden');
+  }
+}
+
+// Bulk actions on the selected rows
+// Each action returns the updated copy of a row, or throws to skip that row with the reason
+function getRowRoles(row) {
+  return Array.isArray(row.roles) ? row.roles : [];
+}
+
+const BULK_ACTIONS = {
+  setStatus: (row, status) => ({
+    ...row,
+    status,
+    statusHistory: appendStatusHistory(row, status),
+  }),
+  setLicense: (row, license) => ({ ...row, license }),
+  addRole: (row, role) => {
+    const roles = getRowRoles(row);
+    if (roles.includes(role)) throw new Error(`Already has ${role}`);
+    return { ...row, roles: [...roles, role] };
+  },
+  removeRole: (row, role) => {
+    const roles = getRowRoles(row);
+    if (!roles.includes(role)) throw new Error(`Doesn't have ${role}`);
+    if (roles.length === 1) throw new Error('A user needs at least one role');
+    return { ...row, roles: roles.filter(r => r !== role) };
+  },
+  archive: row => {
+    if (row.status === 'Archived') throw new Error('Already archived');
+    return {
+      ...row,
+      status: 'Archived',
+      statusHistory: appendStatusHistory(row, 'Archived'),
+    };
+  },
+};
+
+const BULK_ACTIONS_WITH_VALUE = [
+  'setStatus',
+  'setLicense',
+  'addRole',
+  'removeRole',
+];
+
+// User detail drawer - slide-over panel with the full record of one row
+// Previous/next (buttons or arrow keys) follow the grid's current sort and
+// filter order, and the drawer and the grid selection follow each other
+const RELATIVE_TIME_UNITS = [
+  ['year', 365 * DAY_MS],
+  ['month', 30 * DAY_MS],
+  ['week', 7 * DAY_MS],
+  ['day', DAY_MS],
+  ['hour', 60 * 60 * 1000],
+  ['minute', 60 * 1000],
+];
+
+function formatRelativeTime(value, now = Date.now()) {
+  const time = parseDateValue(value);
+  if (time === null) return '';
+
+  const diff = time - now;
+  const formatter = new Intl.RelativeTimeFormat('en-US', { numeric: 'auto' });
+  for (const [unit, ms] of RELATIVE_TIME_UNITS) {
+    if (Math.abs(diff) >= ms) {
+      return formatter.format(Math.round(diff / ms), unit);
+    }
+  }
+  return 'just now';
+}
+
+// statusHistory entries are { status, previousStatus, changedAt }, oldest first
+function appendStatusHistory(row, status) {
+  const history = Array.isArray(row.statusHistory) ? row.statusHistory : [];
+  if (row.status === status) return history;
+  return [
+    ...history,
+    {
+      status,
+      previousStatus: row.status ?? null,
+      changedAt: new Date().toISOString(),
+    },
+  ];
+}
+
+let userDetailDrawerCount = 0;
+
+// Go to the row's page and scroll it into view; false when it is filtered out
+function revealRowNode(gridApi, node) {
+  if (node.rowIndex === null || node.rowIndex === undefined) return false;
+
+  if (gridApi.getGridOption('pagination')) {
+    const pageSize = gridApi.paginationGetPageSize();
+    gridApi.paginationGoToPage(Math.floor(node.rowIndex / pageSize));
+  }
+  gridApi.ensureIndexVisible(node.rowIndex);
+  return true;
+}
+
+class UserDetailDrawer {
+  constructor(interop, containerId) {
+    this.interop = interop;
+    this.containerId = containerId;
+    this.gridApi = interop.grids.get(containerId);
+    this.rowId = null;
+    this.syncingSelection = false;
+  }
+
+  open(rowId) {
+    if (!this.panel) this.build();
+    return this.show(rowId);
+  }
+
+  build() {
+    this.previousFocus = document.activeElement;
+    const titleId = `user-detail-title-${++userDetailDrawerCount}`;
+
+    this.panel = createElement('aside', {
+      className:
+        'user-detail-drawer fixed inset-y-0 right-0 z-[1050] w-full max-w-md bg-white shadow-xl border-l border-gray-200 flex flex-col',
+      attrs: {
+        role: 'dialog',
+        'aria-modal': 'false',
+        'aria-labelledby': titleId,
+        tabindex: '-1',
+      },
+    });
+
+    this.eTitle = createElement('h2', {
+      className: 'text-lg font-semibold text-gray-900',
+      text: 'User details',
+      attrs: { id: titleId },
+    });
+    this.eClose = createElement('button', {
+      className: 'text-gray-400 hover:text-gray-600',
+      text: '✕',
+      attrs: { type: 'button', 'aria-label': 'Close' },
+    });
+    this.eBody = createElement('div', {
+      className: 'flex-1 overflow-auto px-6 py-4 space-y-5',
+    });
+    this.ePosition = createElement('span', {
+      className: 'text-sm text-gray-500',
+      attrs: { 'aria-live': 'polite' },
+    });
+    const navButtonClass =
+      'px-3 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed';
+    this.ePrevious = createElement('button', {
+      className: navButtonClass,
+      text: '← Previous',
+      attrs: { type: 'button', 'aria-keyshortcuts': 'ArrowUp' },
+    });
+    this.eNext = createElement('button', {
+      className: navButtonClass,
+      text: 'Next →',
+      attrs: { type: 'button', 'aria-keyshortcuts': 'ArrowDown' },
+    });
+
+    this.panel.append(
+      createElement(
+        'div',
+        {
+          className:
+            'flex items-center justify-between px-6 py-4 border-b border-gray-200',
+        },
+        [this.eTitle, this.eClose]
+      ),
+      this.eBody,
+      createElement(
+        'div',
+        {
+          className:
+            'flex items-center justify-between gap-3 px-6 py-4 border-t border-gray-200',
+        },
+        [
+          this.ePosition,
+          createElement('div', { className: 'flex gap-2' }, [
+            this.ePrevious,
+            this.eNext,
+          ]),
+        ]
+      )
+    );
+
+    this.eClose.addEventListener('click', () => this.close());
+    this.ePrevious.addEventListener('click', () => this.step(-1));
+    this.eNext.addEventListener('click', () => this.step(1));
+
+    this.keyHandler = e => {
+      if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+      if (e.key === 'Escape') {
+        this.close();
+      } else if (e.key === 'ArrowUp' || e.key === 'ArrowLeft') {
+        e.preventDefault();
+        this.step(-1);
+      } else if (e.key === 'ArrowDown' || e.key === 'ArrowRight') {
+        e.preventDefault();
+        this.step(1);
+      }
+    };
+    this.panel.addEventListener('keydown', this.keyHandler);
+
+    // Follow the grid: a clicked or newly selected row is shown, and data,
+    // sort or filter changes re-render the record and its position
+    this.rowClickedHandler = event => {
+      if (event.node && event.node.data) this.show(event.node.id, false);
+    };
+    this.selectionHandler = () => {
+      if (this.syncingSelection) return;
+      const selected = this.gridApi.getSelectedNodes();
+      if (selected.length === 1 && selected[0].id !== this.rowId) {
+        this.show(selected[0].id, false);
+      }
+    };
+    this.refreshHandler = () => this.render();
+    this.gridApi.addEventListener('rowClicked', this.rowClickedHandler);
+    this.gridApi.addEventListener('selectionChanged', this.selectionHandler);
+    this.gridApi.addEventListener('modelUpdated', this.refreshHandler);
+    this.gridApi.addEventListener('cellValueChanged', this.refreshHandler);
+
+    document.body.appendChild(this.panel);
+    this.panel.focus();
+  }
+
+  show(rowId, moveSelection = true) {
+    const node = this.gridApi.getRowNode(rowId);
+    if (!node || !node.data || isGroupRow(node.data)) return false;
+
+    this.rowId = rowId;
+    if (moveSelection) this.selectNode(node);
+    this.render();
+    return true;
+  }
+
+  // Make the shown row the only selected one (when the grid allows selection).
+  // A selection of several rows is left alone, the bulk actions work on it
+  selectNode(node) {
+    const rowSelection = this.gridApi.getGridOption('rowSelection');
+    if (!rowSelection || rowSelection === 'none' || node.isSelected()) return;
+    if (this.gridApi.getSelectedNodes().length > 1) return;
+
+    this.syncingSelection = true;
+    try {
+      node.setSelected(true, true);
+    } finally {
+      this.syncingSelection = false;
+    }
+  }
+
+  step(delta) {
+    const node = this.gridApi.getRowNode(this.rowId);
+    if (!node || node.rowIndex === null || node.rowIndex === undefined) return;
+
+    // Step over group header rows
+    let next = this.gridApi.getDisplayedRowAtIndex(node.rowIndex + delta);
+    while (next && isGroupRow(next.data)) {
+      next = this.gridApi.getDisplayedRowAtIndex(next.rowIndex + delta);
+    }
+    // Server-side rows that haven't loaded yet have no data
+    if (!next || !next.data) return;
+
+    this.show(next.id);
+    revealRowNode(this.gridApi, next);
+  }
+
+  render() {
+    const node = this.gridApi.getRowNode(this.rowId);
+    if (!node || !node.data) {
+      // The row was removed from the grid
+      this.close();
+      return;
+    }
+
+    const row = node.data;
+    this.eTitle.textContent = row.fullName || 'User details';
+    this.eBody.replaceChildren(
+      this.renderHeader(row),
+      this.renderField('Status', this.renderCellValue('status', row)),
+      this.renderField('License', this.renderCellValue('license', row)),
+      this.renderField(
+        'Roles',
+        createElement(
+          'div',
+          { className: 'flex flex-wrap gap-1' },
+          getRowRoles(row).map(role => createRoleChip(role))
+        )
+      ),
+      this.renderField('Invited by', this.renderInviter(row)),
+      this.renderField('Invitation', this.renderInvitation(row)),
+      this.renderField(
+        'Last active',
+        row.lastActive
+          ? `${formatDateTime(row.lastActive)} (${formatRelativeTime(row.lastActive)})`
+          : 'Never'
+      ),
+      this.renderField('Status history', this.renderStatusHistory(row))
+    );
+
+    // Position in the current sort/filter order; filtered-out rows have none
+    const { index, count } = this.getPosition(node);
+    const inView = index !== null;
+    this.ePosition.textContent = inView
+      ? `${index + 1} of ${count}`
+      : 'Not in the current view';
+    this.ePrevious.disabled = !inView || index === 0;
+    this.eNext.disabled = !inView || index >= count - 1;
+  }
+
+  // Index among the displayed users - group header rows don't count
+  getPosition(node) {
+    const displayed = this.gridApi.getDisplayedRowCount();
+    if (node.rowIndex === null || node.rowIndex === undefined) {
+      return { index: null, count: displayed };
+    }
+    const gridState = this.interop.gridStates.get(this.containerId);
+    if (!gridState || !gridState.grouping) {
+      return { index: node.rowIndex, count: displayed };
+    }
+
+    let index = 0;
+    let count = 0;
+    for (let i = 0; i < displayed; i++) {
+      if (isGroupRow(this.gridApi.getDisplayedRowAtIndex(i).data)) continue;
+      if (i < node.rowIndex) index++;
+      count++;
+    }
+    return { index, count };
+  }
+
+  renderHeader(row) {
+    const avatar = new FullNameCellRenderer();
+    avatar.init({ value: row.fullName, data: row });
+    const href = buildMailtoUrl(row.email);
+
+    return createElement('div', { className: 'space-y-1' }, [
+      avatar.getGui(),
+      href
+        ? createElement('a', {
+            className: 'text-sm text-blue-600 hover:underline',
+            attrs: { href },
+            text: row.email,
+          })
+        : createElement('span', {
+            className: 'text-sm text-gray-600',
+            text: row.email || '',
+          }),
+    ]);
+  }
+
+  renderField(label, content) {
+    return createElement('div', {}, [
+      createElement('div', {
+        className:
+          'text-xs font-medium uppercase tracking-wide text-gray-500 mb-1',
+        text: label,
+      }),
+      typeof content === 'string'
+        ? createElement('div', {
+            className: 'text-sm text-gray-900',
+            text: content,
+          })
+        : content,
+    ]);
+  }
+
+  // Reuse the column's badge renderer and colours when it has one
+  renderCellValue(field, row) {
+    const column = this.gridApi.getColumn(field);
+    const colDef = column && column.getColDef();
+    if (colDef && colDef.cellRenderer === 'badgeCellRenderer') {
+      const renderer = new BadgeCellRenderer();
+      renderer.init({
+        ...colDef.cellRendererParams,
+        value: row[field],
+        data: row,
+      });
+      return renderer.getGui();
+    }
+    return row[field] == null ? '—' : String(row[field]);
+  }
+
+  // The inviter opens in the panel when they are in the grid
+  renderInviter(row) {
+    const inviter = window.usersInterop.findInviter(this.containerId, row);
+    if (!inviter) return row.invitedBy || '—';
+
+    const link = createElement('button', {
+      className: 'text-sm text-blue-600 hover:underline',
+      text: row.invitedBy,
+      attrs: { type: 'button' },
+    });
+    link.addEventListener('click', () => {
+      window.usersInterop.revealUser(this.containerId, inviter.id);
+      this.show(String(inviter.id));
+    });
+    return link;
+  }
+
+  renderInvitation(row) {
+    const state = getInvitationState(row);
+    if (!state) return 'No invitation';
+
+    const invitation = row.invitation;
+    const lines = [
+      [INVITATION_STATES[state].label, describeInvitation(row)]
+        .filter(Boolean)
+        .join(' · '),
+      invitation.sentAt && `Sent ${formatDateTime(invitation.sentAt)}`,
+      invitation.acceptedAt &&
+        `Accepted ${formatDateTime(invitation.acceptedAt)}`,
+      invitation.revokedAt && `Revoked ${formatDateTime(invitation.revokedAt)}`,
+      state === 'pending' && `Expires ${formatDateTime(invitation.expiresAt)}`,
+    ].filter(Boolean);
+    return createElement(
+      'div',
+      { className: 'space-y-0.5 text-sm text-gray-900' },
+      lines.map(line => createElement('div', { text: line }))
+    );
+  }
+
+  renderStatusHistory(row) {
+    const history = Array.isArray(row.statusHistory) ? row.statusHistory : [];
+    if (history.length === 0) return 'No status changes recorded';
+
+    // Newest first
+    return createElement(
+      'ol',
+      { className: 'space-y-1 text-sm text-gray-900' },
+      [...history].reverse().map(entry =>
+        createElement('li', {
+          text: `${entry.previousStatus ? `${entry.previousStatus} → ` : ''}${entry.status} · ${formatDateTime(entry.changedAt)}`,
+        })
+      )
+    );
+  }
+
+  close() {
+    if (!this.panel) return;
+
+    this.gridApi.removeEventListener('rowClicked', this.rowClickedHandler);
+    this.gridApi.removeEventListener('selectionChanged', this.selectionHandler);
+    this.gridApi.removeEventListener('modelUpdated', this.refreshHandler);
+    this.gridApi.removeEventListener('cellValueChanged', this.refreshHandler);
+    this.panel.remove();
+    this.panel = null;
+    this.interop.detailDrawers.delete(this.containerId);
+
+    if (this.previousFocus && this.previousFocus.focus) {
+      this.previousFocus.focus();
+    }
+  }
+}
+
+// Grid state persistence (localStorage, keyed by container id)
+const GRID_STATE_STORAGE_PREFIX = 'usersGrid.state.';
+const GRID_STATE_VERSION = 1;
+const GRID_STATE_SAVE_DELAY = 250;
+
+// Row densities; 'detailed' shows every role as chips and grows rows to fit
+const GRID_DENSITIES = ['standard', 'detailed'];
+
+// Named views (localStorage, keyed by container id) and their shareable file format
+const GRID_VIEWS_STORAGE_PREFIX = 'usersGrid.views.';
+const GRID_VIEW_FILE_TYPE = 'usersGrid.view';
+
+// Deep links - grid state in the query string
+const URL_PARAM_QUICK_FILTER = 'q';
+const URL_PARAM_STATUS = 'status';
+const URL_PARAM_SORT = 'sort';
+const URL_PARAM_PAGE = 'page';
+const URL_PARAM_FILTER_PREFIX = 'f.';
+
+const TEXT_FILTER_TYPES = [
+  'contains',
+  'notContains',
+  'equals',
+  'notEqual',
+  'startsWith',
+  'endsWith',
+  'blank',
+  'notBlank',
+];
+
+// Set filters whose values can be listed as "in:A,B" (any) or "all:A,B"
+const SET_FILTER_URL_MODES = { in: 'any', all: 'all' };
+
+// Simple text filters read as "contains:gordon", set filters as "in:Admin,Editor",
+// anything else as "json:{...}"
+function encodeFilterParam(model) {
+  if (
+    model &&
+    model.filterType === 'set' &&
+    Array.isArray(model.values) &&
+    !model.values.some(v => String(v).includes(','))
+  ) {
+    const prefix = model.matchMode === 'all' ? 'all' : 'in';
+    return `${prefix}:${model.values.join(',')}`;
+  }
+  if (model && model.filterType === 'dateRange') {
+    if (model.inactiveDays > 0) return `inactive:${model.inactiveDays}`;
+    return model.preset
+      ? `preset:${model.preset}`
+      : `range:${model.from || ''}..${model.to || ''}`;
+  }
+  if (
+    model &&
+    model.filterType === 'text' &&
+    !model.conditions &&
+    TEXT_FILTER_TYPES.includes(model.type)
+  ) {
+    return `${model.type}:${model.filter ?? ''}`;
+  }
+  return `json:${JSON.stringify(model)}`;
+}
+
+// Throws when a date range model from the URL names an unknown preset or
+// has no valid range
+function validateDateRangeModel(model) {
+  if (model.preset !== undefined) {
+    if (
+      !Object.prototype.hasOwnProperty.call(DATE_RANGE_PRESETS, model.preset)
+    ) {
+      throw new Error(`unknown date range preset "${model.preset}"`);
+    }
+    return;
+  }
+  if (model.inactiveDays !== undefined) {
+    if (!Number.isInteger(model.inactiveDays) || model.inactiveDays < 1) {
+      throw new Error(
+        `invalid number of inactive days "${model.inactiveDays}"`
+      );
+    }
+    return;
+  }
+  const { from, to } = model;
+  if (
+    (from && parseDateInput(from, false) === null) ||
+    (to && parseDateInput(to, false) === null) ||
+    (!from && !to)
+  ) {
+    throw new Error(`invalid date range "${from || ''}..${to || ''}"`);
+  }
+}
+
+function decodeFilterParam(value) {
+  if (value.startsWith('json:')) {
+    const model = JSON.parse(value.slice(5));
+    if (!model || typeof model !== 'object' || Array.isArray(model)) {
+      throw new Error('filter JSON must be an object');
+    }
+    if (model.filterType === 'dateRange') {
+      validateDateRangeModel(model);
+    }
+    return model;
+  }
+
+  const separator = value.indexOf(':');
+  const type = separator >= 0 ? value.slice(0, separator) : '';
+  if (Object.prototype.hasOwnProperty.call(SET_FILTER_URL_MODES, type)) {
+    const list = value.slice(separator + 1);
+    const model = { filterType: 'set', values: list ? list.split(',') : [] };
+    if (SET_FILTER_URL_MODES[type] === 'all') {
+      model.matchMode = 'all';
+    }
+    return model;
+  }
+  if (type === 'preset') {
+    const model = {
+      filterType: 'dateRange',
+      preset: value.slice(separator + 1),
+    };
+    validateDateRangeModel(model);
+    return model;
+  }
+  if (type === 'inactive') {
+    const days = value.slice(separator + 1);
+    if (!/^[1-9]\d*$/.test(days)) {
+      throw new Error(`invalid number of inactive days "${days}"`);
+    }
+    return { filterType: 'dateRange', inactiveDays: Number(days) };
+  }
+  if (type === 'range') {
+    const [from = '', to = ''] = value.slice(separator + 1).split('..');
+    const model = { filterType: 'dateRange' };
+    if (from) model.from = from;
+    if (to) model.to = to;
+    validateDateRangeModel(model);
+    return model;
+  }
+  if (!TEXT_FILTER_TYPES.includes(type)) {
+    throw new Error(`unknown text filter type "${type}"`);
+  }
+  return { filterType: 'text', type, filter: value.slice(separator + 1) };
+}
+
+function createViewId() {
+  return `view-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+}
+
+// Grid events that change something worth persisting
+const GRID_STATE_EVENTS = [
+  'columnMoved',
+  'columnResized',
+  'columnVisible',
+  'columnPinned',
+  'sortChanged',
+  'filterChanged',
+  'paginationChanged',
+];
+
+// Advanced search - the search box syntax:
+//   gordon              users with "gordon" in any column; names also match with small typos
+//   "barbara gordon"    a phrase
+//   license:enterprise  only that column (name: and role: are short for fullName: and roles:)
+//   -status:archived    leave the matches out (NOT status:archived works too)
+//   admin OR editor     either term; OR binds tighter than the AND between terms
+// Parsed into { clauses: [[term, ...], ...] }: a row has to match one term of
+// every clause. A term is { field, value, negate } with field null for any column
+const SEARCH_FIELD_ALIASES = { name: 'fullName', role: 'roles' };
+const SEARCH_FUZZY_FIELDS = ['fullName', 'invitedBy'];
+
+// Split the search text into terms and the OR/NOT keywords; throws on an unclosed quote
+function tokenizeSearch(text) {
+  const tokens = [];
+  let index = 0;
+  while (index < text.length) {
+    if (/\s/.test(text[index])) {
+      index++;
+      continue;
+    }
+
+    const token = { negate: false, field: null, value: '', quoted: false };
+    if (text[index] === '-') {
+      token.negate = true;
+      index++;
+    }
+    const fieldMatch = /^([A-Za-z][\w.]*):/.exec(text.slice(index));
+    if (fieldMatch) {
+      token.field = fieldMatch[1];
+      index += fieldMatch[0].length;
+    }
+    if (text[index] === '"') {
+      const end = text.indexOf('"', index + 1);
+      if (end < 0) {
+        throw new Error(
+          `Missing closing quote for the phrase at character ${index + 1}`
+        );
+      }
+      token.value = text.slice(index + 1, end);
+      token.quoted = true;
+      index = end + 1;
+    } else {
+      token.value = /^\S*/.exec(text.slice(index))[0];
+      index += token.value.length;
+    }
+    tokens.push(token);
+  }
+  return tokens;
+}
+
+// fields maps the names usable before a colon (lower case) to row fields
+function parseSearchQuery(text, fields) {
+  const clauses = [];
+  let pendingOr = false;
+  let pendingNot = false;
+
+  tokenizeSearch(text || '').forEach(token => {
+    const keyword =
+      !token.quoted && !token.field && !token.negate ? token.value : '';
+    if (keyword === 'OR') {
+      if (clauses.length === 0 || pendingOr || pendingNot) {
+        throw new Error('OR needs a search term before it');
+      }
+      pendingOr = true;
+      return;
+    }
+    if (keyword === 'NOT') {
+      if (pendingNot) throw new Error('NOT needs a search term after it');
+      pendingNot = true;
+      return;
+    }
+
+    if (token.field && !token.value.trim()) {
+      throw new Error(`"${token.field}:" needs a value after the colon`);
+    }
+    if (!token.value.trim()) {
+      throw new Error(
+        token.negate ? '"-" needs a search term after it' : 'Empty phrase ""'
+      );
+    }
+    let field = null;
+    if (token.field) {
+      field = fields.get(token.field.toLowerCase()) || null;
+      if (!field) {
+        const known = [...new Set(fields.values())].join(', ');
+        throw new Error(`Unknown field "${token.field}" - use ${known}`);
+      }
+    }
+
+    const term = {
+      field,
+      value: token.value.trim().toLowerCase(),
+      negate: token.negate !== pendingNot,
+    };
+    if (pendingOr) {
+      clauses[clauses.length - 1].push(term);
+    } else {
+      clauses.push([term]);
+    }
+    pendingOr = false;
+    pendingNot = false;
+  });
+
+  if (pendingOr) throw new Error('OR needs a search term after it');
+  if (pendingNot) throw new Error('NOT needs a search term after it');
+  return { clauses };
+}
+
+// Names usable before a colon: the field, the header without spaces and the aliases
+function createSearchFieldNames(columns) {
+  const names = new Map();
+  columns.forEach(column => {
+    names.set(column.field.toLowerCase(), column.field);
+    if (column.headerName) {
+      names.set(
+        column.headerName.replace(/\s+/g, '').toLowerCase(),
+        column.field
+      );
+    }
+  });
+  Object.keys(SEARCH_FIELD_ALIASES).forEach(alias => {
+    const field = SEARCH_FIELD_ALIASES[alias];
+    if (columns.some(column => column.field === field)) {
+      names.set(alias, field);
+    }
+  });
+  return names;
+}
+
+// Optimal string alignment distance - edits, with a swap of two letters as one
+function getEditDistance(a, b) {
+  const rows = [];
+  for (let i = 0; i <= a.length; i++) {
+    rows.push([i]);
+    for (let j = 1; j <= b.length; j++) {
+      if (i === 0) {
+        rows[i][j] = j;
+        continue;
+      }
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(
+        rows[i - 1][j] + 1,
+        rows[i][j - 1] + 1,
+        rows[i - 1][j - 1] + cost
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+// [start, end] of the words in text that are value with a typo or two - a whole
+// word or its start - e.g. "brbara" or "barbra" for Barbara. Short values and
+// phrases have to match exactly
+function findFuzzyMatches(text, value) {
+  const maxEdits = value.length >= 8 ? 2 : value.length >= 4 ? 1 : 0;
+  if (maxEdits === 0 || /\s/.test(value)) return [];
+
+  const ranges = [];
+  const wordPattern = /[\p{L}\p{N}']+/gu;
+  let match;
+  while ((match = wordPattern.exec(text)) !== null) {
+    const word = match[0];
+    const prefix = word.slice(0, value.length);
+    if (
+      getEditDistance(value, word) <= maxEdits ||
+      getEditDistance(value, prefix) <= maxEdits
+    ) {
+      ranges.push([match.index, match.index + word.length]);
+    }
+  }
+  return ranges;
+}
+
+function getSearchTexts(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .filter(v => v !== null && v !== undefined && v !== '')
+    .filter(v => typeof v !== 'object')
+    .map(v => String(v).toLowerCase());
+}
+
+// options: { fields (searched by terms without a field), prefixFields (matched
+// from the start of the value, so status:active skips Inactive), fuzzyFields }
+function matchesSearchTerm(row, term, options) {
+  const fields = term.field ? [term.field] : options.fields;
+  const found = fields.some(field =>
+    getSearchTexts(getRowFieldValue(row, field)).some(text => {
+      if (term.field && options.prefixFields.includes(field)) {
+        return text.startsWith(term.value);
+      }
+      return (
+        text.includes(term.value) ||
+        (options.fuzzyFields.includes(field) &&
+          findFuzzyMatches(text, term.value).length > 0)
+      );
+    })
+  );
+  return term.negate ? !found : found;
+}
+
+function matchesSearchQuery(row, query, options) {
+  return query.clauses.every(clause =>
+    clause.some(term => matchesSearchTerm(row, term, options))
+  );
+}
+
+// [start, end] ranges of a cell's text matched by the query, sorted and merged
+function getSearchHighlightRanges(text, query, field, options) {
+  const lower = String(text).toLowerCase();
+  const ranges = [];
+  query.clauses.flat().forEach(term => {
+    if (
+      term.negate ||
+      (term.field ? term.field !== field : !options.fields.includes(field))
+    ) {
+      return;
+    }
+    if (term.field && options.prefixFields.includes(field)) {
+      if (lower.startsWith(term.value)) ranges.push([0, term.value.length]);
+      return;
+    }
+    for (
+      let index = lower.indexOf(term.value);
+      index >= 0;
+      index = lower.indexOf(term.value, index + term.value.length)
+    ) {
+      ranges.push([index, index + term.value.length]);
+    }
+    if (options.fuzzyFields.includes(field)) {
+      ranges.push(...findFuzzyMatches(lower, term.value));
+    }
+  });
+
+  ranges.sort((a, b) => a[0] - b[0]);
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+    return merged;
+  }, []);
+}
+
+// Query builder - nested AND/OR groups of conditions as plain JSON, so an
+// expression is saved with the layout and views and sent to the server as is:
+//   { type: 'group', logic: 'and', conditions: [
+//       { type: 'condition', field: 'roles', operator: 'contains', value: 'admin' },
+//       { type: 'group', logic: 'or', conditions: [...] } ] }
+// Group logic with its label in the builder
+const QUERY_LOGICS = { and: 'All of', or: 'Any of' };
+const QUERY_MAX_DEPTH = 3;
+
+function matchesQueryDate(value, test) {
+  const time = parseDateValue(value);
+  return time !== null && test(time);
+}
+
+// kind: the columns an operator is offered for ('any' for every column);
+// input: the value it takes - text, a number of days, a date or none.
+// Negated operators match the rows their counterpart doesn't
+const QUERY_OPERATORS = {
+  contains: {
+    label: 'contains',
+    kind: 'text',
+    input: 'text',
+    matches: (value, operand) =>
+      getSearchTexts(value).some(text => text.includes(operand.toLowerCase())),
+  },
+  notContains: { label: 'does not contain', kind: 'text', negates: 'contains' },
+  equals: {
+    label: 'is',
+    kind: 'text',
+    input: 'text',
+    matches: (value, operand) =>
+      getSearchTexts(value).includes(operand.toLowerCase()),
+  },
+  notEquals: { label: 'is not', kind: 'text', negates: 'equals' },
+  startsWith: {
+    label: 'starts with',
+    kind: 'text',
+    input: 'text',
+    matches: (value, operand) =>
+      getSearchTexts(value).some(text =>
+        text.startsWith(operand.toLowerCase())
+      ),
+  },
+  olderThan: {
+    label: 'older than',
+    kind: 'date',
+    input: 'days',
+    matches: (value, days, now) =>
+      isInactiveFor(parseDateValue(value), days, now),
+  },
+  withinLast: {
+    label: 'within the last',
+    kind: 'date',
+    input: 'days',
+    matches: (value, days, now) =>
+      matchesQueryDate(value, time => time >= now - days * DAY_MS),
+  },
+  before: {
+    label: 'before',
+    kind: 'date',
+    input: 'date',
+    matches: (value, date) =>
+      matchesQueryDate(value, time => time < parseDateInput(date, false)),
+  },
+  after: {
+    label: 'after',
+    kind: 'date',
+    input: 'date',
+    matches: (value, date) =>
+      matchesQueryDate(value, time => time >= parseDateInput(date, true)),
+  },
+  blank: {
+    label: 'is blank',
+    kind: 'any',
+    input: null,
+    matches: value => getSearchTexts(value).length === 0,
+  },
+  notBlank: { label: 'is not blank', kind: 'any', negates: 'blank' },
+};
+
+// Own keys only, so names like "constructor" aren't operators
+function getQueryOperator(name) {
+  if (!Object.prototype.hasOwnProperty.call(QUERY_OPERATORS, name)) return null;
+
+  const operator = QUERY_OPERATORS[name];
+  return operator.negates
+    ? { ...QUERY_OPERATORS[operator.negates], ...operator }
+    : operator;
+}
+
+// Operator names offered for a column kind ('text' or 'date')
+function getQueryOperatorNames(kind) {
+  return Object.keys(QUERY_OPERATORS).filter(name =>
+    [kind, 'any'].includes(QUERY_OPERATORS[name].kind)
+  );
+}
+
+function createQueryGroup(logic = 'and') {
+  return { type: 'group', logic, conditions: [] };
+}
+
+function createQueryCondition(field, kind) {
+  const operator = getQueryOperatorNames(kind)[0];
+  return {
+    type: 'condition',
+    field,
+    operator,
+    value: getQueryOperator(operator).input === 'days' ? 30 : '',
+  };
+}
+
+function describeQueryCondition(condition, labels) {
+  const operator = getQueryOperator(condition.operator);
+  const label = (labels && labels.get(condition.field)) || condition.field;
+  const subject = `${label} ${operator.label}`;
+  if (operator.input === 'days') {
+    return `${subject} ${condition.value} day${condition.value === 1 ? '' : 's'}`;
+  }
+  if (operator.input === 'date') return `${subject} ${condition.value}`;
+  if (operator.input === 'text') return `${subject} "${condition.value}"`;
+  return subject;
+}
+
+// Check an expression (e.g. one read from a saved view or a request) and return
+// a clean copy. Throws with a message for the user when it can't be applied.
+// labels maps the allowed fields to their names; without it any field is allowed
+function normaliseQueryExpression(expression, labels, depth = 1) {
+  if (!expression || expression.type !== 'group') {
+    throw new Error('A query has to start with a group of conditions');
+  }
+  if (!Object.prototype.hasOwnProperty.call(QUERY_LOGICS, expression.logic)) {
+    throw new Error(`Unknown group logic "${expression.logic}"`);
+  }
+  if (depth > QUERY_MAX_DEPTH) {
+    throw new Error(`Groups can be nested ${QUERY_MAX_DEPTH} levels deep`);
+  }
+
+  const conditions = [];
+  (Array.isArray(expression.conditions) ? expression.conditions : []).forEach(
+    node => {
+      if (node && node.type === 'group') {
+        const group = normaliseQueryExpression(node, labels, depth + 1);
+        // Empty groups don't filter anything
+        if (group.conditions.length > 0) conditions.push(group);
+        return;
+      }
+      conditions.push(normaliseQueryCondition(node, labels));
+    }
+  );
+  return { type: 'group', logic: expression.logic, conditions };
+}
+
+function normaliseQueryCondition(node, labels) {
+  if (!node || node.type !== 'condition' || !node.field) {
+    throw new Error('Every condition needs a column');
+  }
+  if (labels && !labels.has(node.field)) {
+    throw new Error(`Unknown column "${node.field}"`);
+  }
+  const operator = getQueryOperator(node.operator);
+  if (!operator) {
+    throw new Error(`Unknown operator "${node.operator}"`);
+  }
+
+  const condition = {
+    type: 'condition',
+    field: node.field,
+    operator: node.operator,
+  };
+  const describe = () =>
+    `${(labels && labels.get(node.field)) || node.field} ${operator.label}`;
+  if (operator.input === 'text') {
+    condition.value = String(node.value ?? '').trim();
+    if (!condition.value) throw new Error(`Enter a value for "${describe()}"`);
+  } else if (operator.input === 'days') {
+    condition.value = Number(node.value);
+    if (!Number.isInteger(condition.value) || condition.value < 1) {
+      throw new Error(`Enter a number of days for "${describe()}"`);
+    }
+  } else if (operator.input === 'date') {
+    condition.value = String(node.value ?? '');
+    if (parseDateInput(condition.value, false) === null) {
+      throw new Error(`Enter a date for "${describe()}"`);
+    }
+  }
+  return condition;
+}
+
+// An empty group matches every row
+function matchesQueryExpression(row, expression, now = Date.now()) {
+  if (expression.type === 'condition') {
+    const operator = QUERY_OPERATORS[expression.operator];
+    const matches = getQueryOperator(expression.operator).matches(
+      getRowFieldValue(row, expression.field),
+      expression.value,
+      now
+    );
+    return operator.negates ? !matches : matches;
+  }
+
+  const test = node => matchesQueryExpression(row, node, now);
+  if (expression.conditions.length === 0) return true;
+  return expression.logic === 'or'
+    ? expression.conditions.some(test)
+    : expression.conditions.every(test);
+}
+
+// The expression as a sentence, nested groups in parentheses:
+// (Status is "Active" or License is "Enterprise") and Last Active older than 30 days
+function describeQueryExpression(expression, labels) {
+  return expression.conditions
+    .map(node =>
+      node.type === 'group'
+        ? `(${describeQueryExpression(node, labels)})`
+        : describeQueryCondition(node, labels)
+    )
+    .join(` ${expression.logic} `);
+}
+
+const QUERY_VALUE_SUGGESTIONS = 50;
+const QUERY_BUTTON_CLASS =
+  'px-3 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50';
+const QUERY_LINK_BUTTON_CLASS =
+  'text-sm font-medium text-blue-600 hover:text-blue-800';
+const QUERY_INPUT_CLASS =
+  'px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-blue-500';
+
+let queryBuilderDialogCount = 0;
+
+// Modal for composing the query builder filter. It edits a copy, so Cancel
+// leaves the applied filter alone; the JSON box shows the expression for reuse
+// and takes a pasted one
+class QueryBuilderDialog {
+  constructor(interop, containerId) {
+    this.interop = interop;
+    this.containerId = containerId;
+    this.columns = interop.getQueryColumns(containerId);
+    this.labels = new Map(this.columns.map(c => [c.field, c.label]));
+
+    const current = interop.getQueryFilter(containerId);
+    this.expression = current
+      ? JSON.parse(JSON.stringify(current))
+      : createQueryGroup();
+    if (this.expression.conditions.length === 0) {
+      this.addCondition(this.expression);
+    }
+  }
+
+  open() {
+    this.previousFocus = document.activeElement;
+    const dialogId = ++queryBuilderDialogCount;
+    const titleId = `query-builder-title-${dialogId}`;
+    this.valueListPrefix = `query-builder-values-${dialogId}-`;
+
+    this.overlay = createElement('div', {
+      className:
+        'query-builder-overlay fixed inset-0 z-[1100] flex items-center justify-center bg-black bg-opacity-30',
+    });
+    this.dialog = createElement('div', {
+      className:
+        'bg-white rounded-lg shadow-xl w-full max-w-3xl max-h-[90vh] flex flex-col',
+      attrs: {
+        role: 'dialog',
+        'aria-modal': 'true',
+        'aria-labelledby': titleId,
+      },
+    });
+
+    const close = createElement('button', {
+      className: 'text-gray-400 hover:text-gray-600',
+      text: '✕',
+      attrs: { type: 'button', 'aria-label': 'Close' },
+    });
+    this.eTree = createElement('div');
+    this.eMessage = createElement('p', {
+      className: 'text-sm',
+      attrs: { role: 'status' },
+    });
+    this.eJson = createElement('textarea', {
+      className: `${QUERY_INPUT_CLASS} block w-full h-32 font-mono text-xs`,
+      attrs: { 'aria-label': 'Query as JSON', spellcheck: 'false' },
+    });
+    const useJson = createElement('button', {
+      className: QUERY_BUTTON_CLASS,
+      text: 'Use JSON',
+      attrs: { type: 'button' },
+    });
+    const clear = createElement('button', {
+      className: `${QUERY_BUTTON_CLASS} mr-auto`,
+      text: 'Clear query',
+      attrs: { type: 'button' },
+    });
+    const cancel = createElement('button', {
+      className: QUERY_BUTTON_CLASS,
+      text: 'Cancel',
+      attrs: { type: 'button' },
+    });
+    const apply = createElement('button', {
+      className:
+        'px-3 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700',
+      text: 'Apply',
+      attrs: { type: 'button' },
+    });
+
+    // Values of the text columns offered while typing
+    const valueLists = this.columns
+      .filter(column => column.values.length > 0)
+      .map(column =>
+        createElement(
+          'datalist',
+          { attrs: { id: this.valueListPrefix + column.field } },
+          column.values.map(value =>
+            createElement('option', { attrs: { value } })
+          )
+        )
+      );
+
+    this.dialog.append(
+      createElement(
+        'div',
+        {
+          className:
+            'flex items-center justify-between px-6 py-4 border-b border-gray-200',
+        },
+        [
+          createElement('h3', {
+            className: 'text-lg font-semibold text-gray-900',
+            text: 'Query builder',
+            attrs: { id: titleId },
+          }),
+          close,
+        ]
+      ),
+      createElement(
+        'div',
+        { className: 'flex-1 overflow-auto px-6 py-4 space-y-4' },
+        [
+          this.eTree,
+          this.eMessage,
+          createElement('details', {}, [
+            createElement('summary', {
+              className: 'text-sm font-medium text-gray-700 cursor-pointer',
+              text: 'JSON',
+            }),
+            createElement('div', { className: 'mt-2 space-y-2' }, [
+              this.eJson,
+              useJson,
+            ]),
+          ]),
+          ...valueLists,
+        ]
+      ),
+      createElement(
+        'div',
+        {
+          className:
+            'flex items-center justify-end gap-3 px-6 py-4 border-t border-gray-200',
+        },
+        [clear, cancel, apply]
+      )
+    );
+    this.overlay.appendChild(this.dialog);
+    document.body.appendChild(this.overlay);
+
+    this.keyHandler = e => {
+      if (e.key === 'Escape') this.close();
+    };
+    document.addEventListener('keydown', this.keyHandler, true);
+    close.addEventListener('click', () => this.close());
+    cancel.addEventListener('click', () => this.close());
+    clear.addEventListener('click', () => this.clear());
+    apply.addEventListener('click', () => this.apply());
+    useJson.addEventListener('click', () => this.useJson());
+
+    this.render();
+    const first = this.eTree.querySelector('select, input');
+    if (first) first.focus();
+  }
+
+  close() {
+    document.removeEventListener('keydown', this.keyHandler, true);
+    this.overlay.remove();
+    if (this.previousFocus && this.previousFocus.focus) {
+      this.previousFocus.focus();
+    }
+  }
+
+  setMessage(text, isError) {
+    this.eMessage.textContent = text;
+    this.eMessage.className = `text-sm ${isError ? 'text-red-600' : 'text-gray-600'}`;
+  }
+
+  getColumn(field) {
+    return (
+      this.columns.find(column => column.field === field) || {
+        field,
+        label: field,
+        kind: 'text',
+        values: [],
+      }
+    );
+  }
+
+  addCondition(group) {
+    const column = this.columns[0];
+    if (column) {
+      group.conditions.push(createQueryCondition(column.field, column.kind));
+    }
+  }
+
+  // Rebuild the editor after a structural change; typing only updates the JSON
+  render() {
+    this.eTree.replaceChildren(this.renderGroup(this.expression, null, 1));
+    this.refreshJson();
+  }
+
+  refreshJson() {
+    this.eJson.value = JSON.stringify(this.expression, null, 2);
+    this.setMessage('');
+  }
+
+  renderGroup(group, parent, depth) {
+    const logic = createElement(
+      'select',
+      { className: QUERY_INPUT_CLASS, attrs: { 'aria-label': 'Match' } },
+      Object.keys(QUERY_LOGICS).map(name =>
+        createElement('option', {
+          text: QUERY_LOGICS[name],
+          attrs: { value: name },
+        })
+      )
+    );
+    logic.value = group.logic;
+    logic.addEventListener('change', () => {
+      group.logic = logic.value;
+      this.refreshJson();
+    });
+
+    const addCondition = createElement('button', {
+      className: QUERY_LINK_BUTTON_CLASS,
+      text: '+ Condition',
+      attrs: { type: 'button' },
+    });
+    addCondition.addEventListener('click', () => {
+      this.addCondition(group);
+      this.render();
+    });
+    const actions = [addCondition];
+
+    if (depth < QUERY_MAX_DEPTH) {
+      const addGroup = createElement('button', {
+        className: QUERY_LINK_BUTTON_CLASS,
+        text: '+ Group',
+        attrs: { type: 'button' },
+      });
+      addGroup.addEventListener('click', () => {
+        const child = createQueryGroup(group.logic === 'and' ? 'or' : 'and');
+        this.addCondition(child);
+        group.conditions.push(child);
+        this.render();
+      });
+      actions.push(addGroup);
+    }
+    if (parent) {
+      const remove = createElement('button', {
+        className: 'text-sm font-medium text-red-600 hover:text-red-800',
+        text: 'Remove group',
+        attrs: { type: 'button' },
+      });
+      remove.addEventListener('click', () => {
+        parent.conditions.splice(parent.conditions.indexOf(group), 1);
+        this.render();
+      });
+      actions.push(remove);
+    }
+
+    return createElement(
+      'div',
+      {
+        className:
+          depth === 1
+            ? 'space-y-2'
+            : 'space-y-2 pl-3 border-l-2 border-blue-200',
+        attrs: { role: 'group' },
+      },
+      [
+        createElement('div', { className: 'flex items-center gap-3' }, [
+          logic,
+          createElement('span', {
+            className: 'text-sm text-gray-600',
+            text: 'these conditions',
+          }),
+          ...actions,
+        ]),
+        ...group.conditions.map(node =>
+          node.type === 'group'
+            ? this.renderGroup(node, group, depth + 1)
+            : this.renderCondition(node, group)
+        ),
+      ]
+    );
+  }
+
+  renderCondition(condition, group) {
+    const column = this.getColumn(condition.field);
+
+    const field = createElement(
+      'select',
+      { className: QUERY_INPUT_CLASS, attrs: { 'aria-label': 'Column' } },
+      this.columns.map(c =>
+        createElement('option', { text: c.label, attrs: { value: c.field } })
+      )
+    );
+    field.value = condition.field;
+    field.addEventListener('change', () => {
+      const next = this.getColumn(field.value);
+      if (next.kind === column.kind) {
+        condition.field = next.field;
+      } else {
+        Object.assign(condition, createQueryCondition(next.field, next.kind));
+      }
+      this.render();
+    });
+
+    const operator = createElement(
+      'select',
+      { className: QUERY_INPUT_CLASS, attrs: { 'aria-label': 'Operator' } },
+      getQueryOperatorNames(column.kind).map(name =>
+        createElement('option', {
+          text: getQueryOperator(name).label,
+          attrs: { value: name },
+        })
+      )
+    );
+    operator.value = condition.operator;
+    operator.addEventListener('change', () => {
+      const input = getQueryOperator(operator.value).input;
+      if (input !== getQueryOperator(condition.operator).input) {
+        condition.value = input === 'days' ? 30 : '';
+        if (!input) delete condition.value;
+      }
+      condition.operator = operator.value;
+      this.render();
+    });
+
+    const remove = createElement('button', {
+      className: 'text-gray-400 hover:text-red-600',
+      text: '✕',
+      attrs: { type: 'button', 'aria-label': 'Remove condition' },
+    });
+    remove.addEventListener('click', () => {
+      group.conditions.splice(group.conditions.indexOf(condition), 1);
+      this.render();
+    });
+
+    return createElement('div', { className: 'flex items-center gap-2' }, [
+      field,
+      operator,
+      ...this.renderValueInput(condition, column),
+      remove,
+    ]);
+  }
+
+  renderValueInput(condition, column) {
+    const input = getQueryOperator(condition.operator).input;
+    if (!input) return [];
+
+    const attrs = { 'aria-label': 'Value' };
+    if (input === 'days') {
+      Object.assign(attrs, { type: 'number', min: '1', step: '1' });
+    } else if (input === 'date') {
+      attrs.type = 'date';
+    } else {
+      attrs.type = 'text';
+      if (column.values.length > 0) {
+        attrs.list = this.valueListPrefix + column.field;
+      }
+    }
+    const element = createElement('input', {
+      className: `${QUERY_INPUT_CLASS} ${input === 'days' ? 'w-20' : 'flex-1'}`,
+      attrs,
+    });
+    element.value = condition.value ?? '';
+    element.addEventListener('input', () => {
+      condition.value =
+        input === 'days' ? Number(element.value) : element.value;
+      this.refreshJson();
+    });
+
+    return input === 'days'
+      ? [
+          element,
+          createElement('span', {
+            className: 'text-sm text-gray-600',
+            text: 'days',
+          }),
+        ]
+      : [element];
+  }
+
+  useJson() {
+    try {
+      this.expression = normaliseQueryExpression(
+        JSON.parse(this.eJson.value),
+        this.labels
+      );
+      this.render();
+    } catch (err) {
+      this.setMessage(`Could not use the JSON: ${err.message}`, true);
+    }
+  }
+
+  apply() {
+    try {
+      normaliseQueryExpression(this.expression, this.labels);
+    } catch (err) {
+      this.setMessage(err.message, true);
+      return;
+    }
+    if (!this.interop.setQueryFilter(this.containerId, this.expression)) {
+      this.setMessage(
+        'The query could not be applied. See the console for details.',
+        true
+      );
+      return;
+    }
+    this.close();
+  }
+
+  clear() {
+    this.interop.setQueryFilter(this.containerId, null);
+    this.close();
+  }
+}
+
+// Server-side data mode - pages are requested from an endpoint instead of rowData
+const SERVER_PAGE_CACHE_SIZE = 20;
+const MOCK_SERVER_LATENCY = 300;
+
+function matchesTextFilter(value, type, filter) {
+  const text = value == null ? '' : String(value).toLowerCase();
+  const term = String(filter ?? '').toLowerCase();
+  switch (type) {
+    case 'contains':
+      return text.includes(term);
+    case 'notContains':
+      return !text.includes(term);
+    case 'equals':
+      return text === term;
+    case 'notEqual':
+      return text !== term;
+    case 'startsWith':
+      return text.startsWith(term);
+    case 'endsWith':
+      return text.endsWith(term);
+    case 'blank':
+      return text === '';
+    case 'notBlank':
+      return text !== '';
+    default:
+      throw new Error(`unsupported text filter type "${type}"`);
+  }
+}
+
+// Evaluate an AG Grid column filter model against a value (text, set and date range filters)
+function matchesFilterModel(value, model) {
+  if (Array.isArray(model.conditions)) {
+    const results = model.conditions.map(c => matchesFilterModel(value, c));
+    return model.operator === 'OR'
+      ? results.some(Boolean)
+      : results.every(Boolean);
+  }
+  if (model.filterType === 'set') {
+    return matchesSetFilter(value, model);
+  }
+  if (model.filterType === 'dateRange') {
+    return matchesDateRangeFilter(value, model);
+  }
+  if (model.filterType !== 'text') {
+    throw new Error(`unsupported filter type "${model.filterType}"`);
+  }
+  return matchesTextFilter(value, model.type, model.filter);
+}
+
+function compareValues(a, b) {
+  if (a == null || a === '') return b == null || b === '' ? 0 : -1;
+  if (b == null || b === '') return 1;
+  return String(a).localeCompare(String(b), undefined, { numeric: true });
+}
+
+function createJsonResponse(status, body) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+// In-page stand-in for a paged users API backed by a static JSON file.
+// fetch() has the same contract as window.fetch and understands the query
+// parameters sent by usersInterop.fetchServerRows:
+//   startRow, endRow, sort=field:asc|desc,..., filter=<filter model JSON>, q
+// and answers with { rows, lastRow }. getSearchOptions returns the grid's
+// searchable columns (usersInterop.getSearchOptions), which "q" looks in
+class MockUsersServer {
+  constructor(sourceUrl, latency, getSearchOptions) {
+    this.sourceUrl = sourceUrl;
+    this.latency = latency ?? MOCK_SERVER_LATENCY;
+    this.getSearchOptions = getSearchOptions;
+    this.users = null;
+    this.fetch = this.fetch.bind(this);
+  }
+
+  loadUsers() {
+    if (!this.users) {
+      this.users = window.fetch(this.sourceUrl).then(response => {
+        if (!response.ok) {
+          throw new Error(`${this.sourceUrl} returned ${response.status}`);
+        }
+        return response.json();
+      });
+      // Try again on the next request after a failed load
+      this.users.catch(() => {
+        this.users = null;
+      });
+    }
+    return this.users;
+  }
+
+  fetch(url, init) {
+    const signal = init && init.signal;
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(new DOMException('The request was aborted', 'AbortError'));
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new DOMException('The request was aborted', 'AbortError'));
+      };
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        this.loadUsers()
+          .then(users => {
+            try {
+              const params = new URL(url, window.location.href).searchParams;
+              resolve(createJsonResponse(200, this.query(users, params)));
+            } catch (err) {
+              resolve(createJsonResponse(400, { error: err.message }));
+            }
+          })
+          .catch(err =>
+            resolve(createJsonResponse(500, { error: err.message }))
+          );
+      }, this.latency);
+      if (signal) signal.addEventListener('abort', onAbort);
+    });
+  }
+
+  query(users, params) {
+    const startRow = Math.max(0, parseInt(params.get('startRow'), 10) || 0);
+    const endRow = parseInt(params.get('endRow'), 10) || startRow + 100;
+    const filterModel = JSON.parse(params.get('filter') || '{}');
+    // The search box syntax, over the same columns as a client-side search
+    const searchOptions = this.getSearchOptions();
+    const search = parseSearchQuery(
+      params.get('q') || '',
+      createSearchFieldNames(searchOptions.columns)
+    );
+    // A query builder expression; any field of the records can be used
+    const queryFilter = params.get('query')
+      ? normaliseQueryExpression(JSON.parse(params.get('query')), null)
+      : null;
+    const sortModel = (params.get('sort') || '')
+      .split(',')
+      .filter(Boolean)
+      .map(entry => entry.split(':'));
+
+    const rows = users.filter(
+      user =>
+        matchesSearchQuery(user, search, searchOptions) &&
+        (!queryFilter || matchesQueryExpression(user, queryFilter)) &&
+        Object.entries(filterModel).every(([field, model]) =>
+          matchesFilterModel(getRowFieldValue(user, field), model)
+        )
+    );
+
+    rows.sort((a, b) => {
+      for (const [field, direction] of sortModel) {
+        const result = compareValues(
+          getRowFieldValue(a, field),
+          getRowFieldValue(b, field)
+        );
+        if (result !== 0) return direction === 'desc' ? -result : result;
+      }
+      return 0;
+    });
+
+    return { rows: rows.slice(startRow, endRow), lastRow: rows.length };
+  }
+
+  // Changes saved by the page, e.g. a revoked invitation, merged by id as the
+  // real API would have stored them
+  async updateUsers(rows) {
+    const users = await this.loadUsers();
+    rows.forEach(row => {
+      const index = users.findIndex(user => user.id === row.id);
+      if (index >= 0) {
+        users[index] = { ...users[index], ...row };
+      }
+    });
+  }
+}
+
+// Live updates - a WebSocket or Server-Sent Events endpoint pushes row changes
+// as JSON messages, applied as row transactions keyed by id:
+//   { "type": "add", "rows": [{ "id": "u-2001", "fullName": "...", ... }] }
+//   { "type": "update", "rows": [{ "id": "u-1001", "status": "Suspended" }] }  (changed fields only)
+//   { "type": "remove", "rows": [{ "id": "u-1001" }] }
+const LIVE_UPDATE_TYPES = ['add', 'update', 'remove'];
+const LIVE_RECONNECT_BASE_DELAY = 1000;
+const LIVE_RECONNECT_MAX_DELAY = 30000;
+
+// Keeps one connection open, reconnecting with exponential backoff (with jitter,
+// so clients don't all return at once). Statuses: connecting, live, reconnecting, offline
+class LiveUpdateChannel {
+  constructor(options, handlers) {
+    this.url = options.url;
+    // ws:// and wss:// URLs are WebSockets, anything else an EventSource stream
+    this.transport =
+      options.transport || (/^wss?:/i.test(this.url) ? 'websocket' : 'sse');
+    this.handlers = handlers;
+    this.attempt = 0;
+    this.timer = null;
+    this.socket = null;
+    this.status = null;
+    this.retryInSeconds = 0;
+    this.stopped = false;
+  }
+
+  start() {
+    this.connect('connecting');
+  }
+
+  connect(status) {
+    this.setStatus(status);
+    const url = new URL(this.url, window.location.href).href;
+    const socket =
+      this.transport === 'websocket'
+        ? new window.WebSocket(url)
+        : new window.EventSource(url);
+    this.socket = socket;
+
+    socket.onopen = () => {
+      const reconnected = this.attempt > 0;
+      this.attempt = 0;
+      this.setStatus('live');
+      // Messages sent while the connection was down are gone, so catch up
+      if (reconnected) this.handlers.onReconnect();
+    };
+    socket.onmessage = event => this.receive(event.data);
+    // EventSource retries by itself at a fixed rate, so close it and back off instead.
+    // A WebSocket error is followed by close
+    socket.onerror = () => {
+      if (this.transport === 'sse') this.reconnect();
+    };
+    socket.onclose = () => this.reconnect();
+  }
+
+  receive(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch {
+      console.warn('Ignoring live update that is not JSON:', data);
+      return;
+    }
+    this.handlers.onMessage(message);
+  }
+
+  reconnect() {
+    this.closeSocket();
+    if (this.stopped) return;
+
+    const delay =
+      Math.min(
+        LIVE_RECONNECT_MAX_DELAY,
+        LIVE_RECONNECT_BASE_DELAY * 2 ** this.attempt
+      ) *
+      (0.5 + Math.random() / 2);
+    this.attempt++;
+    this.setStatus('reconnecting', Math.ceil(delay / 1000));
+    this.timer = setTimeout(() => this.connect('reconnecting'), delay);
+  }
+
+  closeSocket() {
+    if (!this.socket) return;
+
+    const socket = this.socket;
+    this.socket = null;
+    socket.onopen = socket.onmessage = socket.onerror = socket.onclose = null;
+    socket.close();
+  }
+
+  // Not reported through onStatus: the caller stopped the channel, and while a
+  // grid is destroyed its .NET component may already be disposed
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.closeSocket();
+    this.status = 'offline';
+    this.retryInSeconds = 0;
+  }
+
+  // retryInSeconds: while reconnecting, the wait before the next attempt (0 while it runs)
+  setStatus(status, retryInSeconds = 0) {
+    if (status === this.status && retryInSeconds === this.retryInSeconds) {
+      return;
+    }
+
+    this.status = status;
+    this.retryInSeconds = retryInSeconds;
+    this.handlers.onStatus(status, retryInSeconds);
+  }
+}
+
+// Fields whose values differ between a row and its updated copy
+function getChangedFields(row, updated) {
+  const fields = new Set([...Object.keys(row), ...Object.keys(updated)]);
+  return [...fields].filter(
+    field =>
+      field !== 'id' &&
+      JSON.stringify(row[field] ?? null) !==
+        JSON.stringify(updated[field] ?? null)
+  );
+}
+
+// Reload changes - what the last syncRows (Reload Data) changed compared to the
+// rows the grid had: new users, changed cells with their previous value on hover,
+// and removed users, pinned above the grid and greyed out until dismissed
+const REMOVED_ROW_KEY = '__removed';
+const RELOAD_CHANGES_EVENTS = [
+  'modelUpdated',
+  'filterChanged',
+  'pinnedRowDataChanged',
+];
+
+function isRemovedRow(node) {
+  return Boolean(
+    node && node.rowPinned && node.data && node.data[REMOVED_ROW_KEY]
+  );
+}
+
+function formatChangedValue(value, colDef) {
+  if (value === null || value === undefined || value === '') return '(empty)';
+  if (Array.isArray(value)) {
+    return value.length > 0 ? value.join(', ') : '(empty)';
+  }
+  if (typeof value === 'object') return JSON.stringify(value);
+  if (colDef && colDef.filter === 'dateRangeFilter') {
+    return formatDateTime(value);
+  }
+  return String(value);
+}
+
+// Cells of removed users: the value struck through, and a Dismiss button in the
+// actions column instead of the row actions
+class RemovedRowCellRenderer {
+  init(params) {
+    const colDef = params.colDef || {};
+    const context = params.context || {};
+
+    if (colDef.cellRenderer === 'actionsCellRenderer') {
+      this.eGui = createElement('button', {
+        className:
+          'px-2 py-0.5 rounded text-xs text-gray-600 hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500',
+        text: 'Dismiss',
+        attrs: { type: 'button', title: 'Hide this removed user' },
+      });
+      this.eGui.addEventListener('click', () =>
+        window.usersInterop.dismissRemovedRow(
+          context.containerId,
+          params.data.id
+        )
+      );
+      return;
+    }
+
+    const value = params.value;
+    const empty =
+      value === null ||
+      value === undefined ||
+      value === '' ||
+      (Array.isArray(value) && value.length === 0);
+    this.eGui = createElement('span', {
+      className: 'removed-row-value',
+      text: empty ? '' : formatChangedValue(value, colDef),
+    });
+  }
+
+  getGui() {
+    return this.eGui;
+  }
+
+  refresh() {
+    return false;
+  }
+}
+
+// "3 new, 5 changed, 1 removed" after a reload, with a Changes only toggle and a
+// button that clears the markers. Hidden until a reload changes something
+class ReloadChangesStatusPanel {
+  init(params) {
+    this.params = params;
+    this.containerId = params.context && params.context.containerId;
+    this.eGui = createElement('div', {
+      className: 'flex items-center gap-2 text-xs text-gray-500',
+      attrs: { role: 'group', 'aria-label': 'Changes since the last load' },
+    });
+
+    this.updateHandler = () => this.update();
+    RELOAD_CHANGES_EVENTS.forEach(eventType =>
+      params.api.addEventListener(eventType, this.updateHandler)
+    );
+    this.clickHandler = event => {
+      const button = event.target.closest('button[data-action]');
+      if (!button) return;
+      if (button.dataset.action === 'changesOnly') {
+        window.usersInterop.setChangesOnly(
+          this.containerId,
+          button.getAttribute('aria-pressed') !== 'true'
+        );
+      } else {
+        window.usersInterop.clearReloadChanges(this.containerId);
+      }
+    };
+    this.eGui.addEventListener('click', this.clickHandler);
+    this.update();
+  }
+
+  update() {
+    if (!this.params || this.params.api.isDestroyed()) return;
+
+    const changes = window.usersInterop.getReloadChanges(this.containerId);
+    const parts = [];
+    if (changes.added > 0) parts.push(`${changes.added} new`);
+    if (changes.changed > 0) parts.push(`${changes.changed} changed`);
+    if (changes.removed > 0) parts.push(`${changes.removed} removed`);
+    if (parts.length === 0) {
+      this.eGui.replaceChildren();
+      this.eGui.style.display = 'none';
+      return;
+    }
+
+    this.eGui.style.display = '';
+    this.eGui.replaceChildren(
+      createElement('span', {
+        text: parts.join(', '),
+        attrs: { title: 'Changes since the last load' },
+      }),
+      createElement('button', {
+        className: `${SUMMARY_PANEL_BUTTON_CLASS}${changes.changesOnly ? ` ${SUMMARY_PANEL_ACTIVE_CLASS}` : ''}`,
+        text: 'Changes only',
+        attrs: {
+          type: 'button',
+          title: 'Show only new and changed users',
+          'aria-pressed': String(changes.changesOnly),
+          'data-action': 'changesOnly',
+        },
+      }),
+      createElement('button', {
+        className: SUMMARY_PANEL_BUTTON_CLASS,
+        text: 'Dismiss',
+        attrs: {
+          type: 'button',
+          title: 'Clear the change markers and hide removed users',
+          'data-action': 'clear',
+        },
+      })
+    );
+  }
+
+  getGui() {
+    return this.eGui;
+  }
+
+  destroy() {
+    if (this.params && !this.params.api.isDestroyed()) {
+      RELOAD_CHANGES_EVENTS.forEach(eventType =>
+        this.params.api.removeEventListener(eventType, this.updateHandler)
+      );
+    }
+    this.eGui.removeEventListener('click', this.clickHandler);
+  }
+}
+
+// Users App JavaScript Interop for Blazor
+window.usersInterop = {
+  grids: new Map(),
+  editStates: new Map(),
+  gridStates: new Map(),
+  serverSources: new Map(),
+  detailDrawers: new Map(),
+  invitationIndexes: new Map(),
+  statusBars: new Map(),
+  liveUpdates: new Map(),
+  reloadChanges: new Map(),
+
+  // Check if AG Grid is available
+  isAgGridAvailable: function () {
+    return typeof agGrid !== 'undefined' && agGrid.createGrid;
+  },
+
+  // Initialize AG Grid
+  createGrid: function (containerId, gridOptions, dotNetRef) {
+    try {
+      // Check if AG Grid is loaded
+      if (!this.isAgGridAvailable()) {
+        console.error(
+          'AG Grid is not loaded. Make sure ag-grid-community.min.js is included.'
+        );
+        return false;
+      }
+
+      const container = document.getElementById(containerId);
+      if (!container) {
+        console.error(`Container with id '${containerId}' not found`);
+        return false;
+      }
+
+      // Expose the container and .NET reference to renderers via the grid context
+      gridOptions.context = {
+        ...gridOptions.context,
+        containerId,
+        dotNetRef,
+      };
+
+      // Add .NET reference for callbacks with error handling
+      if (dotNetRef) {
+        gridOptions.onRowClicked = event => {
+          try {
+            if (
+              event &&
+              event.data &&
+              !isGroupRow(event.data) &&
+              !event.node.rowPinned
+            ) {
+              dotNetRef.invokeMethodAsync('HandleRowClicked', event.data);
+            }
+          } catch (err) {
+            console.error('Error in row click handler:', err);
+          }
+        };
+
+        gridOptions.onSelectionChanged = event => {
+          try {
+            if (event && event.api) {
+              const selectedRows = event.api.getSelectedRows();
+              dotNetRef.invokeMethodAsync(
+                'HandleSelectionChanged',
+                selectedRows
+              );
+            }
+          } catch (err) {
+            console.error('Error in selection change handler:', err);
+          }
+        };
+      }
+
+      // Inline editing: columns with a cellEditor become editable in edit mode
+      // and changed cells are tracked until committed or discarded
+      const editState = {
+        enabled: false,
+        originals: new Map(),
+        dirtyCells: new Map(),
+      };
+      this.editStates.set(containerId, editState);
+
+      (gridOptions.columnDefs || []).forEach(colDef => {
+        // Object fields such as invitation show, sort and filter by their derived value
+        if (COMPUTED_ROW_FIELDS[colDef.field] && !colDef.valueGetter) {
+          colDef.valueGetter = params =>
+            params.data ? COMPUTED_ROW_FIELDS[colDef.field](params.data) : '';
+        }
+        // agSetColumnFilter is Enterprise-only - use the Community set filter instead
+        if (colDef.filter === 'agSetColumnFilter') {
+          colDef.filter = 'setColumnFilter';
+        }
+        if (
+          FILTER_SUMMARIES[colDef.filter] &&
+          !colDef.floatingFilterComponent
+        ) {
+          colDef.floatingFilterComponent = 'summaryFloatingFilter';
+        }
+
+        // Cells changed by the last reload are marked and show the previous value on hover
+        if (colDef.field) {
+          colDef.cellClassRules = {
+            ...colDef.cellClassRules,
+            'cell-changed': params =>
+              !!this.getCellChange(containerId, params.node, colDef.field),
+          };
+          const tooltipValueGetter = colDef.tooltipValueGetter;
+          colDef.tooltipValueGetter = params => {
+            const change = this.getCellChange(
+              containerId,
+              params.node,
+              colDef.field
+            );
+            if (change) {
+              return `Was: ${formatChangedValue(getRowFieldValue(change.row, colDef.field), colDef)}`;
+            }
+            return tooltipValueGetter ? tooltipValueGetter(params) : undefined;
+          };
+        }
+
+        if (colDef.cellEditor) {
+          colDef.editable = params =>
+            editState.enabled && !params.node.rowPinned;
+          colDef.cellClassRules = {
+            ...colDef.cellClassRules,
+            'cell-dirty': params =>
+              this.isCellDirty(containerId, params.node.id, colDef.field),
+          };
+        }
+      });
+
+      gridOptions.stopEditingWhenCellsLoseFocus = true;
+      gridOptions.onCellValueChanged = event => {
+        try {
+          this.trackCellChange(containerId, event);
+        } catch (err) {
+          console.error('Error in cell value change handler:', err);
+        }
+      };
+
+      // Ensure we have valid row data to prevent ARIA issues
+      if (!gridOptions.rowData || gridOptions.rowData.length === 0) {
+        gridOptions.rowData = [];
+      }
+
+      // Set default grid options for v33 Community Edition
+      // Don't override floatingFilter here - let column definitions control it
+      gridOptions.defaultColDef = {
+        resizable: true,
+        sortable: true,
+        filter: true,
+        minWidth: 100,
+        flex: 1,
+        ...gridOptions.defaultColDef,
+      };
+
+      // Configure v33 Theming API with custom styling
+      if (!gridOptions.theme) {
+        gridOptions.theme = {
+          extends: 'themeQuartz',
+          spacing: 4,
+          rowHeight: 42,
+          headerHeight: 48,
+          fontSize: 14,
+          fontFamily: 'inherit',
+          borderRadius: 8,
+          borderColor: '#e5e7eb',
+          headerBackgroundColor: '#f9fafb',
+          rowHoverColor: '#f8fafc',
+          selectedRowBackgroundColor: '#dbeafe',
+        };
+      }
+
+      // Register custom cell renderers and status panel components for v33 Community Edition
+      if (!gridOptions.components) {
+        gridOptions.components = {};
+      }
+
+      // Register custom cell renderers
+      gridOptions.components.fullNameCellRenderer = FullNameCellRenderer;
+      gridOptions.components.rolesCellRenderer = RolesCellRenderer;
+      gridOptions.components.emailCellRenderer = EmailCellRenderer;
+      gridOptions.components.lastActiveCellRenderer = LastActiveCellRenderer;
+      gridOptions.components.badgeCellRenderer = BadgeCellRenderer;
+      gridOptions.components.inviteCellRenderer = InviteCellRenderer;
+      gridOptions.components.invitedByCellRenderer = InvitedByCellRenderer;
+      gridOptions.components.actionsCellRenderer = ActionsCellRenderer;
+      gridOptions.components.skeletonCellRenderer = SkeletonCellRenderer;
+      gridOptions.components.groupRowRenderer = GroupRowRenderer;
+      gridOptions.components.summaryCellRenderer = SummaryCellRenderer;
+      gridOptions.components.removedRowCellRenderer = RemovedRowCellRenderer;
+
+      // Register custom cell editors
+      gridOptions.components.textCellEditor = TextCellEditor;
+      gridOptions.components.selectCellEditor = SelectCellEditor;
+      gridOptions.components.tagsCellEditor = TagsCellEditor;
+
+      // Register the Community set and date range filters
+      gridOptions.components.setColumnFilter = SetColumnFilter;
+      gridOptions.components.dateRangeFilter = DateRangeFilter;
+      gridOptions.components.summaryFloatingFilter = SummaryFloatingFilter;
+
+      // Register custom status panels
+      gridOptions.components.customRecordCountStatusPanel =
+        CustomRecordCountStatusPanel;
+      gridOptions.components.aggregateStatusPanel = AggregateStatusPanel;
+      gridOptions.components.inactiveUsersStatusPanel =
+        InactiveUsersStatusPanel;
+      gridOptions.components.reloadChangesStatusPanel =
+        ReloadChangesStatusPanel;
+
+      // Custom cell renderers handle all formatting, no need for value formatters
+
+      // Handle v33 Community Edition selection - keep original values
+      // According to AG Grid v33 Community Edition docs, "single" and "multiple" still work
+      // The new "singleRow" and "multiRow" may not be fully supported in Community Edition
+      if (
+        gridOptions.rowSelection === 'single' ||
+        gridOptions.rowSelection === 'multiple'
+      ) {
+        console.log(
+          `Using rowSelection: ${gridOptions.rowSelection} (AG Grid v33 Community Edition - deprecated but functional)`
+        );
+      }
+
+      // Improve ARIA support with v33 compatible approach
+      if (!gridOptions.getRowId) {
+        gridOptions.getRowId = function (params) {
+          return params.data?.id || params.node?.id || params.node?.rowIndex;
+        };
+      }
+
+      // The search, tree view and grouping each add an external filter (see setExternalFilter)
+      gridOptions.isExternalFilterPresent = () =>
+        this.isExternalFilterPresent(containerId);
+      gridOptions.doesExternalFilterPass = node =>
+        this.doesExternalFilterPass(containerId, node);
+
+      // Group header rows added by setGrouping span the grid and can't be selected
+      gridOptions.isFullWidthRow = params => isGroupRow(params.rowNode.data);
+      gridOptions.fullWidthCellRenderer = 'groupRowRenderer';
+      gridOptions.isRowSelectable = node =>
+        !isGroupRow(node.data) && !node.rowPinned;
+
+      // Users added by the last reload, and removed ones pinned until dismissed
+      gridOptions.rowClassRules = {
+        ...gridOptions.rowClassRules,
+        'row-new': params => this.isRowNew(containerId, params.node),
+        'row-removed': params => isRemovedRow(params.node),
+      };
+      if (gridOptions.tooltipShowDelay === undefined) {
+        gridOptions.tooltipShowDelay = 500;
+      }
+
+      // Interop-only options are read from the grid state below, not by AG Grid
+      const syncUrl = gridOptions.syncUrl === true;
+      delete gridOptions.syncUrl;
+      const serverSide = gridOptions.serverSide || null;
+      delete gridOptions.serverSide;
+      const liveUpdates = gridOptions.liveUpdates || null;
+      delete gridOptions.liveUpdates;
+      // The search box text is parsed by the interop instead of AG Grid's quick filter
+      const quickFilterText = gridOptions.quickFilterText || '';
+      delete gridOptions.quickFilterText;
+      // The summary row counts every row, so server-side grids don't get one
+      const summaryColumns = serverSide ? null : gridOptions.summaryRow || null;
+      delete gridOptions.summaryRow;
+      const statusPanels =
+        (gridOptions.statusBar && gridOptions.statusBar.statusPanels) || [];
+      delete gridOptions.statusBar;
+
+      // The pinned summary row shows its own cells in every column
+      if (summaryColumns) {
+        (gridOptions.columnDefs || []).forEach(colDef => {
+          const selector = colDef.cellRendererSelector;
+          colDef.cellRendererSelector = params => {
+            if (isSummaryRow(params.node)) {
+              return { component: 'summaryCellRenderer' };
+            }
+            return selector ? selector(params) : undefined;
+          };
+        });
+      }
+      (gridOptions.columnDefs || []).forEach(colDef => {
+        const selector = colDef.cellRendererSelector;
+        colDef.cellRendererSelector = params => {
+          if (isRemovedRow(params.node)) {
+            return { component: 'removedRowCellRenderer' };
+          }
+          return selector ? selector(params) : undefined;
+        };
+      });
+
+      // Server-side mode: the infinite row model requests pages through a datasource
+      // that is attached once the saved/linked state has been applied (see below)
+      if (serverSide) {
+        const mockServer = serverSide.mockSource
+          ? new MockUsersServer(serverSide.mockSource, serverSide.latency, () =>
+              this.getSearchOptions(containerId)
+            )
+          : null;
+        this.serverSources.set(containerId, {
+          url: serverSide.url,
+          fetch: mockServer ? mockServer.fetch : window.fetch.bind(window),
+          mockServer,
+          quickFilterText: '',
+          queryFilter: null,
+          cache: new Map(),
+          pending: new Map(),
+        });
+
+        delete gridOptions.rowData;
+        gridOptions.rowModelType = 'infinite';
+        gridOptions.cacheBlockSize =
+          serverSide.blockSize || gridOptions.paginationPageSize || 100;
+        gridOptions.maxBlocksInCache = serverSide.maxBlocksInCache || 10;
+
+        // Rows without data are still loading
+        (gridOptions.columnDefs || []).forEach(colDef => {
+          if (colDef.cellRenderer) {
+            colDef.cellRendererSelector = params =>
+              params.data ? undefined : { component: 'skeletonCellRenderer' };
+          }
+        });
+      }
+
+      // Remove deprecated v32 options that cause warnings in v33
+      delete gridOptions.suppressMenuHide;
+      delete gridOptions.suppressCellSelection;
+      delete gridOptions.enableRangeSelection;
+      delete gridOptions.animateRows;
+      delete gridOptions.suppressRowClickSelection;
+
+      // Ensure container is completely clean before creating grid
+      container.innerHTML = '';
+
+      // With status panels the grid shares the container with the status bar
+      let gridElement = container;
+      if (statusPanels.length > 0) {
+        container.style.display = 'flex';
+        container.style.flexDirection = 'column';
+        gridElement = createElement('div', {
+          style: 'flex: 1; min-height: 0;',
+        });
+        container.appendChild(gridElement);
+      }
+
+      // Create the grid using v33 API - correct method
+      console.log('Creating grid with options:', gridOptions);
+      const gridApi = agGrid.createGrid(gridElement, gridOptions);
+
+      if (!gridApi) {
+        console.error('Failed to create AG Grid instance');
+        return false;
+      }
+
+      this.grids.set(containerId, gridApi);
+
+      // Remember the default layout, then restore the user's saved layout
+      this.gridStates.set(containerId, {
+        activeViewId: null,
+        pendingPage: null,
+        saveTimer: null,
+        // Set by resetGridState while the defaults are applied, so they aren't saved
+        resetting: false,
+        restored: false,
+        defaultColumnState: gridApi.getColumnState(),
+        defaultPageSize: gridApi.paginationGetPageSize(),
+        density: 'standard',
+        treeView: false,
+        treeCollapsed: new Set(),
+        treeDepths: new Map(),
+        treeRefreshHandler: null,
+        treeMeasureHandler: null,
+        treeMeasuring: false,
+        grouping: null,
+        // Users that pass the filters, kept while rows are collapsed (see measureFilteredUsers)
+        filteredUsers: null,
+        externalFilters: new Map(),
+        // Search box text, the last query parsed from it without errors and the error
+        searchText: '',
+        search: null,
+        searchError: null,
+        // Query builder expression (see normaliseQueryExpression), null when there is none
+        queryFilter: null,
+        summaryRow: summaryColumns
+          ? { columns: summaryColumns, enabled: false, json: '' }
+          : null,
+        syncUrl,
+      });
+      if (quickFilterText) {
+        this.applyQuickFilterText(containerId, quickFilterText);
+      }
+      this.restoreGridState(containerId);
+
+      if (statusPanels.length > 0) {
+        const statusBar = new GridStatusBar(
+          statusPanels,
+          gridOptions.components,
+          { api: gridApi, context: gridOptions.context }
+        );
+        container.appendChild(statusBar.getGui());
+        this.statusBars.set(containerId, statusBar);
+      }
+      if (summaryColumns) {
+        this.setSummaryRow(containerId, true);
+      }
+
+      // A deep link wins over the saved layout
+      if (syncUrl) {
+        this.applyUrlState(containerId);
+      }
+
+      if (serverSide) {
+        gridApi.setGridOption(
+          'datasource',
+          this.createServerDatasource(containerId)
+        );
+      }
+
+      // Added, removed or renamed users change who the invitedBy names resolve to
+      ['rowDataUpdated', 'cellValueChanged'].forEach(eventType => {
+        gridApi.addEventListener(eventType, () =>
+          this.onInvitationsChanged(containerId)
+        );
+      });
+
+      GRID_STATE_EVENTS.forEach(eventType => {
+        gridApi.addEventListener(eventType, () =>
+          this.scheduleGridStateSave(containerId)
+        );
+      });
+
+      if (liveUpdates) {
+        this.startLiveUpdates(containerId, liveUpdates);
+      }
+
+      // Wait for grid to be ready and validate ARIA structure
+      setTimeout(() => {
+        if (gridApi) {
+          console.log(
+            `AG Grid created successfully for container: ${containerId}`
+          );
+
+          // Validate ARIA structure after grid is ready
+          const gridElement = container.querySelector('.ag-root');
+          if (gridElement && !gridElement.getAttribute('role')) {
+            gridElement.setAttribute('role', 'grid');
+          }
+
+          // Ensure header has proper ARIA attributes
+          const headerElement = container.querySelector('.ag-header');
+          if (headerElement && !headerElement.getAttribute('role')) {
+            headerElement.setAttribute('role', 'rowgroup');
+          }
+        }
+      }, 100);
+
+      return true;
+    } catch (err) {
+      console.error('Error creating AG Grid:', err);
+      return false;
+    }
+  },
+
+  // Update grid data
+  setRowData: function (containerId, rowData) {
+    try {
+      const gridApi = this.grids.get(containerId);
+      if (gridApi && this.isServerSide(containerId)) {
+        console.warn(
+          `Grid ${containerId} loads its rows from the server; use refreshServerData instead of setRowData`
+        );
+        return false;
+      }
+      if (gridApi) {
+        // A full replacement starts over, so there is nothing to compare with
+        this.clearReloadChanges(containerId);
+
+        // Ensure rowData is valid array
+        const validRowData = Array.isArray(rowData) ? rowData : [];
+        gridApi.setGridOption(
+          'rowData',
+          this.mergePendingChanges(containerId, validRowData)
+        );
+
+        // A restored page survives the first status-filtered data load
+        this.applyPendingPage(containerId);
+
+        // Refresh the grid to ensure proper rendering
+        setTimeout(() => {
+          if (gridApi) {
+            gridApi.refreshCells();
+          }
+        }, 50);
+
+        return true;
+      }
+      console.error(`Grid not found for container: ${containerId}`);
+      return false;
+    } catch (err) {
+      console.error('Error setting row data:', err);
+      return false;
+    }
+  },
+
+  // Work out the row transaction for changes { add, update, remove }, rows keyed by id.
+  // Adds for ids already in the grid are updates and updates for unknown ids adds.
+  // Updates hold the changed fields only, or with replace the whole new row; they
+  // keep the user's unsaved edits.
+  // Returns { add, update, remove, changedFields: Map(id -> fields to flash), previous }
+  createRowTransaction: function (containerId, changes, replace) {
+    const gridApi = this.grids.get(containerId);
+    const editState = this.editStates.get(containerId);
+    const getRows = rows =>
+      (Array.isArray(rows) ? rows : []).filter(row => row && row.id != null);
+    const transaction = {
+      add: [],
+      update: [],
+      remove: [],
+      changedFields: new Map(),
+      // id -> { row, fields }: what each updated user looked like before
+      previous: new Map(),
+    };
+
+    [...getRows(changes.add), ...getRows(changes.update)].forEach(row => {
+      const id = String(row.id);
+      const node = gridApi.getRowNode(id);
+      if (!node || !node.data || isGroupRow(node.data)) {
+        transaction.add.push(row);
+        return;
+      }
+      // Rows with unsaved edits are compared with their saved values
+      const base = (editState && editState.originals.get(id)) || node.data;
+      const updated = replace ? row : { ...base, ...row };
+      const fields = getChangedFields(base, updated);
+      if (fields.length === 0) return;
+
+      transaction.previous.set(id, { row: base, fields });
+      transaction.changedFields.set(
+        id,
+        fields.filter(field => !this.isCellDirty(containerId, id, field))
+      );
+      transaction.update.push(updated);
+    });
+    getRows(changes.remove).forEach(row => {
+      const node = gridApi.getRowNode(String(row.id));
+      if (node && node.data && !isGroupRow(node.data)) {
+        transaction.remove.push(node.data);
+      }
+    });
+
+    transaction.update = this.mergePendingChanges(
+      containerId,
+      transaction.update
+    );
+    return transaction;
+  },
+
+  // Apply a transaction from createRowTransaction, now or batched with async, and
+  // flash what changed: whole rows for added users, the changed cells of updated
+  // ones. Unsaved edits of removed rows go with them.
+  // Returns the counts { added, changed, removed }
+  applyRowTransaction: function (containerId, transaction, async) {
+    const gridApi = this.grids.get(containerId);
+    const { add, update, remove, changedFields } = transaction;
+    const counts = {
+      added: add.length,
+      changed: update.length,
+      removed: remove.length,
+    };
+
+    const editState = this.editStates.get(containerId);
+    if (editState && remove.length > 0) {
+      remove.forEach(row => {
+        editState.dirtyCells.delete(String(row.id));
+        editState.originals.delete(String(row.id));
+      });
+      this.notifyPendingChanges(containerId);
+    }
+    if (add.length + update.length + remove.length === 0) return counts;
+
+    const flash = result => {
+      if (!result || !this.grids.has(containerId)) return;
+      if (result.add.length > 0) {
+        gridApi.flashCells({ rowNodes: result.add });
+      }
+      result.update.forEach(node => {
+        const columns = changedFields.get(node.id) || [];
+        if (columns.length > 0) {
+          gridApi.flashCells({ rowNodes: [node], columns });
+        }
+      });
+    };
+    if (async) {
+      gridApi.applyTransactionAsync({ add, update, remove }, flash);
+    } else {
+      flash(gridApi.applyTransaction({ add, update, remove }));
+      // rowDataUpdated only follows later; until then the index has the old rows
+      this.invitationIndexes.delete(containerId);
+    }
+    return counts;
+  },
+
+  // Shared by addRows, updateRows and removeRows: returns the counts, or null
+  // when the grid is missing or loads its rows from the server
+  changeRows: function (containerId, changes) {
+    try {
+      const gridApi = this.grids.get(containerId);
+      if (!gridApi) {
+        console.error(`Grid not found for container: ${containerId}`);
+        return null;
+      }
+      if (this.isServerSide(containerId)) {
+        console.warn(
+          `Grid ${containerId} loads its rows from the server; use refreshServerData instead`
+        );
+        return null;
+      }
+      return this.applyRowTransaction(
+        containerId,
+        this.createRowTransaction(containerId, changes),
+        false
+      );
+    } catch (err) {
+      console.error('Error changing rows:', err);
+      return null;
+    }
+  },
+
+  // Add users; a row whose id is already in the grid updates that user
+  addRows: function (containerId, rows) {
+    return this.changeRows(containerId, { add: rows });
+  },
+
+  // Update users from rows with the id and the fields to change
+  updateRows: function (containerId, rows) {
+    return this.changeRows(containerId, { update: rows });
+  },
+
+  // Remove users by id, given as ids or rows
+  removeRows: function (containerId, ids) {
+    const rows = (Array.isArray(ids) ? ids : []).map(id =>
+      id !== null && typeof id === 'object' ? id : { id }
+    );
+    return this.changeRows(containerId, { remove: rows });
+  },
+
+  // Bring the grid in line with a complete dataset, applying only the difference
+  // by id, so selection, scroll position, page and open groups survive a reload.
+  // What changed stays marked until the next sync (see trackReloadChanges).
+  // Returns { added, changed, removed, unchanged }, or null
+  syncRows: function (containerId, rowData) {
+    try {
+      const gridApi = this.grids.get(containerId);
+      if (!gridApi) {
+        console.error(`Grid not found for container: ${containerId}`);
+        return null;
+      }
+      if (this.isServerSide(containerId)) {
+        console.warn(
+          `Grid ${containerId} loads its rows from the server; use refreshServerData instead of syncRows`
+        );
+        return null;
+      }
+
+      const rows = (Array.isArray(rowData) ? rowData : []).filter(
+        row => row && row.id != null
+      );
+      const ids = new Set(rows.map(row => String(row.id)));
+      const remove = [];
+      gridApi.forEachNode(node => {
+        if (node.data && !isGroupRow(node.data) && !ids.has(node.id)) {
+          remove.push(node.data);
+        }
+      });
+
+      const transaction = this.createRowTransaction(
+        containerId,
+        { add: rows, remove },
+        true
+      );
+      this.trackReloadChanges(containerId, transaction);
+      const counts = this.applyRowTransaction(containerId, transaction, false);
+      counts.unchanged = rows.length - counts.added - counts.changed;
+
+      // The saved or linked page may only exist once these rows are in
+      this.applyPendingPage(containerId);
+      console.log(`Rows synced for container: ${containerId}`, counts);
+      return counts;
+    } catch (err) {
+      console.error('Error syncing rows:', err);
+      return null;
+    }
+  },
+
+  // Keep what a sync is about to change for the markers: the users it adds and
+  // the cells it changes replace those of the previous sync, users it removes
+  // stay pinned above the grid until dismissed
+  trackReloadChanges: function (containerId, transaction) {
+    let changes = this.reloadChanges.get(containerId);
+    if (!changes) {
+      changes = {
+        added: new Set(),
+        changed: new Map(),
+        removed: new Map(),
+        changesOnly: false,
+      };
+      this.reloadChanges.set(containerId, changes);
+      this.setExternalFilter(containerId, 'reloadChanges', {
+        isPresent: () => changes.changesOnly,
+        passes: node =>
+          !node.data ||
+          isGroupRow(node.data) ||
+          changes.added.has(node.id) ||
+          changes.changed.has(node.id),
+      });
+    }
+
+    changes.added = new Set(transaction.add.map(row => String(row.id)));
+    changes.changed = new Map(transaction.previous);
+    transaction.remove.forEach(row => changes.removed.set(String(row.id), row));
+    // A removed user that is back is new again
+    changes.added.forEach(id => changes.removed.delete(id));
+    this.refreshReloadChanges(containerId);
+  },
+
+  // Show the current markers: pinned removed users, row and cell classes, and
+  // the Changes only filter
+  refreshReloadChanges: function (containerId) {
+    const gridApi = this.grids.get(containerId);
+    const changes = this.reloadChanges.get(containerId);
+    if (!gridApi || !changes) return;
+
+    if (changes.added.size + changes.changed.size === 0) {
+      changes.changesOnly = false;
+    }
+    gridApi.setGridOption(
+      'pinnedTopRowData',
+      [...changes.removed.values()].map(row => ({
+        ...row,
+        [REMOVED_ROW_KEY]: true,
+      }))
+    );
+    // Rows that were marked by the previous sync drop their classes
+    gridApi.redrawRows();
+    gridApi.onFilterChanged();
+  },
+
+  // Counts for the status bar: { added, changed, removed, changesOnly }
+  getReloadChanges: function (containerId) {
+    const changes = this.reloadChanges.get(containerId);
+    return {
+      added: changes ? changes.added.size : 0,
+      changed: changes ? changes.changed.size : 0,
+      removed: changes ? changes.removed.size : 0,
+      changesOnly: !!changes && changes.changesOnly,
+    };
+  },
+
+  // Show only the users the last reload added or changed
+  setChangesOnly: function (containerId, enabled) {
+    try {
+      const gridApi = this.grids.get(containerId);
+      const changes = this.reloadChanges.get(containerId);
+      if (!gridApi || !changes) return false;
+
+      changes.changesOnly =
+        !!enabled && changes.added.size + changes.changed.size > 0;
+      gridApi.onFilterChanged();
+      return changes.changesOnly;
+    } catch (err) {
+      console.error('Error setting changes only:', err);
+      return false;
+    }
+  },
+
+  dismissRemovedRow: function (containerId, id) {
+    try {
+      const changes = this.reloadChanges.get(containerId);
+      if (!changes || !changes.removed.delete(String(id))) return false;
+
+      this.refreshReloadChanges(containerId);
+      return true;
+    } catch (err) {
+      console.error('Error dismissing removed row:', err);
+      return false;
+    }
+  },
+
+  // Drop every marker and the removed users
+  clearReloadChanges: function (containerId) {
+    try {
+      const changes = this.reloadChanges.get(containerId);
+      if (!changes) return true;
+
+      changes.added = new Set();
+      changes.changed = new Map();
+      changes.removed = new Map();
+      this.refreshReloadChanges(containerId);
+      return true;
+    } catch (err) {
+      console.error('Error clearing reload changes:', err);
+      return false;
+    }
+  },
+
+  isRowNew: function (containerId, node) {
+    const changes = this.reloadChanges.get(containerId);
+    return !!changes && !!node && !node.rowPinned && changes.added.has(node.id);
+  },
+
+  // { row, fields } with the previous row when the last reload changed this cell
+  getCellChange: function (containerId, node, field) {
+    const changes = this.reloadChanges.get(containerId);
+    if (!changes || !node || node.rowPinned) return null;
+
+    const change = changes.changed.get(node.id);
+    return change && change.fields.includes(field) ? change : null;
+  },
+
+  // Go to the page restored from the saved layout or URL once the rows it refers to are loaded
+  applyPendingPage: function (containerId) {
+    const gridApi = this.grids.get(containerId);
+    const gridState = this.gridStates.get(containerId);
+    if (!gridApi || !gridState || gridState.pendingPage === null) return;
+
+    if (gridState.pendingPage < gridApi.paginationGetTotalPages()) {
+      gridApi.paginationGoToPage(gridState.pendingPage);
+    } else {
+      console.warn(
+        `Ignoring restored page ${gridState.pendingPage + 1} for ${containerId}: out of range`
+      );
+    }
+    gridState.pendingPage = null;
+  },
+
+  isServerSide: function (containerId) {
+    return this.serverSources.has(containerId);
+  },
+
+  // Infinite row model datasource for server-side mode
+  createServerDatasource: function (containerId) {
+    return {
+      getRows: params => this.fetchServerRows(containerId, params),
+    };
+  },
+
+  // Query parameters describing the current view: sort, column filters and search
+  buildServerQuery: function (containerId, sortModel, filterModel) {
+    const query = new URLSearchParams();
+
+    const sort = (sortModel || [])
+      .map(item => `${item.colId}:${item.sort}`)
+      .join(',');
+    if (sort) {
+      query.set('sort', sort);
+    }
+    if (filterModel && Object.keys(filterModel).length > 0) {
+      query.set('filter', JSON.stringify(filterModel));
+    }
+    // The last search without syntax errors, so a half-typed one doesn't fail the request
+    const source = this.serverSources.get(containerId);
+    if (source && source.quickFilterText) {
+      query.set('q', source.quickFilterText);
+    }
+    if (source && source.queryFilter) {
+      query.set('query', JSON.stringify(source.queryFilter));
+    }
+    return query;
+  },
+
+  // Load one block of rows. Responses are cached per query, and requests for a
+  // sort/filter that is no longer current are cancelled.
+  fetchServerRows: function (containerId, params) {
+    const source = this.serverSources.get(containerId);
+    if (!source) {
+      params.failCallback();
+      return;
+    }
+
+    const query = this.buildServerQuery(
+      containerId,
+      params.sortModel,
+      params.filterModel
+    );
+    const viewKey = query.toString();
+    query.set('startRow', params.startRow);
+    query.set('endRow', params.endRow);
+    const requestKey = query.toString();
+
+    const onLoaded = result => {
+      params.successCallback(
+        this.mergePendingChanges(containerId, result.rows),
+        result.lastRow
+      );
+      this.applyPendingPage(containerId);
+    };
+
+    const cached = source.cache.get(requestKey);
+    if (cached) {
+      onLoaded(cached);
+      return;
+    }
+
+    source.pending.forEach((pendingViewKey, controller) => {
+      if (pendingViewKey !== viewKey) {
+        controller.abort();
+        source.pending.delete(controller);
+      }
+    });
+
+    const controller = new AbortController();
+    source.pending.set(controller, viewKey);
+
+    const separator = source.url.includes('?') ? '&' : '?';
+    source
+      .fetch(`${source.url}${separator}${requestKey}`, {
+        signal: controller.signal,
+        headers: { Accept: 'application/json' },
+      })
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`Server responded with ${response.status}`);
+        }
+        return response.json();
+      })
+      .then(body => {
+        const result = {
+          rows: Array.isArray(body.rows) ? body.rows : [],
+          lastRow: Number.isInteger(body.lastRow) ? body.lastRow : undefined,
+        };
+        source.cache.set(requestKey, result);
+        if (source.cache.size > SERVER_PAGE_CACHE_SIZE) {
+          source.cache.delete(source.cache.keys().next().value);
+        }
+        onLoaded(result);
+      })
+      .catch(err => {
+        // A newer request replaced this one; the grid has already dropped the block
+        if (err.name === 'AbortError') return;
+        console.error(`Error loading rows for ${containerId}:`, err);
+        params.failCallback();
+      })
+      .finally(() => source.pending.delete(controller));
+  },
+
+  // The search box text as typed, also when it has a syntax error
+  getQuickFilterText: function (containerId) {
+    const gridState = this.gridStates.get(containerId);
+    return (gridState && gridState.searchText) || '';
+  },
+
+  // Parse the search box text (see parseSearchQuery). Text with a syntax error
+  // keeps the last valid search applied and reports the error to .NET.
+  // Client-side the search is an external filter; server-side grids send it as "q"
+  applyQuickFilterText: function (containerId, text) {
+    const gridApi = this.grids.get(containerId);
+    const gridState = this.gridStates.get(containerId);
+    if (!gridApi || !gridState) return;
+
+    const options = this.getSearchOptions(containerId);
+    gridState.searchText = text || '';
+    let query = null;
+    let error = null;
+    try {
+      query = parseSearchQuery(
+        gridState.searchText,
+        createSearchFieldNames(options.columns)
+      );
+    } catch (err) {
+      error = err.message;
+    }
+    if (error !== gridState.searchError) {
+      gridState.searchError = error;
+      this.notifySearchError(containerId);
+    }
+    if (error) return;
+
+    gridState.search = query.clauses.length > 0 ? { query, options } : null;
+    const source = this.serverSources.get(containerId);
+    if (source) {
+      source.quickFilterText = gridState.search ? gridState.searchText : '';
+      return;
+    }
+
+    const search = gridState.search;
+    this.setExternalFilter(
+      containerId,
+      'search',
+      search
+        ? {
+            isPresent: () => true,
+            // Group header rows aren't users
+            passes: node =>
+              !node.data ||
+              isGroupRow(node.data) ||
+              matchesSearchQuery(node.data, search.query, search.options),
+          }
+        : null
+    );
+    gridApi.onFilterChanged();
+    // Re-render the cells for the new highlights
+    gridApi.refreshCells({ force: true });
+  },
+
+  // Columns the search looks in: every column with a field that can be filtered.
+  // Set filter columns match from the start of their values
+  getSearchOptions: function (containerId) {
+    const gridApi = this.grids.get(containerId);
+    const columns = (gridApi ? gridApi.getColumnDefs() : [])
+      .filter(colDef => colDef.field && colDef.filter !== false)
+      .map(colDef => ({
+        field: colDef.field,
+        headerName: colDef.headerName,
+        prefix: colDef.filter === 'setColumnFilter',
+      }));
+    const fields = columns.map(column => column.field);
+    return {
+      columns,
+      fields,
+      prefixFields: columns.filter(c => c.prefix).map(c => c.field),
+      fuzzyFields: SEARCH_FUZZY_FIELDS.filter(field => fields.includes(field)),
+    };
+  },
+
+  // Ranges of a cell's text to highlight for the current search
+  getSearchHighlights: function (containerId, field, text) {
+    const gridState = this.gridStates.get(containerId);
+    const search = gridState && gridState.search;
+    if (!search || !field || !text) return [];
+
+    return getSearchHighlightRanges(text, search.query, field, search.options);
+  },
+
+  getQuickFilterError: function (containerId) {
+    const gridState = this.gridStates.get(containerId);
+    return (gridState && gridState.searchError) || null;
+  },
+
+  notifySearchError: function (containerId) {
+    try {
+      const gridApi = this.grids.get(containerId);
+      const dotNetRef = gridApi && gridApi.getGridOption('context')?.dotNetRef;
+      if (dotNetRef) {
+        dotNetRef
+          .invokeMethodAsync(
+            'HandleSearchErrorChanged',
+            this.getQuickFilterError(containerId)
+          )
+          .catch(err => console.error('Error notifying search error:', err));
+      }
+    } catch (err) {
+      console.error('Error notifying search error:', err);
+    }
+  },
+
+  // Add (or with null remove) a named external filter: { isPresent(), passes(node) }.
+  // A row has to pass every filter that is present; the caller re-runs the filters
+  setExternalFilter: function (containerId, name, filter) {
+    const gridState = this.gridStates.get(containerId);
+    if (!gridState) return;
+
+    if (filter) {
+      gridState.externalFilters.set(name, filter);
+    } else {
+      gridState.externalFilters.delete(name);
+    }
+  },
+
+  isExternalFilterPresent: function (containerId) {
+    const gridState = this.gridStates.get(containerId);
+    if (!gridState) return false;
+
+    return [...gridState.externalFilters.values()].some(filter =>
+      filter.isPresent()
+    );
+  },
+
+  doesExternalFilterPass: function (containerId, node) {
+    const gridState = this.gridStates.get(containerId);
+    if (!gridState) return true;
+
+    return [...gridState.externalFilters.values()].every(
+      filter => !filter.isPresent() || filter.passes(node)
+    );
+  },
+
+  // Columns offered in the query builder: every filterable column with a field.
+  // The date range column gets the date operators, the others the text ones with
+  // their values as suggestions
+  getQueryColumns: function (containerId) {
+    const gridApi = this.grids.get(containerId);
+    if (!gridApi) return [];
+
+    const users = [];
+    gridApi.forEachNode(node => {
+      if (node.data && !isGroupRow(node.data)) users.push(node.data);
+    });
+    return gridApi
+      .getColumnDefs()
+      .filter(colDef => colDef.field && colDef.filter !== false)
+      .map(colDef => {
+        const kind = colDef.filter === 'dateRangeFilter' ? 'date' : 'text';
+        const values =
+          kind === 'date'
+            ? []
+            : colDef.filterParams?.values ||
+              countColumnValues(users, colDef.field)
+                .map(([key]) => key)
+                .filter(key => key !== SET_FILTER_BLANK);
+        return {
+          field: colDef.field,
+          label: colDef.headerName || colDef.field,
+          kind,
+          values: values.slice(0, QUERY_VALUE_SUGGESTIONS),
+        };
+      });
+  },
+
+  openQueryBuilder: function (containerId) {
+    try {
+      if (!this.grids.has(containerId)) {
+        console.error(`Grid not found for container: ${containerId}`);
+        return false;
+      }
+      new QueryBuilderDialog(this, containerId).open();
+      return true;
+    } catch (err) {
+      console.error('Error opening query builder:', err);
+      return false;
+    }
+  },
+
+  getQueryFilter: function (containerId) {
+    const gridState = this.gridStates.get(containerId);
+    return (gridState && gridState.queryFilter) || null;
+  },
+
+  // Check and apply a query builder expression (null or an empty group removes it).
+  // Client-side it is an external filter; server-side grids send it as "query".
+  // Returns false, leaving the current filter, when the expression is invalid
+  applyQueryFilter: function (containerId, expression) {
+    const gridApi = this.grids.get(containerId);
+    const gridState = this.gridStates.get(containerId);
+    if (!gridApi || !gridState) return false;
+
+    let queryFilter = null;
+    if (expression) {
+      try {
+        const labels = new Map(
+          this.getQueryColumns(containerId).map(c => [c.field, c.label])
+        );
+        queryFilter = normaliseQueryExpression(expression, labels);
+      } catch (err) {
+        console.warn('Ignoring invalid query filter:', err.message);
+        return false;
+      }
+      if (queryFilter.conditions.length === 0) queryFilter = null;
+    }
+    const changed =
+      JSON.stringify(queryFilter) !== JSON.stringify(gridState.queryFilter);
+    gridState.queryFilter = queryFilter;
+    if (!changed) return true;
+
+    const source = this.serverSources.get(containerId);
+    if (source) {
+      source.queryFilter = queryFilter;
+    } else {
+      this.setExternalFilter(
+        containerId,
+        'queryBuilder',
+        queryFilter
+          ? {
+              isPresent: () => true,
+              passes: node =>
+                !node.data ||
+                isGroupRow(node.data) ||
+                matchesQueryExpression(node.data, queryFilter),
+            }
+          : null
+      );
+      gridApi.onFilterChanged();
+    }
+    this.notifyQueryFilterChanged(containerId);
+    return true;
+  },
+
+  setQueryFilter: function (containerId, expression) {
+    try {
+      if (!this.applyQueryFilter(containerId, expression)) return false;
+
+      this.reloadServerRows(containerId);
+      this.scheduleGridStateSave(containerId);
+      return true;
+    } catch (err) {
+      console.error('Error setting query filter:', err);
+      return false;
+    }
+  },
+
+  // The applied query as a sentence, e.g. Status is "Active" and Last Active older than 30 days
+  describeQueryFilter: function (containerId) {
+    const queryFilter = this.getQueryFilter(containerId);
+    if (!queryFilter) return null;
+
+    const labels = new Map(
+      this.getQueryColumns(containerId).map(c => [c.field, c.label])
+    );
+    return describeQueryExpression(queryFilter, labels);
+  },
+
+  notifyQueryFilterChanged: function (containerId) {
+    try {
+      const gridApi = this.grids.get(containerId);
+      const dotNetRef = gridApi && gridApi.getGridOption('context')?.dotNetRef;
+      if (dotNetRef) {
+        dotNetRef
+          .invokeMethodAsync(
+            'HandleQueryFilterChanged',
+            this.describeQueryFilter(containerId)
+          )
+          .catch(err =>
+            console.error('Error notifying query filter change:', err)
+          );
+      }
+    } catch (err) {
+      console.error('Error notifying query filter change:', err);
+    }
+  },
+
+  // Re-request the visible rows after the search text or status filter changed
+  reloadServerRows: function (containerId) {
+    const gridApi = this.grids.get(containerId);
+    if (gridApi && this.isServerSide(containerId)) {
+      gridApi.purgeInfiniteCache();
+    }
+  },
+
+  // Drop cached pages and reload from the server (e.g. after the data changed)
+  refreshServerData: function (containerId) {
+    try {
+      const source = this.serverSources.get(containerId);
+      if (!source) {
+        console.error(
+          `Server-side grid not found for container: ${containerId}`
+        );
+        return false;
+      }
+      source.cache.clear();
+      this.reloadServerRows(containerId);
+      return true;
+    } catch (err) {
+      console.error('Error refreshing server data:', err);
+      return false;
+    }
+  },
+
+  // Rows the page changed in a server-side grid (row actions): the mock server
+  // takes the change like the real API already has, then the pages reload
+  updateServerRows: async function (containerId, rows) {
+    try {
+      const source = this.serverSources.get(containerId);
+      if (!source) {
+        console.error(
+          `Server-side grid not found for container: ${containerId}`
+        );
+        return false;
+      }
+      if (source.mockServer) {
+        await source.mockServer.updateUsers(rows);
+      }
+      return this.refreshServerData(containerId);
+    } catch (err) {
+      console.error('Error updating server rows:', err);
+      return false;
+    }
+  },
+
+  // Subscribe to live row changes: options { url, transport: 'websocket' | 'sse' }
+  // (by default ws:// and wss:// URLs use a WebSocket, others Server-Sent Events)
+  startLiveUpdates: function (containerId, options) {
+    try {
+      if (!this.grids.has(containerId) || !options || !options.url) {
+        console.error(
+          `Cannot start live updates for container: ${containerId}`
+        );
+        return false;
+      }
+      this.stopLiveUpdates(containerId);
+
+      const channel = new LiveUpdateChannel(options, {
+        onMessage: message => this.applyLiveUpdate(containerId, message),
+        onStatus: (status, retryInSeconds) =>
+          this.notifyLiveUpdateStatus(containerId, status, retryInSeconds),
+        onReconnect: () => this.resyncLiveUpdates(containerId),
+      });
+      this.liveUpdates.set(containerId, channel);
+      channel.start();
+      return true;
+    } catch (err) {
+      console.error('Error starting live updates:', err);
+      return false;
+    }
+  },
+
+  stopLiveUpdates: function (containerId) {
+    const channel = this.liveUpdates.get(containerId);
+    if (!channel) return false;
+
+    this.liveUpdates.delete(containerId);
+    channel.stop();
+    return true;
+  },
+
+  getLiveUpdateStatus: function (containerId) {
+    const channel = this.liveUpdates.get(containerId);
+    return channel ? channel.status : 'offline';
+  },
+
+  // Apply one live update message (see LIVE_UPDATE_TYPES and createRowTransaction).
+  // Server-side grids reload the rows instead
+  applyLiveUpdate: function (containerId, message) {
+    try {
+      const gridApi = this.grids.get(containerId);
+      if (!gridApi) return false;
+      if (!message || !LIVE_UPDATE_TYPES.includes(message.type)) {
+        console.warn('Ignoring unknown live update:', message);
+        return false;
+      }
+      if (this.isServerSide(containerId)) {
+        return this.refreshServerData(containerId);
+      }
+
+      this.applyRowTransaction(
+        containerId,
+        this.createRowTransaction(containerId, {
+          [message.type]: message.rows,
+        }),
+        true
+      );
+      return true;
+    } catch (err) {
+      console.error('Error applying live update:', err);
+      return false;
+    }
+  },
+
+  // After a reconnect: server-side grids reload their pages, others ask .NET
+  // to reload the data (HandleLiveUpdatesReconnected)
+  resyncLiveUpdates: function (containerId) {
+    try {
+      const gridApi = this.grids.get(containerId);
+      if (!gridApi) return false;
+      if (this.isServerSide(containerId)) {
+        return this.refreshServerData(containerId);
+      }
+
+      const dotNetRef = gridApi.getGridOption('context')?.dotNetRef;
+      if (dotNetRef) {
+        dotNetRef
+          .invokeMethodAsync('HandleLiveUpdatesReconnected')
+          .catch(err => console.error('Error reloading after reconnect:', err));
+      }
+      return true;
+    } catch (err) {
+      console.error('Error resyncing live updates:', err);
+      return false;
+    }
+  },
+
+  notifyLiveUpdateStatus: function (containerId, status, retryInSeconds) {
+    try {
+      const gridApi = this.grids.get(containerId);
+      const dotNetRef = gridApi && gridApi.getGridOption('context')?.dotNetRef;
+      if (dotNetRef) {
+        dotNetRef
+          .invokeMethodAsync(
+            'HandleLiveUpdateStatusChanged',
+            status,
+            retryInSeconds
+          )
+          .catch(err =>
+            console.error('Error notifying live update status:', err)
+          );
+      }
+    } catch (err) {
+      console.error('Error notifying live update status:', err);
+    }
+  },
+
+  // Export the current view (filters, sort, column order/visibility) as csv, json or xml
+  // options: { onlySelected, fileName, columns, arraySeparator, sheetName }
+  exportRows: function (containerId, format, options) {
+    try {
+      const gridApi = this.grids.get(containerId);
+      if (!gridApi) {
+        console.error(`Grid not found for container: ${containerId}`);
+        return false;
+      }
+
+      const exportFormat = EXPORT_FORMATS[(format || 'csv').toLowerCase()];
+      if (!exportFormat) {
+        console.error(`Unsupported export format: ${format}`);
+        return false;
+      }
+
+      const exportOptions = {
+        onlySelected: false,
+        arraySeparator: '; ',
+        sheetName: 'Users',
+        ...options,
+      };
+
+      const columns = this.getExportColumns(gridApi, exportOptions.columns);
+      // Users in collapsed groups are exported too
+      const rows = this.withGroupsExpanded(containerId, () =>
+        this.getExportRows(gridApi, exportOptions.onlySelected)
+      );
+      this.refreshGroups(containerId, false);
+
+      let content;
+      if (exportFormat.extension === 'json') {
+        content = toJson(columns, rows);
+      } else if (exportFormat.extension === 'xml') {
+        content = toSpreadsheetXml(
+          columns,
+          rows,
+          exportOptions.arraySeparator,
+          exportOptions.sheetName
+        );
+      } else {
+        content = toCsv(columns, rows, exportOptions.arraySeparator);
+      }
+
+      downloadFile(
+        content,
+        buildExportFileName(exportOptions.fileName, exportFormat.extension),
+        exportFormat.mimeType
+      );
+
+      console.log(
+        `Exported ${rows.length} rows as ${exportFormat.extension} for container: ${containerId}`
+      );
+      return true;
+    } catch (err) {
+      console.error('Error exporting rows:', err);
+      return false;
+    }
+  },
+
+  // Visible data columns in display order (pinned left, center, pinned right)
+  getExportColumns: function (gridApi, fields) {
+    if (Array.isArray(fields) && fields.length > 0) {
+      return fields.map(field => {
+        const column = gridApi.getColumn(field);
+        const colDef = column ? column.getColDef() : {};
+        return { field, headerName: colDef.headerName || field };
+      });
+    }
+
+    return gridApi
+      .getAllDisplayedColumns()
+      .map(column => column.getColDef())
+      .filter(
+        colDef =>
+          colDef.field &&
+          !NON_EXPORTABLE_RENDERERS.includes(colDef.cellRenderer)
+      )
+      .map(colDef => ({
+        field: colDef.field,
+        headerName: colDef.headerName || colDef.field,
+      }));
+  },
+
+  // Rows after quick filter, column filters and sort - optionally selected rows only
+  getExportRows: function (gridApi, onlySelected) {
+    const rows = [];
+    // Server-side grids export the rows loaded so far, already filtered and sorted
+    const forEachRow =
+      gridApi.getGridOption('rowModelType') === 'infinite'
+        ? gridApi.forEachNode
+        : gridApi.forEachNodeAfterFilterAndSort;
+    forEachRow.call(gridApi, node => {
+      if (
+        node.data &&
+        !isGroupRow(node.data) &&
+        (!onlySelected || node.isSelected())
+      ) {
+        rows.push(node.data);
+      }
+    });
+    return rows;
+  },
+
+  // Open the detail drawer on a row, or switch an open drawer to it
+  openUserDetail: function (containerId, rowId) {
+    try {
+      if (!this.grids.has(containerId)) {
+        console.error(`Grid not found for container: ${containerId}`);
+        return false;
+      }
+
+      let drawer = this.detailDrawers.get(containerId);
+      if (!drawer) {
+        drawer = new UserDetailDrawer(this, containerId);
+        this.detailDrawers.set(containerId, drawer);
+      }
+      if (!drawer.open(String(rowId))) {
+        console.warn(`Row not found for detail drawer: ${rowId}`);
+        drawer.close();
+        return false;
+      }
+      return true;
+    } catch (err) {
+      console.error('Error opening user detail:', err);
+      return false;
+    }
+  },
+
+  closeUserDetail: function (containerId) {
+    const drawer = this.detailDrawers.get(containerId);
+    if (!drawer) return false;
+
+    drawer.close();
+    return true;
+  },
+
+  // Invited-by relationships among the loaded rows, rebuilt after data changes
+  getInvitationIndex: function (containerId) {
+    const gridApi = this.grids.get(containerId);
+    if (!gridApi) return null;
+
+    let index = this.invitationIndexes.get(containerId);
+    if (!index) {
+      const rows = [];
+      gridApi.forEachNode(node => {
+        if (node.data && !isGroupRow(node.data)) rows.push(node.data);
+      });
+      index = new InvitationIndex(rows);
+      this.invitationIndexes.set(containerId, index);
+    }
+    return index;
+  },
+
+  onInvitationsChanged: function (containerId) {
+    const gridApi = this.grids.get(containerId);
+    const gridState = this.gridStates.get(containerId);
+    if (!gridApi) return;
+
+    this.invitationIndexes.delete(containerId);
+    // Collapsed branches are hidden by the external filter, which needs the new links
+    if (gridState && gridState.treeView) {
+      gridApi.onFilterChanged();
+    }
+    gridApi.refreshCells({
+      columns: this.getColumnsWithRenderer(gridApi, 'invitedByCellRenderer'),
+      force: true,
+    });
+  },
+
+  getColumnsWithRenderer: function (gridApi, rendererName) {
+    return (gridApi.getColumns() || []).filter(
+      column => column.getColDef().cellRenderer === rendererName
+    );
+  },
+
+  // The inviter's row, or null when they aren't in the grid (server-side
+  // mode only knows the rows loaded so far)
+  findInviter: function (containerId, row) {
+    const index = this.getInvitationIndex(containerId);
+    return index ? index.getInviter(row) : null;
+  },
+
+  // Go to a user's row - opening collapsed tree branches and switching pages
+  // as needed - then focus and flash it. False when filters hide the row
+  revealUser: function (containerId, rowId) {
+    try {
+      const gridApi = this.grids.get(containerId);
+      const node = gridApi && gridApi.getRowNode(String(rowId));
+      if (!node) return false;
+
+      this.expandInvitationAncestors(containerId, node.id);
+      this.expandGroupsOf(containerId, node);
+      if (!revealRowNode(gridApi, node)) return false;
+
+      const [nameColumn] = this.getColumnsWithRenderer(
+        gridApi,
+        'fullNameCellRenderer'
+      );
+      const focusColumn = nameColumn || gridApi.getAllDisplayedColumns()[0];
+      if (focusColumn) {
+        gridApi.setFocusedCell(node.rowIndex, focusColumn);
+      }
+      gridApi.flashCells({ rowNodes: [node] });
+      return true;
+    } catch (err) {
+      console.error('Error revealing user:', err);
+      return false;
+    }
+  },
+
+  // Open the import dialog (file -> column mapping -> preview -> merge)
+  openImportDialog: function (containerId) {
+    try {
+      if (!this.grids.has(containerId)) {
+        console.error(`Grid not found for container: ${containerId}`);
+        return false;
+      }
+      if (this.isServerSide(containerId)) {
+        console.error(
+          `Import is not available for server-side grid: ${containerId}`
+        );
+        return false;
+      }
+      new ImportDialog(this, containerId).open();
+      return true;
+    } catch (err) {
+      console.error('Error opening import dialog:', err);
+      return false;
+    }
+  },
+
+  // Map a source record onto grid fields using { field: sourceColumn }
+  mapImportRecord: function (record, mapping) {
+    const row = {};
+    IMPORT_FIELDS.forEach(def => {
+      const column = mapping[def.field];
+      if (!column) return;
+
+      const value = record[column];
+      row[def.field] = def.isList
+        ? splitListValue(value)
+        : String(value ?? '').trim();
+    });
+    return row;
+  },
+
+  // Allowed values for an enum column - from the editor config, else the current data
+  getColumnValues: function (gridApi, field) {
+    const column = gridApi.getColumn(field);
+    const editorValues = column && column.getColDef().cellEditorParams?.values;
+    if (Array.isArray(editorValues) && editorValues.length > 0) {
+      return editorValues;
+    }
+
+    const values = new Set();
+    gridApi.forEachNode(node => {
+      if (node.data && node.data[field]) values.add(node.data[field]);
+    });
+    return [...values];
+  },
+
+  // Validate mapped records against the grid - returns { validRows, errors }
+  // Rows whose id matches an existing user update that user, others are added
+  validateImportRows: function (containerId, records, mapping) {
+    const gridApi = this.grids.get(containerId);
+    const validRows = [];
+    const errors = [];
+    if (!gridApi || !Array.isArray(records)) return { validRows, errors };
+
+    const existingById = new Map();
+    const existingByEmail = new Map();
+    gridApi.forEachNode(node => {
+      if (!node.data || isGroupRow(node.data)) return;
+      existingById.set(String(node.data.id), node.data);
+      if (node.data.email) {
+        existingByEmail.set(node.data.email.toLowerCase(), node.data);
+      }
+    });
+
+    const knownValues = {
+      license: this.getColumnValues(gridApi, 'license'),
+      status: this.getColumnValues(gridApi, 'status'),
+    };
+
+    const importIds = mapping.id
+      ? records.map(record => record[mapping.id]).filter(Boolean)
+      : [];
+    const nextId = createIdGenerator([...existingById.keys(), ...importIds]);
+    const seenIds = new Set();
+    const seenEmails = new Set();
+
+    records.forEach((record, index) => {
+      const line = index + 1;
+      const row = this.mapImportRecord(record, mapping);
+      const rowErrors = [];
+      const addError = (field, message) =>
+        rowErrors.push({ line, field, message, record });
+
+      IMPORT_FIELDS.filter(def => def.required).forEach(def => {
+        if (!mapping[def.field]) {
+          addError(def.field, `${def.label} column is not mapped`);
+        } else if (!row[def.field]) {
+          addError(def.field, `${def.label} is required`);
+        }
+      });
+
+      if (row.email && !EMAIL_PATTERN.test(row.email)) {
+        addError('email', `Invalid email "${row.email}"`);
+      }
+
+      // Accept known values case-insensitively and store their canonical form
+      Object.keys(knownValues).forEach(field => {
+        if (!row[field] || knownValues[field].length === 0) return;
+        const match = knownValues[field].find(
+          v => v.toLowerCase() === row[field].toLowerCase()
+        );
+        if (match) {
+          row[field] = match;
+        } else {
+          addError(field, `Unknown ${field} "${row[field]}"`);
+        }
+      });
+
+      if (row.id) {
+        if (seenIds.has(row.id)) {
+          addError('id', `Duplicate id "${row.id}" in file`);
+        }
+        seenIds.add(row.id);
+      }
+
+      const existing = row.id ? existingById.get(row.id) : null;
+      const email = (row.email || '').toLowerCase();
+      if (email) {
+        const owner = existingByEmail.get(email);
+        if (seenEmails.has(email)) {
+          addError('email', `Duplicate email "${row.email}" in file`);
+        } else if (owner && owner !== existing) {
+          addError(
+            'email',
+            `Email "${row.email}" already belongs to ${owner.fullName}`
+          );
+        }
+        seenEmails.add(email);
+      }
+
+      if (rowErrors.length > 0) {
+        errors.push(...rowErrors);
+        return;
+      }
+
+      validRows.push({
+        line,
+        isUpdate: !!existing,
+        row: existing
+          ? {
+              ...existing,
+              // Blank cells don't wipe existing values on update
+              ...Object.fromEntries(
+                Object.entries(row).filter(([, value]) =>
+                  Array.isArray(value) ? value.length > 0 : value !== ''
+                )
+              ),
+            }
+          : {
+              roles: [],
+              invitedBy: '',
+              lastActive: null,
+              avatarUrl: null,
+              ...row,
+              id: row.id || nextId(),
+            },
+      });
+    });
+
+    return { validRows, errors };
+  },
+
+  // Report valid rows to .NET and, once it accepts them, merge them into the grid
+  importRows: async function (containerId, records, mapping) {
+    try {
+      const gridApi = this.grids.get(containerId);
+      if (!gridApi) {
+        console.error(`Grid not found for container: ${containerId}`);
+        return null;
+      }
+
+      if (this.isServerSide(containerId)) {
+        console.error(
+          `Import is not available for server-side grid: ${containerId}`
+        );
+        return null;
+      }
+
+      const { validRows, errors } = this.validateImportRows(
+        containerId,
+        records,
+        mapping
+      );
+      const add = validRows.filter(r => !r.isUpdate).map(r => r.row);
+      const update = validRows.filter(r => r.isUpdate).map(r => r.row);
+
+      // .NET stores the rows first, so a failed import leaves the grid as it
+      // was and can simply be retried
+      const dotNetRef = gridApi.getGridOption('context')?.dotNetRef;
+      if (dotNetRef && validRows.length > 0) {
+        await dotNetRef.invokeMethodAsync(
+          'HandleRowsImported',
+          validRows.map(r => r.row)
+        );
+      }
+      if (!this.grids.has(containerId)) return null;
+
+      this.applyRowTransaction(
+        containerId,
+        this.createRowTransaction(containerId, { add, update }),
+        false
+      );
+
+      const result = {
+        added: add.length,
+        updated: update.length,
+        rejected: new Set(errors.map(e => e.line)).size,
+        errors: errors.map(({ line, field, message }) => ({
+          line,
+          field,
+          message,
+        })),
+      };
+      console.log(`Import finished for container: ${containerId}`, result);
+      return result;
+    } catch (err) {
+      console.error('Error importing rows:', err);
+      return null;
+    }
+  },
+
+  // Download rejected rows with their validation messages as CSV
+  downloadImportErrorReport: function (errors) {
+    try {
+      const sourceColumns = [];
+      (errors || []).forEach(error => {
+        Object.keys(error.record || {}).forEach(key => {
+          if (!sourceColumns.includes(key)) sourceColumns.push(key);
+        });
+      });
+
+      const columns = [
+        { field: 'line', headerName: 'Line' },
+        { field: 'field', headerName: 'Field' },
+        { field: 'message', headerName: 'Error' },
+        ...sourceColumns.map(column => ({
+          field: `source:${column}`,
+          headerName: column,
+        })),
+      ];
+      const rows = (errors || []).map(error => {
+        const row = {
+          line: error.line,
+          field: error.field,
+          message: error.message,
+        };
+        sourceColumns.forEach(column => {
+          row[`source:${column}`] = error.record ? error.record[column] : '';
+        });
+        return row;
+      });
+
+      downloadFile(
+        toCsv(columns, rows, '; '),
+        buildExportFileName('import-errors', 'csv'),
+        EXPORT_FORMATS.csv.mimeType
+      );
+      return true;
+    } catch (err) {
+      console.error('Error downloading import error report:', err);
+      return false;
+    }
+  },
+
+  // Get selected rows
+  getSelectedRows: function (containerId) {
+    try {
+      const gridApi = this.grids.get(containerId);
+      if (gridApi) {
+        return gridApi.getSelectedRows();
+      }
+      return [];
+    } catch (err) {
+      console.error('Error getting selected rows:', err);
+      return [];
+    }
+  },
+
+  // Apply a bulk action to the selected rows: rows the action doesn't apply to
+  // are skipped, the rest go to .NET in one HandleBulkAction call and the rows
+  // it accepts are updated in the grid with a transaction
+  // Returns { action, succeeded, failures: [{ id, name, error }] }, or null if cancelled.
+  // When HandleBulkAction fails, every row sent to it is a failure with its message
+  runBulkAction: async function (containerId, action, value) {
+    try {
+      const gridApi = this.grids.get(containerId);
+      const editState = this.editStates.get(containerId);
+      const applyAction = BULK_ACTIONS[action];
+      if (!gridApi) return null;
+      if (!applyAction) {
+        console.error(`Unknown bulk action: ${action}`);
+        return null;
+      }
+      if (this.isServerSide(containerId)) {
+        console.warn('Bulk actions are not available for server-side rows');
+        return null;
+      }
+      if (BULK_ACTIONS_WITH_VALUE.includes(action) && !value) {
+        console.warn(`Bulk action '${action}' needs a value`);
+        return null;
+      }
+
+      const nodes = gridApi.getSelectedNodes().filter(node => node.data);
+      if (nodes.length === 0) {
+        return { action, succeeded: 0, failures: [] };
+      }
+
+      if (action === 'archive') {
+        const confirmed = await showConfirmDialog({
+          title: 'Archive users',
+          message: `Archive ${nodes.length} selected ${nodes.length === 1 ? 'user' : 'users'}?`,
+          confirmLabel: 'Archive',
+          destructive: true,
+        });
+        if (!confirmed) return null;
+      }
+
+      const failures = [];
+      const updates = new Map();
+      const addFailure = (id, row, error) =>
+        failures.push({ id, name: row.fullName || id, error });
+
+      nodes.forEach(node => {
+        if (editState && editState.dirtyCells.has(node.id)) {
+          addFailure(node.id, node.data, 'Has unsaved edits');
+          return;
+        }
+        try {
+          updates.set(node.id, applyAction(node.data, value));
+        } catch (err) {
+          addFailure(node.id, node.data, err.message);
+        }
+      });
+
+      // Without .NET every applicable row succeeds
+      let results = [...updates.keys()].map(id => ({ id, success: true }));
+      const dotNetRef = gridApi.getGridOption('context')?.dotNetRef;
+      if (dotNetRef && updates.size > 0) {
+        try {
+          results = await dotNetRef.invokeMethodAsync('HandleBulkAction', {
+            action,
+            value: value ?? null,
+            ids: [...updates.keys()],
+            rows: [...updates.values()],
+          });
+        } catch (err) {
+          console.error(`Bulk action '${action}' failed in .NET:`, err);
+          results = [...updates.keys()].map(id => ({
+            id,
+            success: false,
+            error: err.message || String(err),
+          }));
+        }
+      }
+
+      const applied = [];
+      (results || []).forEach(result => {
+        const row = updates.get(result.id);
+        if (!row) return;
+        if (result.success) {
+          applied.push(row);
+        } else {
+          addFailure(result.id, row, result.error || 'Rejected');
+        }
+      });
+
+      if (applied.length > 0) {
+        this.applyRowTransaction(
+          containerId,
+          this.createRowTransaction(containerId, { update: applied }),
+          false
+        );
+      }
+
+      console.log(
+        `Bulk action '${action}': ${applied.length} updated, ${failures.length} failed for container: ${containerId}`
+      );
+      return { action, succeeded: applied.length, failures };
+    } catch (err) {
+      console.error(`Error running bulk action '${action}':`, err);
+      return null;
+    }
+  },
+
+  clearSelection: function (containerId) {
+    try {
+      const gridApi = this.grids.get(containerId);
+      if (!gridApi) return false;
+
+      gridApi.deselectAll();
+      return true;
+    } catch (err) {
+      console.error('Error clearing selection:', err);
+      return false;
+    }
+  },
+
+  // Resize grid to fit container
+  sizeToFit: function (containerId) {
+    try {
+      const gridApi = this.grids.get(containerId);
+      if (gridApi) {
+        gridApi.sizeColumnsToFit();
+        return true;
+      }
+      return false;
+    } catch (err) {
+      console.error('Error sizing columns to fit:', err);
+      return false;
+    }
+  },
+
+  // Destroy grid
+  destroyGrid: function (containerId) {
+    try {
+      const gridApi = this.grids.get(containerId);
+      if (gridApi) {
+        // Clean up event listeners (v33 Community Edition compatible)
+        try {
+          // In AG Grid v33, event listeners are cleaned up automatically by destroy()
+          // Manual removal is not needed and may cause errors
+        } catch (err) {
+          console.warn('Event listener cleanup warning:', err);
+        }
+
+        // Stop live updates before their rows go away
+        this.stopLiveUpdates(containerId);
+
+        // Panels remove their grid listeners, so they go before the grid
+        const statusBar = this.statusBars.get(containerId);
+        if (statusBar) {
+          statusBar.destroy();
+          this.statusBars.delete(containerId);
+        }
+
+        // Destroy the grid using v33 Community Edition API
+        gridApi.destroy();
+        const drawer = this.detailDrawers.get(containerId);
+        if (drawer) {
+          drawer.close();
+        }
+
+        this.grids.delete(containerId);
+        this.editStates.delete(containerId);
+        this.invitationIndexes.delete(containerId);
+        this.reloadChanges.delete(containerId);
+
+        const gridState = this.gridStates.get(containerId);
+        if (gridState) {
+          clearTimeout(gridState.saveTimer);
+          this.gridStates.delete(containerId);
+        }
+
+        // Cancel in-flight page requests
+        const source = this.serverSources.get(containerId);
+        if (source) {
+          source.pending.forEach((viewKey, controller) => controller.abort());
+          this.serverSources.delete(containerId);
+        }
+
+        // Clean up the container
+        const container = document.getElementById(containerId);
+        if (container) {
+          container.innerHTML = '';
+          container.style.display = '';
+          container.style.flexDirection = '';
+        }
+
+        console.log(`Grid destroyed for container: ${containerId}`);
+        return true;
+      }
+      return false;
+    } catch (err) {
+      console.error('Error destroying grid:', err);
+      return false;
+    }
+  },
+
+  // Auto-size all columns using v33 API
+  autoSizeAllColumns: function (containerId) {
+    try {
+      const gridApi = this.grids.get(containerId);
+      if (gridApi) {
+        // In v33, columnApi is deprecated - use gridApi directly
+        const allColumnIds = [];
+        gridApi.getColumns().forEach(column => {
+          allColumnIds.push(column.getId());
+        });
+        gridApi.autoSizeColumns(allColumnIds, false);
+        return true;
+      }
+      return false;
+    } catch (err) {
+      console.error('Error auto-sizing columns:', err);
+      return false;
+    }
+  },
+
+  // Refresh the grid
+  refreshGrid: function (containerId) {
+    try {
+      const gridApi = this.grids.get(containerId);
+      if (gridApi) {
+        gridApi.refreshCells();
+        return true;
+      }
+      return false;
+    } catch (err) {
+      console.error('Error refreshing grid:', err);
+      return false;
+    }
+  },
+
+  // Set Quick Filter text
+  setQuickFilter: function (containerId, filterText) {
+    try {
+      const gridApi = this.grids.get(containerId);
+      if (gridApi) {
+        this.applyQuickFilterText(containerId, filterText);
+        this.reloadServerRows(containerId);
+        this.scheduleGridStateSave(containerId);
+        return true;
+      }
+      return false;
+    } catch (err) {
+      console.error('Error setting quick filter:', err);
+      return false;
+    }
+  },
+
+  // Clear all filters (including column filters and quick filter)
+  clearAllFilters: function (containerId) {
+    try {
+      const gridApi = this.grids.get(containerId);
+      if (gridApi) {
+        const hadColumnFilters =
+          Object.keys(gridApi.getFilterModel() || {}).length > 0;
+
+        // Clear quick filter and query builder
+        this.applyQuickFilterText(containerId, '');
+        this.applyQueryFilter(containerId, null);
+
+        // Clear all column filters using Community Edition compatible method
+        try {
+          gridApi.setFilterModel(null);
+        } catch {
+          // If setFilterModel fails (Enterprise feature), try alternative
+          console.warn(
+            'setFilterModel not available, clearing individual filters'
+          );
+          const columns = gridApi.getColumns();
+          if (columns) {
+            columns.forEach(column => {
+              try {
+                const filter = gridApi.getFilterInstance(column.getId());
+                if (filter && filter.setModel) {
+                  filter.setModel(null);
+                }
+              } catch {
+                // Ignore individual filter errors
+              }
+            });
+          }
+        }
+
+        // Trigger filter update
+        gridApi.onFilterChanged();
+
+        // Clearing column filters already reloads server-side rows
+        if (!hadColumnFilters) {
+          this.reloadServerRows(containerId);
+        }
+
+        return true;
+      }
+      return false;
+    } catch (err) {
+      console.error('Error clearing all filters:', err);
+      return false;
+    }
+  },
+
+  // Get current filter model
+  getFilterModel: function (containerId) {
+    try {
+      const gridApi = this.grids.get(containerId);
+      if (gridApi) {
+        return gridApi.getFilterModel();
+      }
+      return null;
+    } catch (err) {
+      console.error('Error getting filter model:', err);
+      return null;
+    }
+  },
+
+  // Set filter model
+  setFilterModel: function (containerId, filterModel) {
+    try {
+      const gridApi = this.grids.get(containerId);
+      if (gridApi) {
+        gridApi.setFilterModel(filterModel);
+        return true;
+      }
+      return false;
+    } catch (err) {
+      console.error('Error setting filter model:', err);
+      return false;
+    }
+  },
+
+  // Set status filter specifically (shorthand for the status column's set filter)
+  setStatusFilter: function (containerId, statuses) {
+    try {
+      const gridApi = this.grids.get(containerId);
+      if (gridApi) {
+        const filterModel = { ...gridApi.getFilterModel() };
+        if (Array.isArray(statuses) && statuses.length > 0) {
+          filterModel.status = { filterType: 'set', values: [...statuses] };
+        } else {
+          delete filterModel.status;
+        }
+        gridApi.setFilterModel(filterModel);
+        return true;
+      }
+      return false;
+    } catch (err) {
+      console.error('Error setting status filter:', err);
+      return false;
+    }
+  },
+
+  // Get pagination info
+  getPaginationInfo: function (containerId) {
+    try {
+      const gridApi = this.grids.get(containerId);
+      if (gridApi) {
+        return {
+          currentPage: gridApi.paginationGetCurrentPage(),
+          totalPages: gridApi.paginationGetTotalPages(),
+          pageSize: gridApi.paginationGetPageSize(),
+          rowCount: gridApi.paginationGetRowCount(),
         };
+      }
+      return null;
+    } catch (err) {
+      console.error('Error getting pagination info:', err);
+      return null;
+    }
+  },
 
-        gridOptions.onSelectionChanged = event => {
-          try {
-            if (event && event.api) {
-              const selectedRows = event.api.getSelectedRows();
-              dotNetRef.invokeMethodAsync(
-                'HandleSelectionChanged',
-                selectedRows
+  // Set pagination page size
+  setPaginationPageSize: function (containerId, pageSize) {
+    try {
+      const gridApi = this.grids.get(containerId);
+      if (gridApi) {
+        gridApi.setGridOption('paginationPageSize', pageSize);
+        return true;
+      }
+      return false;
+    } catch (err) {
+      console.error('Error setting pagination page size:', err);
+      return false;
+    }
+  },
+
+  // Go to specific page
+  paginationGoToPage: function (containerId, page) {
+    try {
+      const gridApi = this.grids.get(containerId);
+      if (gridApi) {
+        gridApi.paginationGoToPage(page);
+        return true;
+      }
+      return false;
+    } catch (err) {
+      console.error('Error going to page:', err);
+      return false;
+    }
+  },
+
+  // Validate grid state and fix common issues
+  validateGrid: function (containerId) {
+    try {
+      const gridApi = this.grids.get(containerId);
+      const container = document.getElementById(containerId);
+
+      if (!gridApi || !container) {
+        return false;
+      }
+
+      // Check if grid is properly initialized
+      const gridElement = container.querySelector('.ag-root');
+      if (!gridElement) {
+        console.warn(`Grid element not found for container: ${containerId}`);
+        return false;
+      }
+
+      // Ensure proper ARIA attributes
+      if (!gridElement.getAttribute('role')) {
+        gridElement.setAttribute('role', 'grid');
+      }
+
+      // Check header structure
+      const headerElement = container.querySelector('.ag-header');
+      if (headerElement && !headerElement.getAttribute('role')) {
+        headerElement.setAttribute('role', 'rowgroup');
+      }
+
+      // Validate row structure
+      const rows = container.querySelectorAll('.ag-row');
+      rows.forEach((row, index) => {
+        if (!row.getAttribute('role')) {
+          row.setAttribute('role', 'row');
+        }
+        if (!row.getAttribute('aria-rowindex')) {
+          row.setAttribute('aria-rowindex', (index + 1).toString());
+        }
+      });
+
+      return true;
+    } catch (err) {
+      console.error('Error validating grid:', err);
+      return false;
+    }
+  },
+
+  // Refresh filters to ensure they're properly displayed
+  refreshFilters: function (containerId) {
+    try {
+      const gridApi = this.grids.get(containerId);
+      if (gridApi) {
+        // Force refresh of header and floating filters
+        gridApi.refreshHeader();
+
+        // Additional check to ensure floating filter row is visible
+        setTimeout(() => {
+          const container = document.getElementById(containerId);
+          if (container) {
+            const floatingFilterRow = container.querySelector(
+              '.ag-floating-filter'
+            );
+            if (floatingFilterRow) {
+              // Ensure floating filter row is visible
+              floatingFilterRow.style.display = '';
+              console.log('Floating filters refreshed successfully');
+            } else {
+              console.warn(
+                'Floating filter row not found, attempting to trigger refresh'
               );
+              // Try to trigger a column resize to force filter rendering
+              if (gridApi.sizeColumnsToFit) {
+                gridApi.sizeColumnsToFit();
+              }
             }
-          } catch (err) {
-            console.error('Error in selection change handler:', err);
           }
-        };
+        }, 100);
+
+        return true;
+      }
+      return false;
+    } catch (err) {
+      console.error('Error refreshing filters:', err);
+      return false;
+    }
+  },
+
+  // Snapshot columns, sort, filters, quick filter, page, density, tree view and grouping
+  captureGridState: function (containerId) {
+    const gridApi = this.grids.get(containerId);
+    const gridState = this.gridStates.get(containerId);
+    if (!gridApi) return null;
+
+    return {
+      version: GRID_STATE_VERSION,
+      columnState: gridApi.getColumnState(),
+      filterModel: gridApi.getFilterModel(),
+      quickFilterText: this.getQuickFilterText(containerId),
+      queryFilter: this.getQueryFilter(containerId),
+      pageSize: gridApi.paginationGetPageSize(),
+      currentPage: gridApi.paginationGetCurrentPage(),
+      density: gridState ? gridState.density : 'standard',
+      treeView: gridState ? gridState.treeView : false,
+      grouping:
+        gridState && gridState.grouping
+          ? {
+              fields: gridState.grouping.fields,
+              collapsed: [...gridState.grouping.collapsed],
+            }
+          : null,
+    };
+  },
+
+  // Apply a snapshot from captureGridState; missing parts are left unchanged
+  applyGridState: function (containerId, state) {
+    const gridApi = this.grids.get(containerId);
+    const gridState = this.gridStates.get(containerId);
+    if (!gridApi || !state) return false;
+
+    if (GRID_DENSITIES.includes(state.density)) {
+      this.setDensity(containerId, state.density);
+    }
+    if (typeof state.treeView === 'boolean') {
+      this.setTreeView(containerId, state.treeView);
+    }
+    if (state.grouping !== undefined) {
+      this.setGrouping(
+        containerId,
+        state.grouping ? state.grouping.fields : []
+      );
+      const grouping = gridState && gridState.grouping;
+      if (grouping && Array.isArray(state.grouping.collapsed)) {
+        grouping.collapsed = new Set(state.grouping.collapsed);
+        this.refreshGroups(containerId, false);
+      }
+    }
+    if (Array.isArray(state.columnState)) {
+      gridApi.applyColumnState({ state: state.columnState, applyOrder: true });
+    }
+    if (state.filterModel !== undefined) {
+      gridApi.setFilterModel(state.filterModel);
+    }
+    if (typeof state.quickFilterText === 'string') {
+      this.applyQuickFilterText(containerId, state.quickFilterText);
+    }
+    if (state.queryFilter !== undefined) {
+      this.applyQueryFilter(containerId, state.queryFilter);
+    }
+    if (state.pageSize > 0) {
+      gridApi.setGridOption('paginationPageSize', state.pageSize);
+    }
+    if (state.currentPage >= 0) {
+      gridApi.paginationGoToPage(state.currentPage);
+      // Server-side rows aren't loaded yet, so go to the page once they are
+      if (gridState && this.isServerSide(containerId)) {
+        gridState.pendingPage = state.currentPage;
       }
+    }
+    this.reloadServerRows(containerId);
+    return true;
+  },
 
-      // Ensure we have valid row data to prevent ARIA issues
-      if (!gridOptions.rowData || gridOptions.rowData.length === 0) {
-        gridOptions.rowData = [];
+  loadSavedGridState: function (containerId) {
+    try {
+      const json = localStorage.getItem(
+        GRID_STATE_STORAGE_PREFIX + containerId
+      );
+      const state = json ? JSON.parse(json) : null;
+      return state && state.version === GRID_STATE_VERSION ? state : null;
+    } catch (err) {
+      console.warn('Ignoring unreadable saved grid state:', err);
+      return null;
+    }
+  },
+
+  // Restore the saved layout (called from createGrid)
+  restoreGridState: function (containerId) {
+    try {
+      const state = this.loadSavedGridState(containerId);
+      const gridState = this.gridStates.get(containerId);
+      if (!state || !gridState) return false;
+
+      this.applyGridState(containerId, state);
+      gridState.restored = true;
+      console.log(`Grid state restored for container: ${containerId}`);
+      return true;
+    } catch (err) {
+      console.error('Error restoring grid state:', err);
+      return false;
+    }
+  },
+
+  // Parts of the restored state the C# component owns (search box)
+  getSavedGridState: function (containerId) {
+    const gridState = this.gridStates.get(containerId);
+    const state = this.captureGridState(containerId);
+    if (!gridState || !gridState.restored || !state) return null;
+
+    return {
+      quickFilterText: state.quickFilterText,
+      density: state.density,
+      treeView: state.treeView,
+      groupBy: state.grouping ? state.grouping.fields : [],
+    };
+  },
+
+  scheduleGridStateSave: function (containerId) {
+    const gridState = this.gridStates.get(containerId);
+    if (!gridState || gridState.resetting) return;
+
+    clearTimeout(gridState.saveTimer);
+    gridState.saveTimer = setTimeout(() => {
+      this.saveGridState(containerId);
+      if (gridState.syncUrl) {
+        this.syncUrlState(containerId);
       }
+    }, GRID_STATE_SAVE_DELAY);
+  },
 
-      // Set default grid options for v33 Community Edition
-      // Don't override floatingFilter here - let column definitions control it
-      gridOptions.defaultColDef = {
-        resizable: true,
-        sortable: true,
-        filter: true,
-        minWidth: 100,
-        flex: 1,
-        ...gridOptions.defaultColDef,
-      };
+  // Read quick filter, status filter, column filters, sort and page from the URL
+  // Invalid parameters are skipped and reported in the console
+  readUrlState: function (containerId) {
+    const gridApi = this.grids.get(containerId);
+    const params = new URLSearchParams(window.location.search);
+    const state = {};
+    const warn = message =>
+      console.warn(`Ignoring URL parameter for ${containerId}: ${message}`);
 
-      // Configure v33 Theming API with custom styling
-      if (!gridOptions.theme) {
-        gridOptions.theme = {
-          extends: 'themeQuartz',
-          spacing: 4,
-          rowHeight: 42,
-          headerHeight: 48,
-          fontSize: 14,
-          fontFamily: 'inherit',
-          borderRadius: 8,
-          borderColor: '#e5e7eb',
-          headerBackgroundColor: '#f9fafb',
-          rowHoverColor: '#f8fafc',
-          selectedRowBackgroundColor: '#dbeafe',
+    if (!gridApi) return null;
+
+    if (params.has(URL_PARAM_QUICK_FILTER)) {
+      state.quickFilterText = params.get(URL_PARAM_QUICK_FILTER);
+    }
+
+    // status=A,B is shorthand for the status column's set filter
+    if (params.has(URL_PARAM_STATUS)) {
+      const known = this.getColumnValues(gridApi, 'status');
+      const statuses = [];
+      params
+        .get(URL_PARAM_STATUS)
+        .split(',')
+        .filter(Boolean)
+        .forEach(value => {
+          const match = known.find(
+            k => k.toLowerCase() === value.trim().toLowerCase()
+          );
+          if (match) {
+            statuses.push(match);
+          } else {
+            warn(`${URL_PARAM_STATUS}=${value} is not a known status`);
+          }
+        });
+      if (statuses.length > 0) {
+        state.filterModel = {
+          status: { filterType: 'set', values: statuses },
         };
       }
+    }
 
-      // Register custom cell renderers and status panel components for v33 Community Edition
-      if (!gridOptions.components) {
-        gridOptions.components = {};
+    if (params.has(URL_PARAM_SORT)) {
+      state.sort = [];
+      params
+        .get(URL_PARAM_SORT)
+        .split(',')
+        .filter(Boolean)
+        .forEach(part => {
+          const [colId, direction = 'asc'] = part.split(':');
+          const column = gridApi.getColumn(colId);
+          if (!column || column.getColDef().sortable === false) {
+            warn(`${URL_PARAM_SORT}=${part} - no sortable column "${colId}"`);
+          } else if (direction !== 'asc' && direction !== 'desc') {
+            warn(`${URL_PARAM_SORT}=${part} - direction must be asc or desc`);
+          } else {
+            state.sort.push({ colId, sort: direction });
+          }
+        });
+    }
+
+    params.forEach((value, key) => {
+      if (!key.startsWith(URL_PARAM_FILTER_PREFIX)) return;
+
+      const colId = key.slice(URL_PARAM_FILTER_PREFIX.length);
+      const column = gridApi.getColumn(colId);
+      if (!column || column.getColDef().filter === false) {
+        warn(`${key} - no filterable column "${colId}"`);
+        return;
       }
+      try {
+        state.filterModel = state.filterModel || {};
+        state.filterModel[colId] = decodeFilterParam(value);
+      } catch (err) {
+        warn(`${key}=${value} - ${err.message}`);
+      }
+    });
 
-      // Register custom cell renderers
-      gridOptions.components.fullNameCellRenderer = FullNameCellRenderer;
-      gridOptions.components.rolesCellRenderer = RolesCellRenderer;
-      gridOptions.components.licenseCellRenderer = LicenseCellRenderer;
-      gridOptions.components.emailCellRenderer = EmailCellRenderer;
-      gridOptions.components.lastActiveCellRenderer = LastActiveCellRenderer;
-      gridOptions.components.statusCellRenderer = StatusCellRenderer;
-      gridOptions.components.inviteCellRenderer = InviteCellRenderer;
-      gridOptions.components.actionsCellRenderer = ActionsCellRenderer;
+    if (params.has(URL_PARAM_PAGE)) {
+      const page = Number(params.get(URL_PARAM_PAGE));
+      if (Number.isInteger(page) && page >= 1) {
+        state.currentPage = page - 1;
+      } else {
+        warn(
+          `${URL_PARAM_PAGE}=${params.get(URL_PARAM_PAGE)} is not a page number`
+        );
+      }
+    }
 
-      // Register custom status panel
-      gridOptions.components.customRecordCountStatusPanel =
-        CustomRecordCountStatusPanel;
+    return state;
+  },
 
-      // Custom cell renderers handle all formatting, no need for value formatters
+  // Hydrate the grid from the URL (called from createGrid)
+  // When any grid parameter is present the URL describes the whole view
+  applyUrlState: function (containerId) {
+    try {
+      const gridApi = this.grids.get(containerId);
+      const gridState = this.gridStates.get(containerId);
+      const state = this.readUrlState(containerId);
+      if (!gridApi || !gridState || !state || Object.keys(state).length === 0) {
+        return false;
+      }
 
-      // Handle v33 Community Edition selection - keep original values
-      // According to AG Grid v33 Community Edition docs, "single" and "multiple" still work
-      // The new "singleRow" and "multiRow" may not be fully supported in Community Edition
+      gridApi.applyColumnState({
+        state: state.sort || [],
+        defaultState: { sort: null },
+      });
+      gridApi.setFilterModel(state.filterModel || null);
+      this.applyQuickFilterText(containerId, state.quickFilterText);
+
+      const page = state.currentPage || 0;
+      if (this.isServerSide(containerId)) {
+        // Server-side rows aren't loaded yet, so check the page after the first load
+        gridState.pendingPage = page;
+      } else if (page < gridApi.paginationGetTotalPages() || page === 0) {
+        gridApi.paginationGoToPage(page);
+      } else {
+        console.warn(
+          `Ignoring URL parameter for ${containerId}: ${URL_PARAM_PAGE}=${page + 1} is out of range`
+        );
+      }
+
+      gridState.restored = true;
+      console.log(`Grid state loaded from URL for container: ${containerId}`);
+      return true;
+    } catch (err) {
+      console.error('Error applying URL state:', err);
+      return false;
+    }
+  },
+
+  // Write the current grid state to the query string without adding history entries
+  syncUrlState: function (containerId) {
+    try {
+      const state = this.captureGridState(containerId);
+      if (!state) return false;
+
+      const params = new URLSearchParams(window.location.search);
+      [...params.keys()].forEach(key => {
+        if (
+          key === URL_PARAM_QUICK_FILTER ||
+          key === URL_PARAM_STATUS ||
+          key === URL_PARAM_SORT ||
+          key === URL_PARAM_PAGE ||
+          key.startsWith(URL_PARAM_FILTER_PREFIX)
+        ) {
+          params.delete(key);
+        }
+      });
+
+      if (state.quickFilterText) {
+        params.set(URL_PARAM_QUICK_FILTER, state.quickFilterText);
+      }
+      // A plain status selection keeps the short status=A,B form
+      const filterModel = { ...state.filterModel };
+      const statusModel = filterModel.status;
       if (
-        gridOptions.rowSelection === 'single' ||
-        gridOptions.rowSelection === 'multiple'
+        statusModel &&
+        statusModel.filterType === 'set' &&
+        statusModel.values.length > 0 &&
+        !statusModel.values.some(v => v.includes(','))
       ) {
-        console.log(
-          `Using rowSelection: ${gridOptions.rowSelection} (AG Grid v33 Community Edition - deprecated but functional)`
-        );
+        params.set(URL_PARAM_STATUS, statusModel.values.join(','));
+        delete filterModel.status;
       }
 
-      // Improve ARIA support with v33 compatible approach
-      if (!gridOptions.getRowId) {
-        gridOptions.getRowId = function (params) {
-          return params.data?.id || params.node?.id || params.node?.rowIndex;
-        };
+      const sort = state.columnState
+        .filter(c => c.sort)
+        .sort((a, b) => (a.sortIndex ?? 0) - (b.sortIndex ?? 0))
+        .map(c => `${c.colId}:${c.sort}`);
+      if (sort.length > 0) {
+        params.set(URL_PARAM_SORT, sort.join(','));
       }
 
-      // External filtering removed - using client-side data filtering instead for Community Edition compatibility
+      Object.keys(filterModel).forEach(colId => {
+        params.set(
+          URL_PARAM_FILTER_PREFIX + colId,
+          encodeFilterParam(filterModel[colId])
+        );
+      });
 
-      // Remove deprecated v32 options that cause warnings in v33
-      delete gridOptions.suppressMenuHide;
-      delete gridOptions.suppressCellSelection;
-      delete gridOptions.enableRangeSelection;
-      delete gridOptions.animateRows;
-      delete gridOptions.suppressRowClickSelection;
+      if (state.currentPage > 0) {
+        params.set(URL_PARAM_PAGE, String(state.currentPage + 1));
+      }
 
-      // Ensure container is completely clean before creating grid
-      container.innerHTML = '';
+      const query = params.toString();
+      const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+      if (
+        url !==
+        `${window.location.pathname}${window.location.search}${window.location.hash}`
+      ) {
+        // Keep history.state - Blazor's router stores its own data there
+        window.history.replaceState(window.history.state, '', url);
+      }
+      return true;
+    } catch (err) {
+      console.error('Error syncing grid state to URL:', err);
+      return false;
+    }
+  },
 
-      // Create the grid using v33 API - correct method
-      console.log('Creating grid with options:', gridOptions);
-      const gridApi = agGrid.createGrid(container, gridOptions);
+  saveGridState: function (containerId) {
+    try {
+      const state = this.captureGridState(containerId);
+      if (!state) return false;
 
-      if (!gridApi) {
-        console.error('Failed to create AG Grid instance');
-        return false;
-      }
+      localStorage.setItem(
+        GRID_STATE_STORAGE_PREFIX + containerId,
+        JSON.stringify(state)
+      );
+      return true;
+    } catch (err) {
+      console.error('Error saving grid state:', err);
+      return false;
+    }
+  },
 
-      this.grids.set(containerId, gridApi);
+  // Reset to default layout: forget the saved state and restore the initial columns
+  resetGridState: function (containerId) {
+    try {
+      const gridApi = this.grids.get(containerId);
+      const gridState = this.gridStates.get(containerId);
+      if (!gridApi || !gridState) return false;
 
-      // Wait for grid to be ready and validate ARIA structure
-      setTimeout(() => {
-        if (gridApi) {
-          console.log(
-            `AG Grid created successfully for container: ${containerId}`
-          );
+      clearTimeout(gridState.saveTimer);
+      localStorage.removeItem(GRID_STATE_STORAGE_PREFIX + containerId);
+      // Going back to the defaults below would save them again, directly or
+      // through the grid events, which AG Grid sends after this returns
+      gridState.resetting = true;
 
-          // Validate ARIA structure after grid is ready
-          const gridElement = container.querySelector('.ag-root');
-          if (gridElement && !gridElement.getAttribute('role')) {
-            gridElement.setAttribute('role', 'grid');
-          }
+      this.setDensity(containerId, 'standard');
+      this.setTreeView(containerId, false);
+      this.setGrouping(containerId, []);
+      gridApi.applyColumnState({
+        state: gridState.defaultColumnState,
+        applyOrder: true,
+      });
+      gridApi.setFilterModel(null);
+      this.applyQuickFilterText(containerId, '');
+      this.applyQueryFilter(containerId, null);
+      gridApi.setGridOption('paginationPageSize', gridState.defaultPageSize);
+      gridApi.paginationGoToFirstPage();
 
-          // Ensure header has proper ARIA attributes
-          const headerElement = container.querySelector('.ag-header');
-          if (headerElement && !headerElement.getAttribute('role')) {
-            headerElement.setAttribute('role', 'rowgroup');
-          }
+      gridState.pendingPage = null;
+      gridState.restored = false;
+      this.reloadServerRows(containerId);
+
+      setTimeout(() => {
+        gridState.resetting = false;
+        // Drop the old layout from a synced URL too, without saving it
+        if (gridState.syncUrl && this.grids.has(containerId)) {
+          this.syncUrlState(containerId);
         }
-      }, 100);
+      }, GRID_STATE_SAVE_DELAY);
 
+      console.log(`Grid layout reset for container: ${containerId}`);
       return true;
     } catch (err) {
-      console.error('Error creating AG Grid:', err);
+      console.error('Error resetting grid state:', err);
       return false;
     }
   },
 
-  // Update grid data
-  setRowData: function (containerId, rowData) {
+  // Switch row density: in 'detailed' the roles column renders every role as
+  // wrapping chips and rows grow to fit them
+  setDensity: function (containerId, density) {
     try {
       const gridApi = this.grids.get(containerId);
-      if (gridApi) {
-        // Ensure rowData is valid array
-        const validRowData = Array.isArray(rowData) ? rowData : [];
-        gridApi.setGridOption('rowData', validRowData);
-
-        // Refresh the grid to ensure proper rendering
-        setTimeout(() => {
-          if (gridApi) {
-            gridApi.refreshCells();
-          }
-        }, 50);
+      const gridState = this.gridStates.get(containerId);
+      if (!gridApi || !gridState) return false;
+      if (!GRID_DENSITIES.includes(density)) {
+        console.warn(`Unknown grid density "${density}"`);
+        return false;
+      }
+      if (gridState.density === density) return true;
 
-        return true;
+      const detailed = density === 'detailed';
+      // getColumnDefs carries the current widths, order, sort and filters over
+      const columnDefs = gridApi.getColumnDefs().map(colDef =>
+        colDef.cellRenderer === 'rolesCellRenderer'
+          ? {
+              ...colDef,
+              cellRendererParams: {
+                ...colDef.cellRendererParams,
+                display: detailed ? 'chips' : 'summary',
+              },
+              autoHeight: detailed,
+              wrapText: detailed,
+            }
+          : colDef
+      );
+      gridApi.setGridOption('columnDefs', columnDefs);
+      // Auto heights manage themselves; going back needs the fixed height again
+      if (!detailed) {
+        gridApi.resetRowHeights();
       }
-      console.error(`Grid not found for container: ${containerId}`);
-      return false;
+
+      gridState.density = density;
+      this.scheduleGridStateSave(containerId);
+      return true;
     } catch (err) {
-      console.error('Error setting row data:', err);
+      console.error('Error setting grid density:', err);
       return false;
     }
   },
 
-  // Get selected rows
-  getSelectedRows: function (containerId) {
+  // Tree view: order rows so invitees follow their inviter, indented under them
+  // in the name column with subtree counts. Needs every row, so it isn't
+  // available with server-side data
+  setTreeView: function (containerId, enabled) {
     try {
       const gridApi = this.grids.get(containerId);
-      if (gridApi) {
-        return gridApi.getSelectedRows();
+      const gridState = this.gridStates.get(containerId);
+      if (!gridApi || !gridState) return false;
+      if (enabled && this.isServerSide(containerId)) {
+        console.warn(
+          `Grid ${containerId} loads its rows from the server; tree view needs every row`
+        );
+        return false;
       }
-      return [];
+      if (gridState.treeView === enabled) return true;
+      // Grouping orders the rows too, so only one of them can be on
+      if (enabled) {
+        this.setGrouping(containerId, []);
+      }
+
+      gridState.treeView = enabled;
+      const hadCollapsed = gridState.treeCollapsed.size > 0;
+      gridState.treeCollapsed.clear();
+      gridState.treeDepths = new Map();
+
+      if (enabled) {
+        gridApi.setGridOption('postSortRows', params => {
+          // Runs before rowDataUpdated, so build the index from the current rows
+          this.invitationIndexes.delete(containerId);
+          gridState.treeDepths = sortNodesAsTree(
+            params.nodes,
+            this.getInvitationIndex(containerId)
+          );
+        });
+        this.setExternalFilter(containerId, 'tree', {
+          isPresent: () =>
+            gridState.treeCollapsed.size > 0 && !gridState.treeMeasuring,
+          passes: node => this.isInvitationBranchOpen(containerId, node.id),
+        });
+        // Depths and counts change with sorting, filtering and data updates
+        gridState.treeRefreshHandler = () =>
+          this.refreshTreeColumn(containerId);
+        gridApi.addEventListener('modelUpdated', gridState.treeRefreshHandler);
+        // Keep the summaries counting the users in collapsed branches
+        gridState.treeMeasureHandler = event => {
+          if (
+            event.source !== TREE_REFRESH_SOURCE &&
+            gridState.treeCollapsed.size > 0
+          ) {
+            this.refreshInvitationTree(containerId);
+          }
+        };
+        TREE_MEASURE_EVENTS.forEach(eventType =>
+          gridApi.addEventListener(eventType, gridState.treeMeasureHandler)
+        );
+      } else {
+        gridApi.setGridOption('postSortRows', undefined);
+        this.setExternalFilter(containerId, 'tree', null);
+        gridApi.removeEventListener(
+          'modelUpdated',
+          gridState.treeRefreshHandler
+        );
+        TREE_MEASURE_EVENTS.forEach(eventType =>
+          gridApi.removeEventListener(eventType, gridState.treeMeasureHandler)
+        );
+        gridState.treeRefreshHandler = null;
+        gridState.treeMeasureHandler = null;
+      }
+      // Show the rows of branches that were collapsed
+      if (hadCollapsed) {
+        gridApi.onFilterChanged(TREE_REFRESH_SOURCE);
+      }
+      this.refreshTreeColumn(containerId);
+
+      this.scheduleGridStateSave(containerId);
+      return true;
     } catch (err) {
-      console.error('Error getting selected rows:', err);
-      return [];
+      console.error('Error setting tree view:', err);
+      return false;
     }
   },
 
-  // Resize grid to fit container
-  sizeToFit: function (containerId) {
+  // Redraw the name column, which shows the tree indent and counts
+  refreshTreeColumn: function (containerId) {
+    const gridApi = this.grids.get(containerId);
+    if (!gridApi) return;
+
+    gridApi.refreshCells({
+      columns: this.getColumnsWithRenderer(gridApi, 'fullNameCellRenderer'),
+      force: true,
+    });
+  },
+
+  // Indent and subtree counts for the name column, null outside tree view
+  getTreeRowInfo: function (containerId, rowId) {
+    const gridState = this.gridStates.get(containerId);
+    if (!gridState || !gridState.treeView) return null;
+
+    const index = this.getInvitationIndex(containerId);
+    const id = String(rowId);
+    return {
+      depth: gridState.treeDepths.get(id) ?? index.getDepth(id),
+      childCount: index.getChildCount(id),
+      descendantCount: index.getDescendantCount(id),
+      expanded: !gridState.treeCollapsed.has(id),
+    };
+  },
+
+  // False when one of the row's inviters is collapsed
+  isInvitationBranchOpen: function (containerId, rowId) {
+    const gridState = this.gridStates.get(containerId);
+    const index = this.getInvitationIndex(containerId);
+    if (!gridState || !index) return true;
+
+    for (let id = index.getParentId(rowId); id; id = index.getParentId(id)) {
+      if (gridState.treeCollapsed.has(id)) return false;
+    }
+    return true;
+  },
+
+  toggleInvitationBranch: function (containerId, rowId, expanded) {
+    const gridApi = this.grids.get(containerId);
+    const gridState = this.gridStates.get(containerId);
+    if (!gridApi || !gridState || !gridState.treeView) return false;
+
+    const id = String(rowId);
+    const expand = expanded ?? gridState.treeCollapsed.has(id);
+    if (expand) {
+      gridState.treeCollapsed.delete(id);
+    } else {
+      gridState.treeCollapsed.add(id);
+    }
+    this.refreshInvitationTree(containerId);
+    return true;
+  },
+
+  // Expand or collapse every branch of the tree view
+  setInvitationTreeExpanded: function (containerId, expanded) {
+    const gridApi = this.grids.get(containerId);
+    const gridState = this.gridStates.get(containerId);
+    if (!gridApi || !gridState || !gridState.treeView) return false;
+
+    gridState.treeCollapsed = new Set(
+      expanded ? [] : this.getInvitationIndex(containerId).getIdsWithChildren()
+    );
+    this.refreshInvitationTree(containerId);
+    return true;
+  },
+
+  expandInvitationAncestors: function (containerId, rowId) {
+    const gridApi = this.grids.get(containerId);
+    const gridState = this.gridStates.get(containerId);
+    if (!gridApi || !gridState || gridState.treeCollapsed.size === 0) return;
+
+    const index = this.getInvitationIndex(containerId);
+    let changed = false;
+    for (let id = index.getParentId(rowId); id; id = index.getParentId(id)) {
+      changed = gridState.treeCollapsed.delete(id) || changed;
+    }
+    if (changed) {
+      this.refreshInvitationTree(containerId);
+    }
+  },
+
+  // Re-run the filters after branches were expanded or collapsed, counting the
+  // users in collapsed branches first
+  refreshInvitationTree: function (containerId) {
+    const gridApi = this.grids.get(containerId);
+    const gridState = this.gridStates.get(containerId);
+    if (!gridApi || !gridState) return;
+
+    if (gridState.treeCollapsed.size > 0) {
+      this.measureFilteredUsers(containerId);
+    }
+    gridApi.onFilterChanged(TREE_REFRESH_SOURCE);
+  },
+
+  // Group rows by up to two fields (e.g. ['status', 'license']); an empty list
+  // turns grouping off. Like the tree view it needs every row, so it isn't
+  // available with server-side data
+  setGrouping: function (containerId, fields) {
     try {
       const gridApi = this.grids.get(containerId);
-      if (gridApi) {
-        gridApi.sizeColumnsToFit();
+      const gridState = this.gridStates.get(containerId);
+      if (!gridApi || !gridState) return false;
+
+      const groupFields = [...new Set(fields || [])].filter(Boolean);
+      if (groupFields.length > MAX_GROUP_LEVELS) {
+        console.warn(
+          `Rows can be grouped by at most ${MAX_GROUP_LEVELS} fields`
+        );
+        return false;
+      }
+      if (groupFields.length > 0 && this.isServerSide(containerId)) {
+        console.warn(
+          `Grid ${containerId} loads its rows from the server; grouping needs every row`
+        );
+        return false;
+      }
+
+      const current = gridState.grouping;
+      if ((current ? current.fields.join() : '') === groupFields.join()) {
         return true;
       }
-      return false;
+
+      if (current) {
+        current.listeners.forEach(([eventType, listener]) =>
+          gridApi.removeEventListener(eventType, listener)
+        );
+      }
+
+      if (groupFields.length === 0) {
+        gridState.grouping = null;
+        ['postSortRows', 'alwaysPassFilter'].forEach(option =>
+          gridApi.setGridOption(option, undefined)
+        );
+        this.setExternalFilter(containerId, 'grouping', null);
+        this.syncGroupRows(containerId);
+        this.scheduleGridStateSave(containerId);
+        return true;
+      }
+
+      // Tree view orders the rows too, so only one of them can be on
+      this.setTreeView(containerId, false);
+
+      const grouping = {
+        fields: groupFields,
+        // Kept across data refreshes; group ids are built from the group keys
+        collapsed: new Set(),
+        groups: new Map(),
+        totals: new Map(),
+        shown: new Map(),
+        measuring: false,
+        listeners: [],
+      };
+      gridState.grouping = grouping;
+
+      gridApi.setGridOption('postSortRows', params =>
+        sortNodesIntoGroups(params.nodes, grouping.fields)
+      );
+      // While counting, every user passes so collapsed groups are counted too
+      this.setExternalFilter(containerId, 'grouping', {
+        isPresent: () => !grouping.measuring,
+        passes: node =>
+          !isGroupRow(node.data) && this.isGroupBranchOpen(containerId, node),
+      });
+      // Headers skip the column filters; they show while their group is open
+      // and has users that pass them
+      gridApi.setGridOption(
+        'alwaysPassFilter',
+        node =>
+          isGroupRow(node.data) &&
+          (grouping.measuring ||
+            ((grouping.shown.get(node.id) || 0) > 0 &&
+              this.isGroupBranchOpen(containerId, node)))
+      );
+
+      // Grid events reach these listeners asynchronously, after the grid has
+      // already filtered with the old counts
+      const onDataChanged = () => {
+        // Adding or removing headers raises rowDataUpdated again, which counts
+        if (this.syncGroupRows(containerId)) return;
+        this.refreshGroups(containerId, true);
+      };
+      const onFilterChanged = event => {
+        if (event.source !== GROUP_REFRESH_SOURCE) {
+          this.refreshGroups(containerId, true);
+        }
+      };
+      grouping.listeners = [
+        ['rowDataUpdated', onDataChanged],
+        ['cellValueChanged', onDataChanged],
+        ['filterChanged', onFilterChanged],
+      ];
+      grouping.listeners.forEach(([eventType, listener]) =>
+        gridApi.addEventListener(eventType, listener)
+      );
+
+      onDataChanged();
+      this.scheduleGridStateSave(containerId);
+      return true;
     } catch (err) {
-      console.error('Error sizing columns to fit:', err);
+      console.error('Error setting grouping:', err);
       return false;
     }
   },
 
-  // Destroy grid
-  destroyGrid: function (containerId) {
+  // Add header rows for new groups and remove those of groups that emptied;
+  // true when rows were added or removed
+  syncGroupRows: function (containerId) {
+    const gridApi = this.grids.get(containerId);
+    const gridState = this.gridStates.get(containerId);
+    if (!gridApi || !gridState) return false;
+
+    const grouping = gridState.grouping;
+    const users = [];
+    const existing = new Map();
+    gridApi.forEachNode(node => {
+      if (isGroupRow(node.data)) {
+        existing.set(node.id, node.data);
+      } else if (node.data) {
+        users.push(node.data);
+      }
+    });
+
+    const groups = grouping
+      ? createGroupRows(users, grouping.fields)
+      : new Map();
+    const add = [...groups.values()].filter(group => !existing.has(group.id));
+    const remove = [...existing.values()].filter(
+      group => !groups.has(group.id)
+    );
+
+    if (grouping) {
+      grouping.groups = groups;
+      grouping.totals = this.countGroupUsers(grouping, users);
+    }
+    if (add.length === 0 && remove.length === 0) return false;
+
+    gridApi.applyTransaction({ add, remove });
+    return true;
+  },
+
+  // Users per group id, counting each user in its group and the parent group
+  countGroupUsers: function (grouping, users) {
+    const counts = new Map();
+    users.forEach(row => {
+      let id = getGroupId(row, grouping.fields, grouping.fields.length - 1);
+      while (id) {
+        counts.set(id, (counts.get(id) || 0) + 1);
+        const group = grouping.groups.get(id);
+        id = group ? group[GROUP_ROW_KEY].parentId : null;
+      }
+    });
+    return counts;
+  },
+
+  // Re-run the filters with the current groups. With measure, first count the
+  // users that pass the column and quick filters in each group (collapsed or not)
+  refreshGroups: function (containerId, measure) {
+    const gridApi = this.grids.get(containerId);
+    const gridState = this.gridStates.get(containerId);
+    const grouping = gridState && gridState.grouping;
+    if (!gridApi || !grouping) return;
+
+    if (measure) {
+      grouping.shown = this.countGroupUsers(
+        grouping,
+        this.measureFilteredUsers(containerId)
+      );
+    }
+    gridApi.onFilterChanged(GROUP_REFRESH_SOURCE);
+
+    // Full-width headers don't take part in refreshCells
+    const headers = [];
+    gridApi.forEachNode(node => {
+      if (isGroupRow(node.data)) headers.push(node);
+    });
+    gridApi.redrawRows({ rowNodes: headers });
+  },
+
+  // Run callback with the users of collapsed groups filtered in, e.g. to count
+  // or export them; the caller re-runs the filters afterwards
+  withGroupsExpanded: function (containerId, callback) {
+    const gridApi = this.grids.get(containerId);
+    const gridState = this.gridStates.get(containerId);
+    const grouping = gridState && gridState.grouping;
+    if (!grouping || grouping.collapsed.size === 0) return callback();
+
+    grouping.measuring = true;
     try {
-      const gridApi = this.grids.get(containerId);
-      if (gridApi) {
-        // Clean up event listeners (v33 Community Edition compatible)
-        try {
-          // In AG Grid v33, event listeners are cleaned up automatically by destroy()
-          // Manual removal is not needed and may cause errors
-        } catch (err) {
-          console.warn('Event listener cleanup warning:', err);
-        }
+      gridApi.onFilterChanged(GROUP_REFRESH_SOURCE);
+      return callback();
+    } finally {
+      grouping.measuring = false;
+    }
+  },
 
-        // Destroy the grid using v33 Community Edition API
-        gridApi.destroy();
-        this.grids.delete(containerId);
+  // False when the row's group or one of its parent groups is collapsed
+  isGroupBranchOpen: function (containerId, node) {
+    const gridState = this.gridStates.get(containerId);
+    const grouping = gridState && gridState.grouping;
+    if (!grouping || !node.data) return true;
 
-        // Clean up the container and event listeners
-        const container = document.getElementById(containerId);
-        if (container) {
-          // Remove click handler if it exists
-          if (container.clickHandler) {
-            document.removeEventListener('click', container.clickHandler);
-            delete container.clickHandler;
-          }
-          // Clean up dotNetRef
-          if (container.dotNetRef) {
-            delete container.dotNetRef;
-          }
-          container.innerHTML = '';
-        }
+    let id = isGroupRow(node.data)
+      ? node.data[GROUP_ROW_KEY].parentId
+      : getGroupId(node.data, grouping.fields, grouping.fields.length - 1);
+    while (id) {
+      if (grouping.collapsed.has(id)) return false;
+      const group = grouping.groups.get(id);
+      id = group ? group[GROUP_ROW_KEY].parentId : null;
+    }
+    return true;
+  },
 
-        console.log(`Grid destroyed for container: ${containerId}`);
-        return true;
+  // Toggle and counts for a group header, null when grouping is off
+  getGroupRowInfo: function (containerId, groupId) {
+    const gridState = this.gridStates.get(containerId);
+    const grouping = gridState && gridState.grouping;
+    if (!grouping) return null;
+
+    return {
+      expanded: !grouping.collapsed.has(groupId),
+      shown: grouping.shown.get(groupId) || 0,
+      total: grouping.totals.get(groupId) || 0,
+    };
+  },
+
+  toggleGroup: function (containerId, groupId, expanded) {
+    const gridState = this.gridStates.get(containerId);
+    const grouping = gridState && gridState.grouping;
+    if (!grouping) return false;
+
+    const expand = expanded ?? grouping.collapsed.has(groupId);
+    if (expand) {
+      grouping.collapsed.delete(groupId);
+    } else {
+      grouping.collapsed.add(groupId);
+    }
+    this.refreshGroups(containerId, false);
+    this.scheduleGridStateSave(containerId);
+    return true;
+  },
+
+  // Expand or collapse every group
+  setGroupsExpanded: function (containerId, expanded) {
+    const gridState = this.gridStates.get(containerId);
+    const grouping = gridState && gridState.grouping;
+    if (!grouping) return false;
+
+    grouping.collapsed = new Set(expanded ? [] : grouping.groups.keys());
+    this.refreshGroups(containerId, false);
+    this.scheduleGridStateSave(containerId);
+    return true;
+  },
+
+  // Open the groups a user is in
+  expandGroupsOf: function (containerId, node) {
+    const gridState = this.gridStates.get(containerId);
+    const grouping = gridState && gridState.grouping;
+    if (!grouping || !node.data || isGroupRow(node.data)) return;
+
+    let changed = false;
+    let id = getGroupId(node.data, grouping.fields, grouping.fields.length - 1);
+    while (id) {
+      changed = grouping.collapsed.delete(id) || changed;
+      const group = grouping.groups.get(id);
+      id = group ? group[GROUP_ROW_KEY].parentId : null;
+    }
+    if (changed) {
+      this.refreshGroups(containerId, false);
+    }
+  },
+
+  // Users that pass the column and quick filters, for the summary panels and row.
+  // Users hidden in collapsed groups or tree branches are included; while any
+  // are collapsed this is the list from the last measureFilteredUsers
+  getFilteredUsers: function (containerId) {
+    const gridApi = this.grids.get(containerId);
+    const gridState = this.gridStates.get(containerId);
+    if (!gridApi || !gridState) return [];
+
+    const grouping = gridState.grouping;
+    const collapsed =
+      gridState.treeCollapsed.size > 0 ||
+      Boolean(grouping && grouping.collapsed.size > 0);
+    if (collapsed && gridState.filteredUsers) return gridState.filteredUsers;
+
+    const users = [];
+    gridApi.forEachNodeAfterFilter(node => {
+      if (node.data && !isGroupRow(node.data)) users.push(node.data);
+    });
+    return users;
+  },
+
+  // Run the filters with collapsed groups and branches shown and keep the users
+  // that pass for getFilteredUsers. Called when the filters or data change, not
+  // from the summaries, which update after the filters run; the caller re-runs
+  // the filters afterwards
+  measureFilteredUsers: function (containerId) {
+    const gridApi = this.grids.get(containerId);
+    const gridState = this.gridStates.get(containerId);
+    if (!gridApi || !gridState) return [];
+
+    gridState.filteredUsers = null;
+    let users;
+    if (gridState.treeCollapsed.size > 0) {
+      gridState.treeMeasuring = true;
+      try {
+        gridApi.onFilterChanged(TREE_REFRESH_SOURCE);
+        users = this.getFilteredUsers(containerId);
+      } finally {
+        gridState.treeMeasuring = false;
       }
-      return false;
+    } else {
+      users = this.withGroupsExpanded(containerId, () =>
+        this.getFilteredUsers(containerId)
+      );
+    }
+    gridState.filteredUsers = users;
+    return users;
+  },
+
+  // Filter model that shows only the users with a value (a set filter key) in
+  // a column; null when the column can't be filtered
+  createValueFilterModel: function (containerId, field, key) {
+    const gridApi = this.grids.get(containerId);
+    const colDef = gridApi && gridApi.getColumnDef(field);
+    if (!colDef || !colDef.filter) return null;
+
+    if (colDef.filter === 'setColumnFilter') {
+      return { filterType: 'set', values: [key] };
+    }
+    return key === SET_FILTER_BLANK
+      ? { filterType: 'text', type: 'blank' }
+      : { filterType: 'text', type: 'equals', filter: key };
+  },
+
+  isColumnFilterApplied: function (containerId, field, filterModel) {
+    const gridApi = this.grids.get(containerId);
+    const current = gridApi && gridApi.getFilterModel()[field];
+    if (!current || !filterModel) return false;
+
+    const keys = Object.keys(filterModel).sort();
+    return (
+      JSON.stringify(current, Object.keys(current).sort()) ===
+      JSON.stringify(filterModel, keys)
+    );
+  },
+
+  // Apply a column filter from a summary, or remove it when it's already applied
+  toggleColumnFilter: function (containerId, field, filterModel) {
+    try {
+      const gridApi = this.grids.get(containerId);
+      if (!gridApi || !filterModel) return false;
+
+      const model = { ...gridApi.getFilterModel() };
+      if (this.isColumnFilterApplied(containerId, field, filterModel)) {
+        delete model[field];
+      } else {
+        model[field] = filterModel;
+      }
+      gridApi.setFilterModel(model);
+      return true;
     } catch (err) {
-      console.error('Error destroying grid:', err);
+      console.error('Error toggling column filter:', err);
       return false;
     }
   },
 
-  // Auto-size all columns using v33 API
-  autoSizeAllColumns: function (containerId) {
+  // Show or hide the pinned summary row configured with the summaryRow option
+  setSummaryRow: function (containerId, enabled) {
     try {
       const gridApi = this.grids.get(containerId);
-      if (gridApi) {
-        // In v33, columnApi is deprecated - use gridApi directly
-        const allColumnIds = [];
-        gridApi.getColumns().forEach(column => {
-          allColumnIds.push(column.getId());
-        });
-        gridApi.autoSizeColumns(allColumnIds, false);
-        return true;
+      const gridState = this.gridStates.get(containerId);
+      const summaryRow = gridState && gridState.summaryRow;
+      if (!gridApi || !summaryRow) return false;
+      if (summaryRow.enabled === enabled) return true;
+
+      summaryRow.enabled = enabled;
+      if (enabled) {
+        summaryRow.handler = () => this.refreshSummaryRow(containerId);
+        SUMMARY_PANEL_EVENTS.forEach(eventType =>
+          gridApi.addEventListener(eventType, summaryRow.handler)
+        );
+        this.refreshSummaryRow(containerId);
+      } else {
+        SUMMARY_PANEL_EVENTS.forEach(eventType =>
+          gridApi.removeEventListener(eventType, summaryRow.handler)
+        );
+        summaryRow.handler = null;
+        summaryRow.json = '';
+        gridApi.setGridOption('pinnedBottomRowData', []);
       }
-      return false;
+      return true;
     } catch (err) {
-      console.error('Error auto-sizing columns:', err);
+      console.error('Error setting summary row:', err);
       return false;
     }
   },
 
-  // Refresh the grid
-  refreshGrid: function (containerId) {
-    try {
-      const gridApi = this.grids.get(containerId);
-      if (gridApi) {
-        gridApi.refreshCells();
-        return true;
+  refreshSummaryRow: function (containerId) {
+    const gridApi = this.grids.get(containerId);
+    const gridState = this.gridStates.get(containerId);
+    const summaryRow = gridState && gridState.summaryRow;
+    if (!gridApi || !summaryRow || !summaryRow.enabled) return;
+
+    const users = this.getFilteredUsers(containerId);
+    const summaries = {};
+    Object.keys(summaryRow.columns).forEach(field => {
+      const config = summaryRow.columns[field];
+      const options = typeof config === 'string' ? { type: config } : config;
+      const summarize = COLUMN_SUMMARIES[options && options.type];
+      if (!summarize) {
+        console.warn(
+          `Unknown summary "${options && options.type}" for ${field}`
+        );
+        return;
       }
-      return false;
+      const summary = summarize(
+        users,
+        field,
+        key => this.createValueFilterModel(containerId, field, key),
+        options
+      );
+      summary.applied = this.isColumnFilterApplied(
+        containerId,
+        field,
+        summary.filter
+      );
+      summaries[field] = summary;
+    });
+
+    // Only replace the row when a summary changed
+    const json = JSON.stringify(summaries);
+    if (json === summaryRow.json) return;
+    summaryRow.json = json;
+    gridApi.setGridOption('pinnedBottomRowData', [
+      { id: SUMMARY_ROW_ID, [SUMMARY_ROW_KEY]: summaries },
+    ]);
+    // The row keeps its id and the cells have no value of their own, so AG Grid
+    // doesn't see a change to redraw
+    gridApi.refreshCells({
+      rowNodes: [gridApi.getPinnedBottomRow(0)],
+      force: true,
+    });
+  },
+
+  // Named views - snapshots of columns, sort, filters and search under a name
+  loadViews: function (containerId) {
+    try {
+      const json = localStorage.getItem(
+        GRID_VIEWS_STORAGE_PREFIX + containerId
+      );
+      const views = json ? JSON.parse(json) : [];
+      return Array.isArray(views) ? views : [];
     } catch (err) {
-      console.error('Error refreshing grid:', err);
-      return false;
+      console.warn('Ignoring unreadable saved views:', err);
+      return [];
     }
   },
 
-  // Set Quick Filter text
-  setQuickFilter: function (containerId, filterText) {
+  storeViews: function (containerId, views) {
+    localStorage.setItem(
+      GRID_VIEWS_STORAGE_PREFIX + containerId,
+      JSON.stringify(views)
+    );
+  },
+
+  // View state leaves out the page so switching views starts at the top
+  captureViewState: function (containerId) {
+    const state = this.captureGridState(containerId);
+    if (!state) return null;
+
+    return {
+      columnState: state.columnState,
+      filterModel: state.filterModel,
+      quickFilterText: state.quickFilterText,
+      queryFilter: state.queryFilter,
+    };
+  },
+
+  // List views as { id, name, updatedAt, isActive }
+  listViews: function (containerId) {
+    const gridState = this.gridStates.get(containerId);
+    const activeViewId = gridState ? gridState.activeViewId : null;
+    return this.loadViews(containerId).map(view => ({
+      id: view.id,
+      name: view.name,
+      updatedAt: view.updatedAt,
+      isActive: view.id === activeViewId,
+    }));
+  },
+
+  // Save the current grid state under a name (an existing view with that name is overwritten)
+  saveView: function (containerId, name) {
     try {
-      const gridApi = this.grids.get(containerId);
-      if (gridApi) {
-        gridApi.setGridOption('quickFilterText', filterText || '');
-        return true;
+      const viewName = String(name || '').trim();
+      const state = this.captureViewState(containerId);
+      if (!viewName || !state) return null;
+
+      const views = this.loadViews(containerId);
+      const now = new Date().toISOString();
+      let view = views.find(
+        v => v.name.toLowerCase() === viewName.toLowerCase()
+      );
+
+      if (view) {
+        view.state = state;
+        view.updatedAt = now;
+      } else {
+        view = {
+          id: createViewId(),
+          name: viewName,
+          createdAt: now,
+          updatedAt: now,
+          state,
+        };
+        views.push(view);
       }
-      return false;
+
+      this.storeViews(containerId, views);
+      this.setActiveView(containerId, view.id);
+      return { id: view.id, name: view.name };
     } catch (err) {
-      console.error('Error setting quick filter:', err);
-      return false;
+      console.error('Error saving view:', err);
+      return null;
     }
   },
 
-  // Clear all filters (including column filters and quick filter)
-  clearAllFilters: function (containerId) {
+  renameView: function (containerId, viewId, name) {
     try {
-      const gridApi = this.grids.get(containerId);
-      if (gridApi) {
-        // Clear quick filter
-        gridApi.setGridOption('quickFilterText', '');
-
-        // Status filters are handled client-side now
+      const viewName = String(name || '').trim();
+      const views = this.loadViews(containerId);
+      const view = views.find(v => v.id === viewId);
+      const isTaken = views.some(
+        v => v.id !== viewId && v.name.toLowerCase() === viewName.toLowerCase()
+      );
+      if (!view || !viewName || isTaken) return false;
 
-        // Clear all column filters using Community Edition compatible method
-        try {
-          gridApi.setFilterModel(null);
-        } catch {
-          // If setFilterModel fails (Enterprise feature), try alternative
-          console.warn(
-            'setFilterModel not available, clearing individual filters'
-          );
-          const columns = gridApi.getColumns();
-          if (columns) {
-            columns.forEach(column => {
-              try {
-                const filter = gridApi.getFilterInstance(column.getId());
-                if (filter && filter.setModel) {
-                  filter.setModel(null);
-                }
-              } catch {
-                // Ignore individual filter errors
-              }
-            });
-          }
-        }
+      view.name = viewName;
+      view.updatedAt = new Date().toISOString();
+      this.storeViews(containerId, views);
+      return true;
+    } catch (err) {
+      console.error('Error renaming view:', err);
+      return false;
+    }
+  },
 
-        // Trigger filter update
-        gridApi.onFilterChanged();
+  deleteView: function (containerId, viewId) {
+    try {
+      const views = this.loadViews(containerId);
+      const remaining = views.filter(v => v.id !== viewId);
+      if (remaining.length === views.length) return false;
 
-        return true;
+      this.storeViews(containerId, remaining);
+      const gridState = this.gridStates.get(containerId);
+      if (gridState && gridState.activeViewId === viewId) {
+        gridState.activeViewId = null;
       }
-      return false;
+      return true;
     } catch (err) {
-      console.error('Error clearing all filters:', err);
+      console.error('Error deleting view:', err);
       return false;
     }
   },
 
-  // Get current filter model
-  getFilterModel: function (containerId) {
+  setActiveView: function (containerId, viewId) {
+    const gridState = this.gridStates.get(containerId);
+    if (gridState) {
+      gridState.activeViewId = viewId;
+    }
+  },
+
+  // Switch to a view; returns the search text for the C# component
+  applyView: function (containerId, viewId) {
     try {
       const gridApi = this.grids.get(containerId);
-      if (gridApi) {
-        return gridApi.getFilterModel();
-      }
-      return null;
+      const view = this.loadViews(containerId).find(v => v.id === viewId);
+      if (!gridApi || !view) return null;
+
+      // Views saved before the query builder have no query filter
+      this.applyGridState(containerId, { queryFilter: null, ...view.state });
+      gridApi.paginationGoToFirstPage();
+      this.setActiveView(containerId, view.id);
+      this.scheduleGridStateSave(containerId);
+
+      // The view may switch density and tree view; report what is now in effect
+      const gridState = this.gridStates.get(containerId);
+      return {
+        quickFilterText: view.state.quickFilterText || '',
+        density: gridState ? gridState.density : 'standard',
+        treeView: gridState ? gridState.treeView : false,
+        groupBy:
+          gridState && gridState.grouping ? gridState.grouping.fields : [],
+      };
     } catch (err) {
-      console.error('Error getting filter model:', err);
+      console.error('Error applying view:', err);
       return null;
     }
   },
 
-  // Set filter model
-  setFilterModel: function (containerId, filterModel) {
+  // Download a view definition as JSON so it can be handed to a teammate
+  exportView: function (containerId, viewId) {
     try {
-      const gridApi = this.grids.get(containerId);
-      if (gridApi) {
-        gridApi.setFilterModel(filterModel);
-        return true;
-      }
-      return false;
+      const view = this.loadViews(containerId).find(v => v.id === viewId);
+      if (!view) return false;
+
+      const definition = {
+        type: GRID_VIEW_FILE_TYPE,
+        version: GRID_STATE_VERSION,
+        name: view.name,
+        state: view.state,
+      };
+      const fileName = `view-${view.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.json`;
+      downloadFile(
+        JSON.stringify(definition, null, 2),
+        fileName,
+        EXPORT_FORMATS.json.mimeType
+      );
+      return true;
     } catch (err) {
-      console.error('Error setting filter model:', err);
+      console.error('Error exporting view:', err);
       return false;
     }
   },
 
-  // Set status filter specifically
-
-  // Get pagination info
-  getPaginationInfo: function (containerId) {
+  // Import a view definition exported by exportView; returns { id, name } or null
+  importView: function (containerId, json) {
     try {
       const gridApi = this.grids.get(containerId);
-      if (gridApi) {
-        return {
-          currentPage: gridApi.paginationGetCurrentPage(),
-          totalPages: gridApi.paginationGetTotalPages(),
-          pageSize: gridApi.paginationGetPageSize(),
-          rowCount: gridApi.paginationGetRowCount(),
-        };
+      const definition = typeof json === 'string' ? JSON.parse(json) : json;
+      if (
+        !gridApi ||
+        !definition ||
+        definition.type !== GRID_VIEW_FILE_TYPE ||
+        typeof definition.name !== 'string' ||
+        !definition.state
+      ) {
+        console.error('Not a grid view definition:', definition);
+        return null;
       }
-      return null;
+
+      // Drop columns and filters this grid doesn't have
+      const columnIds = new Set(gridApi.getColumns().map(c => c.getColId()));
+      const state = definition.state;
+      const filterModel = {};
+      Object.keys(state.filterModel || {}).forEach(colId => {
+        if (columnIds.has(colId)) filterModel[colId] = state.filterModel[colId];
+      });
+      // and a query that can't be applied here
+      let queryFilter = null;
+      if (state.queryFilter) {
+        try {
+          queryFilter = normaliseQueryExpression(
+            state.queryFilter,
+            new Map(
+              this.getQueryColumns(containerId).map(c => [c.field, c.label])
+            )
+          );
+        } catch (err) {
+          console.warn('Ignoring invalid query filter in view:', err.message);
+        }
+      }
+
+      const views = this.loadViews(containerId);
+      const baseName = definition.name.trim() || 'Imported view';
+      let name = baseName;
+      for (
+        let i = 2;
+        views.some(v => v.name.toLowerCase() === name.toLowerCase());
+        i++
+      ) {
+        name = `${baseName} (${i})`;
+      }
+
+      const now = new Date().toISOString();
+      const view = {
+        id: createViewId(),
+        name,
+        createdAt: now,
+        updatedAt: now,
+        state: {
+          columnState: (state.columnState || []).filter(c =>
+            columnIds.has(c.colId)
+          ),
+          filterModel,
+          quickFilterText: String(state.quickFilterText || ''),
+          queryFilter,
+        },
+      };
+
+      views.push(view);
+      this.storeViews(containerId, views);
+      return { id: view.id, name: view.name };
     } catch (err) {
-      console.error('Error getting pagination info:', err);
+      console.error('Error importing view:', err);
       return null;
     }
   },
 
-  // Set pagination page size
-  setPaginationPageSize: function (containerId, pageSize) {
+  // Turn inline editing on or off
+  setEditMode: function (containerId, enabled) {
     try {
       const gridApi = this.grids.get(containerId);
-      if (gridApi) {
-        gridApi.paginationSetPageSize(pageSize);
+      const editState = this.editStates.get(containerId);
+      if (gridApi && editState) {
+        editState.enabled = !!enabled;
+        if (!editState.enabled) {
+          gridApi.stopEditing();
+        }
         return true;
       }
       return false;
     } catch (err) {
-      console.error('Error setting pagination page size:', err);
+      console.error('Error setting edit mode:', err);
       return false;
     }
   },
 
-  // Go to specific page
-  paginationGoToPage: function (containerId, page) {
+  // Record a cell change against the row's original values
+  trackCellChange: function (containerId, event) {
+    const editState = this.editStates.get(containerId);
+    const field = event.colDef && event.colDef.field;
+    if (!editState || !field || !event.node) return;
+
+    const rowId = event.node.id;
+    if (!editState.originals.has(rowId)) {
+      editState.originals.set(rowId, {
+        ...event.data,
+        [field]: event.oldValue,
+      });
+    }
+
+    const original = editState.originals.get(rowId);
+    const dirtyFields = editState.dirtyCells.get(rowId) || new Set();
+
+    if (cellValuesEqual(original[field], event.newValue)) {
+      dirtyFields.delete(field);
+    } else {
+      dirtyFields.add(field);
+    }
+
+    if (dirtyFields.size > 0) {
+      editState.dirtyCells.set(rowId, dirtyFields);
+    } else {
+      // Edited back to the original value
+      editState.dirtyCells.delete(rowId);
+      editState.originals.delete(rowId);
+    }
+
+    event.api.refreshCells({ rowNodes: [event.node], force: true });
+    this.notifyPendingChanges(containerId);
+  },
+
+  isCellDirty: function (containerId, rowId, field) {
+    const editState = this.editStates.get(containerId);
+    const dirtyFields = editState && editState.dirtyCells.get(rowId);
+    return !!dirtyFields && dirtyFields.has(field);
+  },
+
+  // Get changed rows as { id, row, changes: { field: { oldValue, newValue } } }
+  getPendingChanges: function (containerId) {
     try {
       const gridApi = this.grids.get(containerId);
-      if (gridApi) {
-        gridApi.paginationGoToPage(page);
-        return true;
-      }
-      return false;
+      const editState = this.editStates.get(containerId);
+      if (!gridApi || !editState) return [];
+
+      const pending = [];
+      editState.dirtyCells.forEach((fields, rowId) => {
+        const node = gridApi.getRowNode(rowId);
+        const original = editState.originals.get(rowId);
+        if (!node || !original) return;
+
+        const changes = {};
+        fields.forEach(field => {
+          changes[field] = {
+            oldValue: original[field],
+            newValue: node.data[field],
+          };
+        });
+        pending.push({ id: rowId, row: { ...node.data }, changes });
+      });
+      return pending;
     } catch (err) {
-      console.error('Error going to page:', err);
-      return false;
+      console.error('Error getting pending changes:', err);
+      return [];
     }
   },
 
-  // Validate grid state and fix common issues
-  validateGrid: function (containerId) {
+  // Send pending changes to .NET (HandleRowsEdited) and clear dirty markers
+  commitChanges: async function (containerId) {
     try {
       const gridApi = this.grids.get(containerId);
-      const container = document.getElementById(containerId);
+      const editState = this.editStates.get(containerId);
+      if (!gridApi || !editState) return false;
 
-      if (!gridApi || !container) {
-        return false;
-      }
+      gridApi.stopEditing();
 
-      // Check if grid is properly initialized
-      const gridElement = container.querySelector('.ag-root');
-      if (!gridElement) {
-        console.warn(`Grid element not found for container: ${containerId}`);
-        return false;
-      }
+      const changes = this.getPendingChanges(containerId);
+      if (changes.length === 0) return true;
 
-      // Ensure proper ARIA attributes
-      if (!gridElement.getAttribute('role')) {
-        gridElement.setAttribute('role', 'grid');
-      }
+      // Status changes go into the status history of the rows sent to .NET; the
+      // grid's rows only get the entries once .NET has accepted them, so a
+      // failed commit that is retried doesn't record them twice
+      const histories = new Map();
+      changes.forEach(change => {
+        if (!change.changes.status) return;
 
-      // Check header structure
-      const headerElement = container.querySelector('.ag-header');
-      if (headerElement && !headerElement.getAttribute('role')) {
-        headerElement.setAttribute('role', 'rowgroup');
+        change.row.statusHistory = appendStatusHistory(
+          { ...change.row, status: change.changes.status.oldValue },
+          change.row.status
+        );
+        histories.set(change.id, change.row.statusHistory);
+      });
+
+      const dotNetRef = gridApi.getGridOption('context')?.dotNetRef;
+      if (dotNetRef) {
+        await dotNetRef.invokeMethodAsync('HandleRowsEdited', changes);
       }
 
-      // Validate row structure
-      const rows = container.querySelectorAll('.ag-row');
-      rows.forEach((row, index) => {
-        if (!row.getAttribute('role')) {
-          row.setAttribute('role', 'row');
-        }
-        if (!row.getAttribute('aria-rowindex')) {
-          row.setAttribute('aria-rowindex', (index + 1).toString());
-        }
+      histories.forEach((history, rowId) => {
+        const node = gridApi.getRowNode(rowId);
+        if (node && node.data) node.data.statusHistory = history;
       });
-
+      editState.originals.clear();
+      editState.dirtyCells.clear();
+      gridApi.refreshCells({ force: true });
+      this.notifyPendingChanges(containerId);
       return true;
     } catch (err) {
-      console.error('Error validating grid:', err);
+      // Keep the changes pending so the user can retry
+      console.error('Error committing changes:', err);
       return false;
     }
   },
 
-  // Refresh filters to ensure they're properly displayed
-  refreshFilters: function (containerId) {
+  // Restore original values for every pending change
+  discardChanges: function (containerId) {
     try {
       const gridApi = this.grids.get(containerId);
-      if (gridApi) {
-        // Force refresh of header and floating filters
-        gridApi.refreshHeader();
+      const editState = this.editStates.get(containerId);
+      if (!gridApi || !editState) return false;
 
-        // Additional check to ensure floating filter row is visible
-        setTimeout(() => {
-          const container = document.getElementById(containerId);
-          if (container) {
-            const floatingFilterRow = container.querySelector(
-              '.ag-floating-filter'
-            );
-            if (floatingFilterRow) {
-              // Ensure floating filter row is visible
-              floatingFilterRow.style.display = '';
-              console.log('Floating filters refreshed successfully');
-            } else {
-              console.warn(
-                'Floating filter row not found, attempting to trigger refresh'
-              );
-              // Try to trigger a column resize to force filter rendering
-              if (gridApi.sizeColumnsToFit) {
-                gridApi.sizeColumnsToFit();
-              }
-            }
-          }
-        }, 100);
+      gridApi.stopEditing(true);
+      const originals = [...editState.originals.values()];
+      editState.originals.clear();
+      editState.dirtyCells.clear();
 
-        return true;
+      if (originals.length > 0) {
+        gridApi.applyTransaction({ update: originals });
       }
-      return false;
+      gridApi.refreshCells({ force: true });
+      this.notifyPendingChanges(containerId);
+      return true;
     } catch (err) {
-      console.error('Error refreshing filters:', err);
+      console.error('Error discarding changes:', err);
       return false;
     }
   },
 
-  // Setup dropdown click outside handler
-  setupDropdownHandler: function (containerId, dotNetRef) {
-    try {
-      const container = document.getElementById(containerId);
-      if (!container) return;
+  // Re-apply pending edits on top of freshly loaded rows
+  mergePendingChanges: function (containerId, rowData) {
+    const editState = this.editStates.get(containerId);
+    if (!editState || editState.dirtyCells.size === 0) return rowData;
 
-      // Store reference for cleanup
-      container.dotNetRef = dotNetRef;
+    const pending = new Map(
+      this.getPendingChanges(containerId).map(change => [change.id, change])
+    );
 
-      // Add click handler to document
-      const clickHandler = function (event) {
-        const dropdownContainer = container.querySelector('.relative');
-        if (dropdownContainer && !dropdownContainer.contains(event.target)) {
-          dotNetRef.invokeMethodAsync('CloseStatusDropdown');
-        }
-      };
+    return rowData.map(row => {
+      const change = row && pending.get(row.id);
+      if (!change) return row;
 
-      // Store handler for cleanup
-      container.clickHandler = clickHandler;
-      document.addEventListener('click', clickHandler);
-    } catch (err) {
-      console.error('Error setting up dropdown handler:', err);
-    }
+      const merged = { ...row };
+      Object.keys(change.changes).forEach(field => {
+        merged[field] = change.changes[field].newValue;
+      });
+      // The incoming row is the new baseline for this row's changes
+      editState.originals.set(row.id, { ...row });
+      return merged;
+    });
   },
 
-  // Close status dropdown (called from document click handler)
-  closeStatusDropdown: function (containerId) {
+  notifyPendingChanges: function (containerId) {
     try {
-      // Find the .NET object reference for this grid
-      const container = document.getElementById(containerId);
-      if (container && container.dotNetRef) {
-        container.dotNetRef.invokeMethodAsync('CloseStatusDropdown');
+      const gridApi = this.grids.get(containerId);
+      const editState = this.editStates.get(containerId);
+      const dotNetRef = gridApi && gridApi.getGridOption('context')?.dotNetRef;
+      if (dotNetRef && editState) {
+        dotNetRef
+          .invokeMethodAsync(
+            'HandlePendingChangesChanged',
+            editState.dirtyCells.size
+          )
+          .catch(err => console.error('Error notifying pending changes:', err));
       }
     } catch (err) {
-      console.error('Error closing status dropdown:', err);
+      console.error('Error notifying pending changes:', err);
     }
   },
 };